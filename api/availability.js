@@ -0,0 +1,67 @@
+// api/availability.js - What is bookable right now, and what went away lately
+import { currentBaselines } from '../lib/baseline-store.js';
+import { loadSnapshot } from '../lib/calendar-snapshot.js';
+import { alertPolicy, readAlertState, localDay } from '../lib/alert-policy.js';
+import { accountPaths, getAccount, isValidAccountId, DEFAULT_ACCOUNT_ID } from '../lib/accounts.js';
+import { logger } from '../lib/logger.js';
+
+/**
+ * GET /api/availability/open?account= - open dates from today on: every
+ * available day in the months' current day snapshots, plus announced dates
+ * the lifecycle still follows (pixel-only months have no snapshot). Each date
+ * says whether and when it was announced; `recentlyGone` lists announced
+ * dates booked within the last week.
+ */
+export async function openAvailabilityHandler(req, res) {
+  const { account = DEFAULT_ACCOUNT_ID } = req.query;
+  if (!isValidAccountId(account)) {
+    return res.status(400).json({ error: 'Invalid account id' });
+  }
+
+  try {
+    const configured = await getAccount(account);
+    const policy = alertPolicy(configured ? configured.alerts : null);
+    const { storagePath, notificationLogPath } = accountPaths(account);
+    const today = localDay(new Date(), policy.timezone);
+
+    const [state, baselines] = await Promise.all([readAlertState(notificationLogPath), currentBaselines(storagePath)]);
+    const tracked = Object.values(state.availability).filter(entry => entry.date >= today);
+    const goneAt = new Map(tracked.filter(entry => entry.status === 'gone').map(entry => [entry.date, entry.goneAt]));
+
+    const open = new Map();
+    for (const { month } of baselines.filter(b => b.month >= today.slice(0, 7))) {
+      const snapshot = await loadSnapshot(storagePath, month);
+      if (!snapshot) continue;
+
+      for (const day of snapshot.days) {
+        if (!day.inMonth || day.state !== 'available' || day.date < today) continue;
+        // Re-opened after going gone only if the snapshot is the newer observation
+        if (goneAt.has(day.date) && goneAt.get(day.date) >= snapshot.capturedAt) continue;
+        open.set(day.date, { date: day.date, month, name: snapshot.name, status: 'open', announcedAt: null, lastSeenOpenAt: snapshot.capturedAt });
+      }
+    }
+
+    for (const entry of tracked.filter(e => e.status !== 'gone')) {
+      const seen = open.get(entry.date);
+      open.set(entry.date, {
+        date: entry.date,
+        month: entry.month,
+        name: entry.name,
+        status: entry.status,
+        announcedAt: entry.announcedAt,
+        lastSeenOpenAt: seen && seen.lastSeenOpenAt > entry.lastSeenOpenAt ? seen.lastSeenOpenAt : entry.lastSeenOpenAt
+      });
+    }
+
+    const dates = [...open.values()].sort((a, b) => a.date.localeCompare(b.date));
+    const recentlyGone = tracked
+      .filter(entry => entry.status === 'gone' && !open.has(entry.date))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ date, month, name, announcedAt, goneAt }) => ({ date, month, name, announcedAt, goneAt }));
+
+    return res.status(200).json({ account, today, count: dates.length, dates, recentlyGone, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to list open availability', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
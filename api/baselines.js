@@ -0,0 +1,178 @@
+// api/baselines.js - Baseline history: list, diff, promote and roll back versions
+import {
+  listBaselineVersions,
+  readBaselineVersion,
+  promoteBaselineVersion,
+  rollbackBaseline,
+  resetBaseline,
+  BaselineIndexError
+} from '../lib/baseline-store.js';
+import { compareSnapshots } from '../lib/calendar-snapshot.js';
+import { performVisualComparison } from '../lib/visual-compare.js';
+import { renderDiffOverlay } from '../lib/diff-artifacts.js';
+import { accountPaths, isValidAccountId, DEFAULT_ACCOUNT_ID } from '../lib/accounts.js';
+import { logger } from '../lib/logger.js';
+
+// ?account=<id> selects the account's baselines; without it, the default account's
+function storagePathFor(req) {
+  return accountPaths(req.query.account || DEFAULT_ACCOUNT_ID).storagePath;
+}
+
+function validateParams(req, res) {
+  const { month, versionId } = req.params;
+
+  if (req.query.account !== undefined && !isValidAccountId(req.query.account)) {
+    res.status(400).json({ error: 'Invalid account id' });
+    return false;
+  }
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    res.status(400).json({ error: 'Invalid month - expected YYYY-MM' });
+    return false;
+  }
+  if (versionId !== undefined && !/^[\w-]+$/.test(versionId)) {
+    res.status(400).json({ error: 'Invalid version id' });
+    return false;
+  }
+  return true;
+}
+
+// GET /api/baselines/:month/versions
+export async function listVersionsHandler(req, res) {
+  if (!validateParams(req, res)) return;
+
+  try {
+    const history = await listBaselineVersions(storagePathFor(req), req.params.month);
+    return res.status(200).json({ ...history, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to list baseline versions', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// GET /api/baselines/:month/versions/:versionId - the version's PNG
+export async function versionImageHandler(req, res) {
+  if (!validateParams(req, res)) return;
+
+  try {
+    const stored = await readBaselineVersion(storagePathFor(req), req.params.month, req.params.versionId);
+    if (!stored) {
+      return res.status(404).json({ error: `Unknown baseline version ${req.params.versionId}` });
+    }
+
+    res.set('Content-Type', 'image/png');
+    return res.status(200).send(stored.png);
+  } catch (error) {
+    // Listed in the index but its file is gone (pruned or deleted by hand)
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: `Baseline version ${req.params.versionId} has no image`, timestamp: new Date().toISOString() });
+    }
+    logger.error('Failed to read baseline version', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// A broken index is a server-side problem, not a bad request
+function failureStatus(error, status) {
+  if (error instanceof BaselineIndexError) {
+    logger.error('Baseline index unreadable', { error });
+    return 500;
+  }
+  return status;
+}
+
+// GET /api/baselines/:month/diff?from=<versionId>&to=<versionId>[&format=png]
+export async function diffVersionsHandler(req, res) {
+  if (!validateParams(req, res)) return;
+
+  const { month } = req.params;
+  const { from, to, format = 'json' } = req.query;
+
+  if (!from || !to || !/^[\w-]+$/.test(from) || !/^[\w-]+$/.test(to)) {
+    return res.status(400).json({ error: 'Both "from" and "to" version ids are required' });
+  }
+
+  try {
+    const [fromVersion, toVersion] = await Promise.all([
+      readBaselineVersion(storagePathFor(req), month, from),
+      readBaselineVersion(storagePathFor(req), month, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: `Unknown baseline version ${!fromVersion ? from : to}` });
+    }
+
+    const { diffMask, currentImage, ...pixels } = performVisualComparison(fromVersion.png, toVersion.png);
+
+    if (format === 'png') {
+      if (!diffMask) {
+        return res.status(409).json({ error: 'Versions have different dimensions - no overlay available', ...pixels });
+      }
+      res.set('Content-Type', 'image/png');
+      return res.status(200).send(renderDiffOverlay(currentImage, diffMask));
+    }
+
+    const days = fromVersion.snapshot && toVersion.snapshot
+      ? compareSnapshots(fromVersion.snapshot, toVersion.snapshot)
+      : null;
+
+    return res.status(200).json({
+      month,
+      from: fromVersion.version,
+      to: toVersion.version,
+      pixels,
+      days,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to diff baseline versions', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// POST /api/baselines/:month/versions/:versionId/promote - also approves pending versions
+export async function promoteVersionHandler(req, res) {
+  if (!validateParams(req, res)) return;
+
+  const { month, versionId } = req.params;
+  const reason = (req.body && req.body.reason) || 'manual_promote';
+
+  try {
+    const version = await promoteBaselineVersion(storagePathFor(req), month, versionId, reason);
+    logger.info('Baseline promoted', { month, version: versionId });
+    return res.status(200).json({ success: true, month, current: version, timestamp: new Date().toISOString() });
+  } catch (error) {
+    return res.status(failureStatus(error, 404)).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// POST /api/baselines/:month/rollback
+export async function rollbackHandler(req, res) {
+  if (!validateParams(req, res)) return;
+
+  const { month } = req.params;
+  const reason = (req.body && req.body.reason) || 'rollback';
+
+  try {
+    const version = await rollbackBaseline(storagePathFor(req), month, reason);
+    logger.info('Baseline rolled back', { month, version: version.id });
+    return res.status(200).json({ success: true, month, current: version, timestamp: new Date().toISOString() });
+  } catch (error) {
+    return res.status(failureStatus(error, 409)).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// POST /api/baselines/:month/reset - the next run captures a fresh baseline
+export async function resetHandler(req, res) {
+  if (!validateParams(req, res)) return;
+
+  const { month } = req.params;
+  const reason = (req.body && req.body.reason) || 'reset';
+
+  try {
+    const version = await resetBaseline(storagePathFor(req), month, reason);
+    logger.info('Baseline reset', { month, version: version.id });
+    return res.status(200).json({ success: true, month, current: null, previous: version, timestamp: new Date().toISOString() });
+  } catch (error) {
+    return res.status(failureStatus(error, 409)).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
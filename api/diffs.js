@@ -0,0 +1,31 @@
+// api/diffs.js - Serve visual diff overlays written by the monitor
+import { readDiffArtifact } from '../lib/diff-artifacts.js';
+import { accountPaths, isValidAccountId, DEFAULT_ACCOUNT_ID } from '../lib/accounts.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { month, runId } = req.params;
+  const { account = DEFAULT_ACCOUNT_ID } = req.query;
+
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    return res.status(400).json({ error: 'Invalid month - expected YYYY-MM' });
+  }
+  if (!isValidAccountId(account)) {
+    return res.status(400).json({ error: 'Invalid account id' });
+  }
+
+  const png = await readDiffArtifact(month, runId, accountPaths(account).diffStoragePath);
+  if (!png) {
+    return res.status(404).json({
+      error: `No diff overlay for ${month} run ${runId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.set('Content-Type', 'image/png');
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).send(png);
+}
@@ -0,0 +1,48 @@
+// api/health-alerts.js - Operational health alerts and the screenshots kept with them
+import { promises as fs } from 'fs';
+import { readHealthState, healthSettings, screenshotPath, DIAGNOSTIC_SCREENSHOT } from '../lib/health-alerts.js';
+import { logger } from '../lib/logger.js';
+
+const ALERT_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * GET /api/health/alerts - the conditions open now and the latest alerts
+ * and recoveries, newest first.
+ */
+export async function healthAlertsHandler(req, res) {
+  try {
+    const { open, alerts } = await readHealthState();
+    const conditions = Object.values(open);
+
+    return res.status(200).json({
+      status: conditions.length > 0 ? 'alerting' : 'ok',
+      open: conditions,
+      alerts: alerts.slice().reverse(),
+      settings: healthSettings(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to read health alerts', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// GET /api/health/alerts/:id/screenshots/:name
+export async function healthScreenshotHandler(req, res) {
+  const { id, name } = req.params;
+  if (!ALERT_ID.test(id) || !DIAGNOSTIC_SCREENSHOT.test(name)) {
+    return res.status(400).json({ error: 'Invalid alert id or screenshot name' });
+  }
+
+  const png = await fs.readFile(screenshotPath(id, name)).catch(() => null);
+  if (!png) {
+    return res.status(404).json({
+      error: `No screenshot ${name} for health alert ${id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.set('Content-Type', 'image/png');
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).send(png);
+}
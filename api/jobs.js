@@ -0,0 +1,90 @@
+// api/jobs.js - Follow, stream and cancel monitor jobs started by POST /api/snowmass-monitor
+import { getJob, listJobs, cancelJob, jobSnapshot, subscribeToJob, isJobFinished } from '../lib/jobs.js';
+import { logger } from '../lib/logger.js';
+
+// Proxies (Cloud Run included) close streams that stay silent too long
+const HEARTBEAT_MS = 15 * 1000;
+
+function findJob(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: `No job ${req.params.id}`, timestamp: new Date().toISOString() });
+    return null;
+  }
+  return job;
+}
+
+// GET /api/jobs - jobs of this process, newest first
+export function listJobsHandler(req, res) {
+  return res.status(200).json({ jobs: listJobs().map(job => jobSnapshot(job)), timestamp: new Date().toISOString() });
+}
+
+// GET /api/jobs/:id - status plus the months finished so far
+export function getJobHandler(req, res) {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  return res.status(200).json({ ...jobSnapshot(job, { includeResult: true }), timestamp: new Date().toISOString() });
+}
+
+/**
+ * GET /api/jobs/:id/events - Server-Sent Events. Replays the events so far
+ * (or those after Last-Event-ID when reconnecting), streams new ones as
+ * `progress` and ends with a `done` event carrying the final status.
+ */
+export function jobEventsHandler(req, res) {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+  for (const event of job.events) {
+    if (event.id > lastEventId) send('progress', event, event.id);
+  }
+
+  if (isJobFinished(job)) {
+    send('done', jobSnapshot(job));
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  const unsubscribe = subscribeToJob(job, {
+    onProgress: event => send('progress', event, event.id),
+    onDone: snapshot => {
+      send('done', snapshot);
+      close();
+      res.end();
+    }
+  });
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', close);
+}
+
+// POST /api/jobs/:id/cancel - closes the job's browser; the job ends as 'cancelled'
+export function cancelJobHandler(req, res) {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  if (!cancelJob(job.id)) {
+    return res.status(409).json({ error: `Job ${job.id} already ${job.status}`, status: job.status, timestamp: new Date().toISOString() });
+  }
+
+  logger.info('Job cancellation requested', { jobId: job.id, runId: job.runId, by: req.auth ? req.auth.sub : null });
+  return res.status(202).json({ success: true, ...jobSnapshot(job), timestamp: new Date().toISOString() });
+}
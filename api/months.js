@@ -0,0 +1,67 @@
+// api/months.js - Per-month overview for the dashboard: baseline, latest capture, last check
+import { currentBaselines, listLatestCaptures, readLatestCapture } from '../lib/baseline-store.js';
+import { latestMonthChecks } from '../lib/run-history.js';
+import { accountPaths, isValidAccountId, DEFAULT_ACCOUNT_ID } from '../lib/accounts.js';
+import { logger } from '../lib/logger.js';
+
+function accountFor(req, res) {
+  const { account = DEFAULT_ACCOUNT_ID } = req.query;
+  if (!isValidAccountId(account)) {
+    res.status(400).json({ error: 'Invalid account id' });
+    return null;
+  }
+  return account;
+}
+
+// GET /api/months - every month with a baseline or a capture, oldest first
+export async function monthsOverviewHandler(req, res) {
+  const account = accountFor(req, res);
+  if (!account) return;
+
+  try {
+    const { storagePath } = accountPaths(account);
+    const [baselines, captures, checks] = await Promise.all([
+      currentBaselines(storagePath),
+      listLatestCaptures(storagePath),
+      latestMonthChecks(account)
+    ]);
+
+    const keys = [...new Set([...baselines.map(b => b.month), ...captures.map(c => c.month)])].sort();
+    const months = keys.map(month => {
+      const baseline = baselines.find(b => b.month === month);
+      const capture = captures.find(c => c.month === month);
+      return {
+        month,
+        baseline: baseline ? { version: baseline.version, since: baseline.since } : null,
+        pendingVersions: baseline ? baseline.pending : 0,
+        latestCapture: capture ? { capturedAt: capture.capturedAt, runId: capture.runId } : null,
+        lastCheck: checks.get(month) || null
+      };
+    });
+
+    return res.status(200).json({ account, months, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to build month overview', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// GET /api/months/:key/latest - PNG of the most recent capture
+export async function latestCaptureHandler(req, res) {
+  const { key } = req.params;
+  if (!/^\d{4}-\d{2}$/.test(key)) {
+    return res.status(400).json({ error: 'Invalid month - expected YYYY-MM' });
+  }
+  const account = accountFor(req, res);
+  if (!account) return;
+
+  const latest = await readLatestCapture(accountPaths(account).storagePath, key);
+  if (!latest) {
+    return res.status(404).json({ error: `No capture of ${key} yet`, timestamp: new Date().toISOString() });
+  }
+
+  res.set('Content-Type', 'image/png');
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Captured-At', latest.capture.capturedAt);
+  return res.status(200).send(latest.png);
+}
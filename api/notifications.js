@@ -0,0 +1,100 @@
+// api/notifications.js - Inspect the retry outbox and replay dead-lettered deliveries
+import { listOutbox, listDeadLetters, discardDeadLetter } from '../lib/notifiers/outbox.js';
+import { processOutbox, replayDeadLetterDeliveries } from '../lib/notifiers/index.js';
+import { notificationLog, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../lib/run-history.js';
+import { isValidAccountId } from '../lib/accounts.js';
+import { logger } from '../lib/logger.js';
+
+// GET /api/notifications/outbox
+export async function outboxHandler(req, res) {
+  try {
+    const outbox = await listOutbox();
+    return res.status(200).json({ count: outbox.length, deliveries: outbox, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to read outbox', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// POST /api/notifications/outbox/flush - retry everything that is due now
+export async function flushOutboxHandler(req, res) {
+  try {
+    const summary = await processOutbox();
+    return res.status(200).json({ success: true, ...summary, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Outbox flush failed', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// GET /api/notifications/dead-letters
+export async function deadLettersHandler(req, res) {
+  try {
+    const deadLetters = await listDeadLetters();
+    return res.status(200).json({ count: deadLetters.length, deliveries: deadLetters, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to read dead letters', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// POST /api/notifications/dead-letters/replay            - replay all (or body.ids)
+// POST /api/notifications/dead-letters/:id/replay        - replay one
+export async function replayHandler(req, res) {
+  const ids = req.params.id
+    ? [req.params.id]
+    : (Array.isArray(req.body && req.body.ids) ? req.body.ids : null);
+
+  try {
+    const results = await replayDeadLetterDeliveries(ids);
+
+    if (req.params.id && results.length === 0) {
+      return res.status(404).json({ error: `No dead letter ${req.params.id}` });
+    }
+
+    return res.status(200).json({
+      replayed: results.length,
+      delivered: results.filter(r => r.success).length,
+      requeued: results.filter(r => !r.success).length,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Dead letter replay failed', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// DELETE /api/notifications/dead-letters/:id
+export async function discardHandler(req, res) {
+  try {
+    const removed = await discardDeadLetter(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: `No dead letter ${req.params.id}` });
+    }
+    return res.status(200).json({ success: true, id: req.params.id, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Dead letter discard failed', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// GET /api/notifications/log?account=&limit=&offset= - alerts sent (or skipped) per run, newest first
+export async function notificationLogHandler(req, res) {
+  const { account, limit = String(DEFAULT_PAGE_SIZE), offset = '0' } = req.query;
+
+  if (account !== undefined && !isValidAccountId(account)) {
+    return res.status(400).json({ error: 'Invalid account id' });
+  }
+  if (!/^\d+$/.test(limit) || parseInt(limit, 10) < 1 || parseInt(limit, 10) > MAX_PAGE_SIZE || !/^\d+$/.test(offset)) {
+    return res.status(400).json({ error: `limit must be 1-${MAX_PAGE_SIZE} and offset a whole number` });
+  }
+
+  try {
+    const log = await notificationLog({ account: account || null, limit: parseInt(limit, 10), offset: parseInt(offset, 10) });
+    return res.status(200).json({ total: log.total, limit: log.limit, offset: log.offset, entries: log.items, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Failed to read notification log', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
@@ -0,0 +1,132 @@
+// api/runs.js - Query the recorded run history
+import { listRuns, getRun, monthHistory, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../lib/run-history.js';
+import { isValidAccountId } from '../lib/accounts.js';
+import { diagnosticBundlePath, diagnosticBundleInfo } from '../lib/diagnostics.js';
+import { sanitizeRunId } from '../lib/diff-artifacts.js';
+import { logger } from '../lib/logger.js';
+
+const RUN_STATUSES = ['success', 'partial', 'failed', 'cancelled'];
+
+// A bare date as `to` means the whole of that day (UTC)
+export function parseBound(value, endOfDay) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return endOfDay ? `${value}T23:59:59.999Z` : `${value}T00:00:00.000Z`;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Paging (?limit=&offset=), date range (?from=&to=, ISO date or timestamp)
+ * and ?account= shared by the list routes. Sends a 400 and returns null
+ * when something doesn't parse.
+ */
+function parseQuery(req, res) {
+  const { limit = String(DEFAULT_PAGE_SIZE), offset = '0', from, to, account } = req.query;
+  const errors = [];
+  const query = { account: account || null };
+
+  query.limit = parseInt(limit, 10);
+  if (!/^\d+$/.test(limit) || query.limit < 1 || query.limit > MAX_PAGE_SIZE) {
+    errors.push(`limit must be 1-${MAX_PAGE_SIZE}`);
+  }
+  query.offset = parseInt(offset, 10);
+  if (!/^\d+$/.test(offset)) errors.push('offset must be a whole number');
+
+  query.from = from ? parseBound(from, false) : null;
+  if (from && !query.from) errors.push('from must be an ISO date or timestamp');
+  query.to = to ? parseBound(to, true) : null;
+  if (to && !query.to) errors.push('to must be an ISO date or timestamp');
+
+  if (account && !isValidAccountId(account)) errors.push('Invalid account id');
+
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid query', details: errors, timestamp: new Date().toISOString() });
+    return null;
+  }
+  return query;
+}
+
+function pageResponse({ total, limit, offset, items }, key) {
+  return {
+    total,
+    limit,
+    offset,
+    nextOffset: offset + items.length < total ? offset + items.length : null,
+    [key]: items,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// GET /api/runs
+export async function listRunsHandler(req, res) {
+  const query = parseQuery(req, res);
+  if (!query) return;
+
+  const { status } = req.query;
+  if (status && !RUN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${RUN_STATUSES.join(', ')}` });
+  }
+
+  try {
+    return res.status(200).json(pageResponse(await listRuns({ ...query, status }), 'runs'));
+  } catch (error) {
+    logger.error('Failed to read run history', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// GET /api/runs/:id
+export async function getRunHandler(req, res) {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: `No run ${req.params.id} in history`, timestamp: new Date().toISOString() });
+    }
+    const bundle = await diagnosticBundleInfo(run.id);
+    return res.status(200).json({
+      ...run,
+      diagnostics: bundle ? { ...bundle, url: `/api/runs/${encodeURIComponent(run.id)}/diagnostics` } : null
+    });
+  } catch (error) {
+    logger.error('Failed to read run history', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+/**
+ * GET /api/runs/:id/diagnostics - the run's diagnostic bundle (ZIP with a
+ * manifest, console/network logs, HTML, screenshots and any Playwright trace).
+ */
+export async function runDiagnosticsHandler(req, res) {
+  const bundle = await diagnosticBundleInfo(req.params.id);
+  if (!bundle) {
+    return res.status(404).json({
+      error: `No diagnostic bundle for run ${req.params.id} (nothing failed, capture is off, or it was pruned)`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="snowmass-diagnostics-${sanitizeRunId(req.params.id)}.zip"`);
+  res.set('Cache-Control', 'no-store');
+  return res.sendFile(diagnosticBundlePath(req.params.id), { root: process.cwd() });
+}
+
+// GET /api/months/:key/history
+export async function monthHistoryHandler(req, res) {
+  const { key } = req.params;
+  if (!/^\d{4}-\d{2}$/.test(key)) {
+    return res.status(400).json({ error: 'Invalid month - expected YYYY-MM' });
+  }
+
+  const query = parseQuery(req, res);
+  if (!query) return;
+
+  try {
+    return res.status(200).json({ month: key, ...pageResponse(await monthHistory(key, query), 'checks') });
+  } catch (error) {
+    logger.error('Failed to read run history', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
@@ -2,11 +2,43 @@
 import { chromium } from 'playwright';
 import { promises as fs } from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
+import { loadSnapshot, compareSnapshots } from '../lib/calendar-snapshot.js';
+import { saveBaselineVersion, saveLatestCapture } from '../lib/baseline-store.js';
+import { loadChannels, loadHealthChannels, notifyAll, processOutbox } from '../lib/notifiers/index.js';
+import { hasScope } from '../lib/auth.js';
+import { renderDiffOverlay, saveDiffArtifact, sanitizeRunId } from '../lib/diff-artifacts.js';
+import { performVisualComparison } from '../lib/visual-compare.js';
+import { claimRun, RunConflictError } from '../lib/run-lock.js';
+import { startJob, activeJob, reportProgress, reportPartialResult, checkCancelled, onCancel, JobCancelledError } from '../lib/jobs.js';
+import { loadSessionState, saveSessionState, clearSessionState } from '../lib/session-store.js';
+import { LoginError, LOGIN_ERROR_STATUS, loginBackoff, recordLoginFailure, clearLoginFailures, credentialLoginStatePath } from '../lib/login-errors.js';
+import { loadAccounts, buildAccount, accountPaths, DEFAULT_ACCOUNT_ID } from '../lib/accounts.js';
+import { loadWatchRules, activeWatchRules, monthsForRules, evaluateWatchRules } from '../lib/watch-rules.js';
+import { getSiteProfile, siteUrl } from '../lib/site-profile.js';
+import { colorClassifier } from '../lib/palette.js';
+import { buildRunRecord, recordRun, recentRuns, newRunId } from '../lib/run-history.js';
+import { healthSettings, updateHealth, buildHealthEvent, SCREENSHOT_DIR } from '../lib/health-alerts.js';
+import { createRunDiagnostics } from '../lib/diagnostics.js';
+import {
+  alertPolicy,
+  withAlertState,
+  unannouncedChanges,
+  holdReason,
+  deferChanges,
+  pendingDue,
+  takePending,
+  recordAnnounced,
+  isQuietHours
+} from '../lib/alert-policy.js';
+import { trackAnnounced, updateLifecycle, dueFollowUps, markFollowUpSent } from '../lib/availability-lifecycle.js';
+import { metrics } from '../lib/metrics.js';
+import { logger, withLogContext, registerSecret } from '../lib/logger.js';
 
-const STORAGE_PATH = './tmp/baselines/';
-const NOTIFICATION_LOG_PATH = './tmp/notifications.json';
-const MAX_DAILY_NOTIFICATIONS = 2;
+// Baselines, diff overlays and notification log of the pre-registry single account
+const DEFAULT_STORAGE = accountPaths(DEFAULT_ACCOUNT_ID);
+// Baseline updates changing more than this % look like a wrong-month capture and wait for approval
+const BASELINE_APPROVAL_THRESHOLD = parseFloat(process.env.BASELINE_APPROVAL_THRESHOLD || '50');
+const MAX_REQUEST_ID_LENGTH = 128;
 
 export default async function handler(req, res) {
   if (req.method === 'GET') {
@@ -22,80 +54,367 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { 
-      snowmassUsername = process.env.SNOWMASS_USERNAME,
-      snowmassPassword = process.env.SNOWMASS_PASSWORD,
-      requestId = `local-${Date.now()}`
-    } = req.body;
-
-    if (!snowmassUsername || !snowmassPassword) {
+    const body = req.body || {};
+    
+    // Overriding the configured account is a separate privilege from triggering a run
+    if ((body.snowmassUsername || body.snowmassPassword) && !hasScope(req.auth, 'monitor:credentials')) {
+      return res.status(403).json({
+        error: 'Passing credentials in the request body requires the monitor:credentials scope'
+      });
+    }
+    
+    // The caller's id is only echoed back and recorded - the run gets its own (see newRunId)
+    const requestId = body.requestId === undefined ? null : body.requestId;
+    if (requestId !== null && (typeof requestId !== 'string' || requestId.length === 0 || requestId.length > MAX_REQUEST_ID_LENGTH)) {
+      return res.status(400).json({ error: `requestId must be a string of 1-${MAX_REQUEST_ID_LENGTH} characters` });
+    }
+    
+    // Credentials in the body replace the registry for this run; otherwise every
+    // registered account is checked, or only those listed in body.accounts
+    let accounts;
+    if (body.snowmassUsername || body.snowmassPassword) {
+      accounts = [buildAccount({ username: body.snowmassUsername, password: body.snowmassPassword })];
+      // Failures with these must not reset (or clear) the configured account's backoff
+      if (body.snowmassUsername) {
+        accounts[0].loginStatePath = credentialLoginStatePath(body.snowmassUsername);
+      }
+    } else {
+      accounts = await loadAccounts();
+      
+      if (Array.isArray(body.accounts)) {
+        const unknown = body.accounts.filter(id => !accounts.some(a => a.id === id));
+        if (unknown.length > 0) {
+          return res.status(400).json({ error: `Unknown account(s): ${unknown.join(', ')}` });
+        }
+        accounts = accounts.filter(a => body.accounts.includes(a.id));
+      }
+    }
+    
+    if (accounts.length === 0 || accounts.some(a => !a.username || !a.password)) {
       return res.status(400).json({ 
         error: 'Missing credentials'
       });
     }
 
-    console.log(`🎭 Starting monitor for request ${requestId}`);
+    // Single flight: a second trigger either joins the in-flight job or gets 409
+    const wantsJoin = body.join === true || req.query.join === 'true';
+    const active = wantsJoin ? activeJob() : null;
+    let job = active;
+    if (!job) {
+      // Claimed before the job exists, so a run held by another process is a 409 here too
+      const runId = newRunId('api');
+      const claim = await claimRun(runId);
+      job = startJob(
+        { runId, requestId, trigger: 'api', accounts: accounts.map(a => a.id) },
+        () => claim.start(() => executeMonitorRun({ accounts, runId, requestId, trigger: 'api' }))
+      );
+    }
 
-    const results = await runMonitor({
-      username: snowmassUsername,
-      password: snowmassPassword,
-      requestId
-    });
+    if (active) {
+      logger.info('Joined in-flight run', { requestId, joinedRun: job.runId, jobId: job.id });
+    }
 
-    // Send webhook notification if there are changes
-    if (results.changedMonths.length > 0) {
-      await sendWebhookNotification(results);
+    // Old behaviour for callers that want the full result in the response
+    if (body.wait === true || req.query.wait === 'true') {
+      const response = await job.promise;
+      return res.status(200).json(active ? { ...response, joined: true, joinedBy: requestId } : response);
     }
 
-    return res.status(200).json({
+    res.set('Location', `/api/jobs/${job.id}`);
+    return res.status(202).json({
       success: true,
-      requestId,
-      timestamp: new Date().toISOString(),
-      monthsChecked: results.totalMonths,
-      changedMonths: results.changedMonths.length,
-      summary: results.summary,
-      results: results.allResults,
-      webhookSent: results.changedMonths.length > 0
+      jobId: job.id,
+      runId: job.runId,
+      requestId: job.requestId,
+      status: job.status,
+      ...(active ? { joined: true, joinedBy: requestId } : {}),
+      links: {
+        job: `/api/jobs/${job.id}`,
+        events: `/api/jobs/${job.id}/events`,
+        cancel: `/api/jobs/${job.id}/cancel`,
+        run: `/api/runs/${encodeURIComponent(job.runId)}`
+      },
+      timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('❌ Monitor failed:', error);
-    return res.status(500).json({
+    if (error instanceof RunConflictError) {
+      logger.warn('Run rejected - another run is in flight', { inFlight: error.holder });
+      return res.status(409).json({
+        error: error.message,
+        inFlight: error.holder,
+        hint: 'Retry later or pass "join": true to follow the in-flight run',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Every account failed to log in the same way (wait mode) - say how
+    if (error.status && error.partialResponse) {
+      logger.warn('Monitor failed at login', { code: error.code, retryAfter: error.retryAfter });
+      if (error.retryAfter) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(error.retryAfter) - Date.now()) / 1000))));
+      }
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter,
+        accounts: error.partialResponse.accounts.map(({ account, error: accountError, errorCode, retryAfter }) => ({ account, error: accountError, errorCode, retryAfter })),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error('Monitor failed', { error });
+    return res.status(error instanceof JobCancelledError ? 409 : 500).json({
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 }
 
-// Performance tracking
+/**
+ * One complete monitor pass: retry due deliveries, check every month of
+ * every account and notify each account's channels about its changes.
+ * Callers hold the single-flight lock. Every pass, failed or not, is
+ * recorded in the run history under `runId` (see newRunId); `requestId` is
+ * the caller's own correlation id, kept alongside it when one was sent.
+ */
+export async function executeMonitorRun({ accounts, runId, requestId = null, trigger = 'api' }) {
+  return withLogContext({ runId, ...(requestId ? { requestId } : {}), trigger }, async () => {
+    const startedAt = new Date();
+
+    try {
+      const response = await monitorAndNotify({ accounts, runId, requestId });
+      await finishRun(buildRunRecord({ runId, requestId, trigger, startedAt, response }));
+      return response;
+    } catch (error) {
+      await finishRun(buildRunRecord({ runId, requestId, trigger, startedAt, response: error.partialResponse || null, error }));
+      throw error;
+    }
+  });
+}
+
+// History is for looking back - failing to write it must not fail the run
+async function finishRun(record) {
+  metrics.runs.inc({ trigger: record.trigger, status: record.status });
+  metrics.runDuration.observe({ trigger: record.trigger }, record.durationMs / 1000);
+  logger[record.status === 'success' ? 'info' : 'warn']('Monitor run finished', {
+    status: record.status,
+    durationMs: record.durationMs,
+    monthsChecked: record.monthsChecked,
+    changedMonths: record.changedMonths,
+    notified: record.notified
+  });
+
+  try {
+    await recordRun(record);
+  } catch (error) {
+    logger.error('Could not record run in history', { runId: record.id, error });
+  }
+
+  if (record.status !== 'cancelled') {
+    await checkHealth(record).catch(error => logger.error('Health check failed', { operation: 'health', error }));
+  }
+}
+
+/**
+ * Raise or clear operational alerts from the recent run history (see
+ * lib/health-alerts.js) and send them to the health channels. An alert only
+ * carries the screenshots `run` itself left behind.
+ */
+async function checkHealth(run) {
+  const settings = healthSettings();
+  const runs = await recentRuns(Math.max(settings.failedRuns, settings.windowRuns));
+  const { alert, recovery } = await updateHealth(runs, { settings, since: new Date(run.startedAt), screenshotDir: SCREENSHOT_DIR });
+
+  for (const entry of [recovery, alert].filter(Boolean)) {
+    for (const { condition } of entry.conditions) {
+      metrics.healthAlerts.inc({ condition, event: entry.kind === 'alert' ? 'raised' : 'cleared' });
+    }
+    logger[entry.kind === 'alert' ? 'error' : 'info'](entry.kind === 'alert' ? 'Health alert raised' : 'Health alert cleared', {
+      operation: 'health',
+      alertId: entry.id,
+      conditions: entry.conditions.map(c => c.condition),
+      screenshots: (entry.screenshots || []).length
+    });
+
+    const channels = await loadHealthChannels();
+    if (channels.length === 0) {
+      logger.warn('No health channels configured - health alert only logged', { operation: 'health', alertId: entry.id });
+      continue;
+    }
+    await notifyAll(buildHealthEvent(entry), channels, null, { purpose: 'health' });
+  }
+}
+
+async function monitorAndNotify({ accounts, runId, requestId }) {
+  logger.info('Starting monitor run', { accounts: accounts.map(a => a.id) });
+
+  // Cloud Run may throttle the background timer between requests - retry due deliveries and digests now
+  await processOutbox().catch(error => logger.error('Outbox processing failed', { error }));
+  await flushDueAlerts(accounts);
+
+  const { accounts: accountResults } = await runMonitor({ accounts, runId });
+  // Nothing goes out for a run someone stopped
+  checkCancelled();
+
+  // A run where no account got past login is a failed run, as before accounts existed
+  const failed = accountResults.filter(r => !r.success);
+  if (failed.length === accountResults.length) {
+    const error = new Error(failed.map(r => `${r.account}: ${r.error}`).join('; '));
+    // One login failure shared by every account decides the handler's status code
+    const codes = [...new Set(failed.map(r => r.errorCode || null))];
+    if (codes.length === 1 && codes[0]) {
+      error.code = codes[0];
+      error.status = LOGIN_ERROR_STATUS[codes[0]];
+      error.retryAfter = failed.map(r => r.retryAfter).filter(Boolean).sort()[0] || null;
+    }
+    // Keeps the per-account errors for the run history
+    error.partialResponse = {
+      accounts: failed.map(r => ({
+        account: r.account,
+        name: r.name,
+        success: false,
+        error: r.error,
+        ...(r.errorCode ? { errorCode: r.errorCode, retryAfter: r.retryAfter } : {}),
+        durationMs: r.durationMs,
+        results: []
+      }))
+    };
+    throw error;
+  }
+
+  const reports = [];
+  for (const [i, result] of accountResults.entries()) {
+    // What became of dates announced earlier - before the new alert starts following more
+    const followUps = result.success
+      ? await withLogContext({ account: result.account }, () => sendFollowUps(result, accounts[i]))
+      : [];
+
+    // Fan out to the account's notification channels if there are changes
+    const notification = result.changedMonths.length > 0
+      ? await withLogContext({ account: result.account }, async () => {
+        reportProgress('notifying', { months: result.changedMonths.map(m => m.month) });
+        const sent = await sendAvailabilityNotification(result, accounts[i]);
+        reportProgress('notified', { sent: sent.sent, channels: sent.channels.length });
+        return sent;
+      })
+      : { sent: false, channels: [] };
+
+    reports.push({
+      account: result.account,
+      name: result.name,
+      success: result.success,
+      ...(result.error ? { error: result.error } : {}),
+      ...(result.errorCode ? { errorCode: result.errorCode, retryAfter: result.retryAfter } : {}),
+      session: result.session,
+      watchRules: result.watchRules,
+      monthsChecked: result.totalMonths,
+      changedMonths: result.changedMonths.length,
+      durationMs: result.durationMs,
+      summary: result.summary,
+      results: result.allResults,
+      webhookSent: notification.sent,
+      notifications: notification,
+      followUps
+    });
+  }
+
+  return {
+    success: true,
+    runId,
+    requestId,
+    timestamp: new Date().toISOString(),
+    monthsChecked: reports.reduce((sum, r) => sum + r.monthsChecked, 0),
+    changedMonths: reports.reduce((sum, r) => sum + r.changedMonths, 0),
+    summary: {
+      accountsChecked: reports.length,
+      accountsFailed: failed.length,
+      totalMonthsChecked: reports.reduce((sum, r) => sum + r.summary.totalMonthsChecked, 0),
+      monthsWithChanges: reports.reduce((sum, r) => sum + r.summary.monthsWithChanges, 0),
+      highestChangePercent: Math.max(0, ...reports.map(r => r.summary.highestChangePercent)),
+      totalAvailabilityIncrease: reports.reduce((sum, r) => sum + r.summary.totalAvailabilityIncrease, 0)
+    },
+    results: reports.flatMap(r => r.results.map(month => ({ account: r.account, ...month }))),
+    webhookSent: reports.some(r => r.webhookSent),
+    accounts: reports
+  };
+}
+
+/**
+ * Scheduler entry point - checks every registered account and never joins,
+ * a tick that finds a run in flight is reported as skipped.
+ */
+export async function runScheduledMonitor({ runId }) {
+  const accounts = await loadAccounts();
+
+  if (accounts.length === 0) {
+    throw new Error('No accounts configured - set SNOWMASS_USERNAME / SNOWMASS_PASSWORD or ACCOUNTS_CONFIG');
+  }
+
+  try {
+    const claim = await claimRun(runId);
+    // Run as a job too, so scheduled runs can be followed and cancelled like API ones
+    const job = startJob(
+      { runId, trigger: 'schedule', accounts: accounts.map(a => a.id) },
+      () => claim.start(() => executeMonitorRun({ accounts, runId, trigger: 'schedule' }))
+    );
+    return await job.promise;
+  } catch (error) {
+    if (error instanceof RunConflictError) {
+      metrics.runs.inc({ trigger: 'schedule', status: 'skipped' });
+      return { skipped: 'run_in_progress', holder: error.holder };
+    }
+    throw error;
+  }
+}
+
+// Performance tracking - timings are aggregated into the /metrics histograms (lib/metrics.js)
+const OPERATION_HISTOGRAMS = {
+  login: metrics.loginDuration,
+  navigate: metrics.navigationDuration,
+  capture: metrics.captureDuration,
+  compare: metrics.compareDuration
+};
+
+// Per-step timings are debug; these close a month, an account or the whole run
+const SUMMARY_OPERATIONS = ['process', 'account', 'run'];
+
 const performanceTracker = {
-  metrics: [],
-  
   logOperation(operation, startTime, success = true, metadata = {}) {
     const duration = Date.now() - startTime;
-    const metric = {
-      timestamp: new Date().toISOString(),
-      operation,
-      duration,
-      success,
-      memory: process.memoryUsage(),
-      ...metadata
-    };
-    
-    this.metrics.push(metric);
-    console.log(`⚡ ${operation}: ${duration}ms [${success ? 'SUCCESS' : 'FAILED'}]`);
-    
-    if (duration > 30000) {
-      console.warn(`⚠️ Slow operation: ${operation} took ${duration}ms`);
+    const outcome = success ? 'success' : 'failure';
+
+    if (OPERATION_HISTOGRAMS[operation]) {
+      OPERATION_HISTOGRAMS[operation].observe({ month: metadata.month, session: metadata.session, outcome }, duration / 1000);
+    }
+    if (operation === 'process') {
+      metrics.monthChecks.inc({ month: metadata.month, outcome });
+    }
+
+    const slow = duration > 30000;
+    const fields = { ...metadata, operation, durationMs: duration, success };
+    if (!success || slow) {
+      logger.warn(slow ? 'Slow operation' : 'Operation failed', fields);
+    } else {
+      logger[SUMMARY_OPERATIONS.includes(operation) ? 'info' : 'debug']('Operation finished', fields);
     }
     
-    return metric;
+    return { operation, duration, success };
   }
 };
 
-async function runMonitor({ username, password, requestId }) {
+/**
+ * Check every account in one browser. `diagnostics` ({ capture, trace, dir,
+ * screenshotDir }) overrides DIAGNOSTICS_CAPTURE / DIAGNOSTICS_TRACE and
+ * where bundles and navigation screenshots go for this run (see
+ * lib/diagnostics.js).
+ */
+async function runMonitor({ accounts, runId, diagnostics: diagnosticsOptions = {} }) {
   const monitorStart = Date.now();
-  console.log(`🏔️ Starting monitor for request ${requestId}`);
+  checkCancelled();
+  const diagnostics = createRunDiagnostics({ runId, ...diagnosticsOptions });
+  logger.debug('Launching browser', { operation: 'run' });
+  reportProgress('launching_browser');
   
   const browser = await chromium.launch({
     headless: true, // Always headless for Cloud Run
@@ -120,97 +439,253 @@ async function runMonitor({ username, password, requestId }) {
     ]
   });
 
+  // Cancelling closes the browser, which aborts whatever page call is in flight
+  const stopOnCancel = onCancel(() => browser.close());
+  let runError = null;
+
   try {
-    const context = await browser.newContext({
-      viewport: { width: 1200, height: 800 }
+    // Accounts run one after another, each in its own context so cookies never leak between owners
+    const accountResults = [];
+    for (const account of accounts) {
+      checkCancelled();
+      accountResults.push(await withLogContext({ account: account.id }, () => monitorAccount(browser, account, runId, diagnostics)));
+    }
+    
+    performanceTracker.logOperation('run', monitorStart, true, {
+      accountsProcessed: accountResults.length,
+      monthsProcessed: accountResults.reduce((sum, r) => sum + r.totalMonths, 0),
+      changedMonths: accountResults.reduce((sum, r) => sum + r.changedMonths.length, 0)
     });
-    const page = await context.newPage();
     
-    // Login
-    await doLogin(page, username, password);
+    return { accounts: accountResults };
     
-    // Get months to check
-    const monthsToCheck = getMonthsToCheck();
+  } catch (error) {
+    runError = error;
+    throw error;
+  } finally {
+    stopOnCancel();
+    await browser.close();
+    await diagnostics.finish(runError).catch(error => logger.error('Could not save diagnostic bundle', { operation: 'diagnostics', error }));
+    
+    // Final memory cleanup
+    if (global.gc) {
+      global.gc();
+      logger.debug('Final cleanup', { memory: process.memoryUsage() });
+    }
+  }
+}
+
+// One account's pass: fresh context, login (or saved session), every month
+async function monitorAccount(browser, account, runId, diagnostics) {
+  const accountStart = Date.now();
+  registerSecret(account.password);
+  logger.info('Checking account', { accountName: account.name });
+  
+  let context = null;
+  let page = null;
+  
+  try {
+    // Reuse the last run's cookies/localStorage when we have them
+    const savedSession = await loadSessionState(account.username);
+    context = await browser.newContext({
+      viewport: { width: 1200, height: 800 },
+      ...(savedSession ? { storageState: savedSession.state } : {})
+    });
+    page = await context.newPage();
+    diagnostics.watch(page, account.id);
+    
+    // Login (only when the saved session is missing or expired)
+    const loginStart = Date.now();
+    reportProgress('login');
+    const session = await ensureLoggedIn(page, context, account, savedSession).catch(error => {
+      performanceTracker.logOperation('login', loginStart, false);
+      throw error;
+    });
+    performanceTracker.logOperation('login', loginStart, true, { session });
+    reportProgress('logged_in', { session });
+    await diagnostics.startTrace(context, account.id);
+    
+    // Watch rules decide which months to visit; without any, the next 90 days
+    const watchRules = activeWatchRules(await loadWatchRules(account.watchRulesPath));
+    const monthsToCheck = getMonthsToCheck(watchRules);
     const results = [];
+    const availability = new Map(); // ISO date -> state, across all months, for rules spanning month ends
     
     for (const month of monthsToCheck) {
-      const monthStart = Date.now();
-      console.log(`📅 Processing ${month.name}...`);
+      checkCancelled();
+      await withLogContext({ month: month.key }, async () => {
+        const monthStart = Date.now();
+        logger.info('Processing month', { monthName: month.name });
+        reportProgress('navigating', { monthName: month.name });
       
-      try {
-        const captureStart = Date.now();
-        const screenshot = await captureMonthWithRetry(page, month);
-        performanceTracker.logOperation(`capture_${month.key}`, captureStart, true, { monthName: month.name });
+        try {
+          const captureStart = Date.now();
+          const { screenshot, calendar, grid } = await captureMonthWithRetry(page, month, { screenshotDir: diagnostics.screenshotDir }).catch(error => {
+            performanceTracker.logOperation('capture', captureStart, false, { month: month.key });
+            throw error;
+          });
+          const captureMs = Date.now() - captureStart;
+          performanceTracker.logOperation('capture', captureStart, true, { month: month.key });
+          reportProgress('captured', { detectionMethod: calendar ? 'snapshot' : 'pixel' });
+          
+          // Kept for the dashboard whether or not it ends up as the baseline
+          await saveLatestCapture(account.storagePath, month.key, screenshot, { runId })
+            .catch(error => logger.warn('Could not save latest capture', { operation: 'capture', error: error.message }));
         
-        const compareStart = Date.now();
-        const comparison = await compareWithBaseline(month, screenshot);
-        performanceTracker.logOperation(`compare_${month.key}`, compareStart, true, { 
-          monthName: month.name,
-          changePercentage: comparison.changePercentage,
-          shouldNotify: comparison.shouldNotify
-        });
+          // DOM snapshot is the primary signal; pixel diffing only when extraction failed
+          const compareStart = Date.now();
+          const comparison = calendar
+            ? await compareWithSnapshot(month, calendar, screenshot, grid, runId, account)
+            : await compareWithBaseline(month, screenshot, grid, runId, account);
+          const compareMs = Date.now() - compareStart;
+          performanceTracker.logOperation('compare', compareStart, true, { 
+            month: month.key,
+            detectionMethod: comparison.detectionMethod,
+            changePercentage: comparison.changePercentage,
+            shouldNotify: comparison.shouldNotify
+          });
         
-        results.push({
-          month: month.key,
-          name: month.name,
-          ...comparison
-        });
+          const result = {
+            month: month.key,
+            name: month.name,
+            ...comparison
+          };
         
-        if (comparison.shouldUpdateBaseline) {
-          await saveBaseline(month.key, screenshot);
-        }
+          if (calendar) {
+            for (const day of calendar.days) {
+              if (day.inMonth) availability.set(day.date, day.state);
+            }
+          }
+        
+          if (comparison.shouldUpdateBaseline) {
+            const version = await saveBaseline(month.key, screenshot, {
+              snapshot: calendar,
+              runId,
+              comparison,
+              storage: account
+            });
+            result.baselineVersion = version.id;
+            result.baselineStatus = version.status;
+          }
         
-        performanceTracker.logOperation(`process_${month.key}`, monthStart, true, { monthName: month.name });
+          result.durations = { captureMs, compareMs, totalMs: Date.now() - monthStart };
+          results.push(result);
+          const { changePercentage, shouldNotify, newlyAvailableDates } = monthProgress(account, result);
+          reportProgress('compared', { changePercentage, shouldNotify, newlyAvailableDates });
+          reportPartialResult(monthProgress(account, result));
         
-      } catch (error) {
-        console.error(`❌ Error processing ${month.name}:`, error);
-        performanceTracker.logOperation(`process_${month.key}`, monthStart, false, { 
-          monthName: month.name, 
-          error: error.message 
-        });
-        results.push({
-          month: month.key,
-          name: month.name,
-          error: error.message,
-          shouldNotify: false
-        });
-      }
+          performanceTracker.logOperation('process', monthStart, true, { month: month.key });
+        
+        } catch (error) {
+          // A page call cut short by cancellation is not a month failure
+          checkCancelled();
+          logger.error('Month processing failed', { error });
+          await diagnostics.recordFailure(page, account.id, month.key, error);
+          performanceTracker.logOperation('process', monthStart, false, { 
+            month: month.key, 
+            error: error.message 
+          });
+          const result = {
+            month: month.key,
+            name: month.name,
+            error: error.message,
+            errorStage: error.stage || null,
+            shouldNotify: false,
+            durations: { totalMs: Date.now() - monthStart }
+          };
+          results.push(result);
+          reportProgress('month_failed', { error: error.message });
+          reportPartialResult(monthProgress(account, result));
+        }
+      });
     }
     
+    const watch = watchRules.length > 0 ? applyWatchRules(watchRules, results, availability) : null;
     const changedMonths = results.filter(r => r.shouldNotify);
     
-    performanceTracker.logOperation('total_monitor_run', monitorStart, true, {
+    performanceTracker.logOperation('account', accountStart, true, {
       monthsProcessed: results.length,
-      changedMonths: changedMonths.length,
-      finalMemory: process.memoryUsage()
+      changedMonths: changedMonths.length
     });
     
     return {
+      account: account.id,
+      name: account.name,
+      success: true,
       totalMonths: results.length,
       changedMonths,
       allResults: results,
+      durationMs: Date.now() - accountStart,
+      session,
+      watchRules: watch,
+      availability,
       summary: {
         totalMonthsChecked: results.length,
         monthsWithChanges: changedMonths.length,
-        highestChangePercent: Math.max(...results.map(r => parseFloat(r.changePercentage || 0))),
+        highestChangePercent: Math.max(0, ...results.map(r => parseFloat(r.changePercentage || 0))),
         totalAvailabilityIncrease: changedMonths.reduce((sum, m) => sum + (m.availabilityIncrease || 0), 0)
-      },
-      performance: performanceTracker.metrics
+      }
     };
     
-  } finally {
-    await browser.close();
+  } catch (error) {
+    checkCancelled();
+    // Login or context failures only cost this account - the others still run
+    logger.error('Account failed', { error });
+    await diagnostics.recordFailure(page, account.id, 'account', error);
+    const login = error instanceof LoginError ? { errorCode: error.code, retryAfter: error.retryAfter } : {};
+    reportProgress('account_failed', { error: error.message, ...login });
+    performanceTracker.logOperation('account', accountStart, false, { error: error.message });
     
-    // Final memory cleanup
-    if (global.gc) {
-      global.gc();
-      console.log(`🧹 Final cleanup - Memory: ${JSON.stringify(process.memoryUsage())}`);
+    return {
+      account: account.id,
+      name: account.name,
+      success: false,
+      error: error.message,
+      ...login,
+      totalMonths: 0,
+      changedMonths: [],
+      allResults: [],
+      durationMs: Date.now() - accountStart,
+      summary: {
+        totalMonthsChecked: 0,
+        monthsWithChanges: 0,
+        highestChangePercent: 0,
+        totalAvailabilityIncrease: 0
+      }
+    };
+  } finally {
+    if (context) {
+      await diagnostics.closeAccount(context, account.id);
+      await context.close().catch(() => {});
     }
   }
 }
 
+// What a job shows of a checked month while the run goes on (before watch rules are applied)
+function monthProgress(account, result) {
+  return {
+    account: account.id,
+    month: result.month,
+    name: result.name,
+    detectionMethod: result.detectionMethod || null,
+    changePercentage: result.changePercentage !== undefined ? result.changePercentage : null,
+    shouldNotify: Boolean(result.shouldNotify),
+    newlyAvailableDates: result.newlyAvailableDates || [],
+    error: result.error || null
+  };
+}
+
 // HELPER FUNCTIONS for bulletproof navigation
 
+// First visible match from a site-profile selector chain, or null
+async function firstVisible(page, selectors, timeout = 2000) {
+  for (const selector of selectors) {
+    const locator = page.locator(selector).first();
+    if (await locator.isVisible({ timeout }).catch(() => false)) return locator;
+  }
+  return null;
+}
+
 function parseMonthHeader(headerText) {
   if (!headerText) return { month: 'unknown', year: 0 };
   
@@ -236,7 +711,7 @@ function parseMonthHeader(headerText) {
     }
   }
   
-  console.log(`⚠️ Could not parse month header: "${headerText}"`);
+  logger.warn('Could not parse month header', { operation: 'navigate', header: headerText });
   return { month: 'unknown', year: 0 };
 }
 
@@ -263,25 +738,24 @@ function calculateNavigationDirection(current, target) {
 }
 
 async function clickNavigationButton(page, direction) {
-  const buttonSelectors = direction === 'forward' ? 
-    ['.ui-datepicker-next', '.calendar-header .next', 'button[title*="Next"]', 'a[title*="Next"]', '[class*="next"]'] :
-    ['.ui-datepicker-prev', '.calendar-header .prev', 'button[title*="Prev"]', 'a[title*="Prev"]', '[class*="prev"]'];
+  const { calendar } = getSiteProfile();
+  const buttonSelectors = direction === 'forward' ? calendar.next : calendar.prev;
   
   for (const selector of buttonSelectors) {
     try {
       const button = page.locator(selector).first();
       if (await button.isVisible({ timeout: 2000 })) {
-        console.log(`🔘 Clicking ${direction} button: ${selector}`);
+        logger.debug('Clicking navigation button', { operation: 'navigate', direction, selector });
         await button.click();
-        console.log(`✅ Successfully clicked ${direction} button`);
+        logger.debug('Clicked navigation button', { operation: 'navigate', direction });
         return true;
       }
     } catch (e) {
-      console.log(`❌ Button click failed for selector: ${selector}`);
+      logger.debug('Navigation button click failed', { operation: 'navigate', selector });
     }
   }
   
-  console.log(`❌ Could not find any ${direction} navigation button`);
+  logger.warn('No navigation button found', { operation: 'navigate', direction });
   return false;
 }
 
@@ -299,7 +773,7 @@ async function waitForCalendarStability(page, headerSelector) {
       if (currentText === previousText) {
         stableCount++;
         if (stableCount >= 3) { // 3 consecutive stable readings
-          console.log(`📍 Calendar stabilized at: "${currentText}"`);
+          logger.debug('Calendar stabilized', { operation: 'navigate', header: currentText });
           return;
         }
       } else {
@@ -307,23 +781,20 @@ async function waitForCalendarStability(page, headerSelector) {
         previousText = currentText;
       }
     } catch (error) {
-      console.log(`⚠️ Stability check failed: ${error.message}`);
+      logger.debug('Stability check failed', { operation: 'navigate', error: error.message });
     }
   }
   
-  console.log(`⚠️ Calendar may not be fully stable, proceeding...`);
+  logger.debug('Calendar may not be fully stable, proceeding', { operation: 'navigate' });
 }
 
 async function validateMonthWithTextExtraction(page, expectedMonth, expectedYear) {
   try {
     // PRIMARY: Use Playwright's built-in text extraction
-    console.log(`🔍 PLAYWRIGHT TEXT EXTRACTION for ${expectedMonth} ${expectedYear}...`);
+    logger.debug('Extracting calendar text', { operation: 'navigate', expected: `${expectedMonth} ${expectedYear}` });
     
     // Extract all text from calendar area
-    const calendarSelectors = [
-      'table', '.calendar', '.datepicker', '.ui-datepicker', 
-      '[class*="calendar"]', '[class*="datepicker"]', 'main', 'body'
-    ];
+    const calendarSelectors = getSiteProfile().calendar.textContainers;
     
     let allText = '';
     let workingSelector = '';
@@ -340,7 +811,7 @@ async function validateMonthWithTextExtraction(page, expectedMonth, expectedYear
       }
     }
     
-    console.log(`📝 Extracted text from "${workingSelector}": ${allText.substring(0, 200)}...`);
+    logger.debug('Extracted calendar text', { operation: 'navigate', selector: workingSelector, text: allText.substring(0, 200) });
     
     // ANALYSIS: Look for month and year in extracted text
     const textLower = allText.toLowerCase();
@@ -375,13 +846,15 @@ async function validateMonthWithTextExtraction(page, expectedMonth, expectedYear
     
     confidence = Math.min(Math.max(confidence, 0), 1.0);
     
-    console.log(`🎯 TEXT EXTRACTION ANALYSIS:`);
-    console.log(`   📅 Expected: ${expectedMonth} ${expectedYear}`);
-    console.log(`   ✅ Has month: ${hasExpectedMonth}`);
-    console.log(`   ✅ Has year: ${hasExpectedYear}`);
-    console.log(`   🎯 Exact pattern: ${hasExactPattern}`);
-    console.log(`   ⚠️ Other months: ${otherMonths.length} (${otherMonths.join(', ')})`);
-    console.log(`   📊 Confidence: ${confidence.toFixed(2)}`);
+    logger.debug('Text extraction analysis', {
+      operation: 'navigate',
+      expected: `${expectedMonth} ${expectedYear}`,
+      hasExpectedMonth,
+      hasExpectedYear,
+      hasExactPattern,
+      otherMonths,
+      confidence: parseFloat(confidence.toFixed(2))
+    });
     
     return {
       confidence,
@@ -394,7 +867,7 @@ async function validateMonthWithTextExtraction(page, expectedMonth, expectedYear
     };
     
   } catch (error) {
-    console.log(`⚠️ Text extraction failed: ${error.message}`);
+    logger.debug('Text extraction failed', { operation: 'navigate', error: error.message });
     return {
       confidence: 0,
       detectedMonth: 'error',
@@ -410,10 +883,14 @@ async function validateMonthWithTextExtraction(page, expectedMonth, expectedYear
 async function validateCalendarDates(page, targetMonth, targetYear) {
   try {
     // Check if calendar shows dates for the correct month
-    const dateElements = await page.locator('td[class*="day"], .calendar-day, .ui-datepicker-calendar td').count();
+    const { dayCells, minDayCells } = getSiteProfile().calendar;
+    let dateElements = 0;
+    for (const selector of dayCells) {
+      dateElements = Math.max(dateElements, await page.locator(selector).count());
+    }
     
-    if (dateElements < 20) { // Should have at least 28-31 days visible
-      console.log(`⚠️ Only ${dateElements} date elements found, expected 28-31`);
+    if (dateElements < minDayCells) { // Should have at least 28-31 days visible
+      logger.debug('Too few date elements', { operation: 'navigate', dateElements });
       return false;
     }
     
@@ -421,135 +898,400 @@ async function validateCalendarDates(page, targetMonth, targetYear) {
     const hasDay1 = await page.locator('text="1"').first().isVisible().catch(() => false);
     const hasDay2 = await page.locator('text="2"').first().isVisible().catch(() => false);
     
-    console.log(`📅 Calendar validation: ${dateElements} days, day1=${hasDay1}, day2=${hasDay2}`);
+    logger.debug('Calendar dates validated', { operation: 'navigate', dateElements, hasDay1, hasDay2 });
     return hasDay1 && hasDay2;
     
   } catch (error) {
-    console.log(`⚠️ Date validation failed: ${error.message}`);
+    logger.debug('Date validation failed', { operation: 'navigate', error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Make sure `page` is logged in, preferring the saved session.
+ * Returns 'reused' when the saved session was still valid, otherwise logs in
+ * with the form and returns 'fresh_login' after saving the new session.
+ * Login failures throw a LoginError; while the account is backing off after
+ * earlier failures the form isn't touched at all.
+ */
+async function ensureLoggedIn(page, context, account, savedSession) {
+  const { username, password, loginStatePath } = account;
+
+  if (savedSession) {
+    if (await isLoggedIn(page)) {
+      logger.info('Reusing saved session', { operation: 'login', savedAt: savedSession.savedAt });
+      return 'reused';
+    }
+
+    // A probe cut short by cancellation says nothing about the saved session
+    checkCancelled();
+    logger.info('Saved session expired - logging in again', { operation: 'login' });
+    await context.clearCookies();
+    await clearSessionState(username);
+  }
+
+  const backoff = await loginBackoff(loginStatePath, username, password);
+  if (backoff) {
+    logger.warn('Login skipped - backing off after failed attempts', { operation: 'login', code: backoff.code, failures: backoff.failures, nextAttemptAt: backoff.nextAttemptAt });
+    throw new LoginError(backoff.code, `Login paused until ${backoff.nextAttemptAt} after ${backoff.failures} failed attempt(s): ${backoff.lastError}`, {
+      retryAfter: backoff.nextAttemptAt
+    });
+  }
+
+  try {
+    await doLogin(page, username, password);
+  } catch (error) {
+    // Closing the browser on cancel breaks the login - that says nothing about the account
+    checkCancelled();
+    if (error instanceof LoginError) {
+      await recordLoginFailure(loginStatePath, username, password, error);
+      metrics.loginFailures.inc({ account: account.id, code: error.code });
+      logger.warn('Login failed', { operation: 'login', code: error.code, url: error.url, retryAfter: error.retryAfter });
+    }
+    throw error;
+  }
+  await clearLoginFailures(loginStatePath)
+    .catch(error => logger.warn('Could not clear login backoff', { operation: 'login', error: error.message }));
+
+  try {
+    if (await saveSessionState(username, await context.storageState())) {
+      logger.debug('Session saved for reuse', { operation: 'login' });
+    }
+  } catch (error) {
+    // A session we can't persist only costs a login next run
+    logger.warn('Could not save session', { operation: 'login', error: error.message });
+  }
+
+  return 'fresh_login';
+}
+
+// Cheap "am I logged in" probe: one page load, then look for a logout link.
+// Only a visible logged-in marker counts - a page showing neither (an error or
+// redesigned page) must not be mistaken for a valid session.
+async function isLoggedIn(page) {
+  try {
+    const { urls, login } = getSiteProfile();
+    await page.goto(siteUrl(urls.home), { waitUntil: 'networkidle', timeout: 20000 });
+
+    if (await firstVisible(page, login.loggedIn, 0)) return true;
+    if (!(await firstVisible(page, login.loggedOut, 0))) {
+      logger.debug('Session probe found neither login nor logout link', { operation: 'login', url: page.url() });
+    }
+    return false;
+  } catch (error) {
+    logger.debug('Session probe failed', { operation: 'login', error: error.message });
     return false;
   }
 }
 
 async function doLogin(page, username, password) {
-  console.log('🔐 Logging in...');
+  logger.info('Logging in', { operation: 'login' });
+  const { urls, login } = getSiteProfile();
   
-  // Go to homepage
-  await page.goto('https://osrcreservations.com');
+  // Go to homepage - an unreachable site or an error page is an outage, not a login problem
+  const homeUrl = siteUrl(urls.home);
+  let home;
+  try {
+    home = await page.goto(homeUrl);
+  } catch (error) {
+    checkCancelled();
+    throw new LoginError('SITE_UNAVAILABLE', `Could not load ${homeUrl}: ${error.message}`, { url: homeUrl });
+  }
+  if (home && home.status() >= 500) {
+    throw new LoginError('SITE_UNAVAILABLE', `${homeUrl} answered HTTP ${home.status()}`, { url: homeUrl });
+  }
   
   // Click login link
-  await page.click('text=Login');
+  const openForm = await firstVisible(page, login.openForm, 5000);
+  if (!openForm) throw await classifyLoginPage(page, `Login link not found (tried ${login.openForm.join(', ')})`);
+  await openForm.click();
   await page.waitForLoadState('networkidle');
   
   // Fill login form
-  await page.fill('input[type="email"]', username);
-  await page.fill('input[type="password"]', password);
+  const usernameField = await firstVisible(page, login.username, 5000);
+  const passwordField = await firstVisible(page, login.password, 5000);
+  if (!usernameField || !passwordField) throw await classifyLoginPage(page, 'Login form fields not found - check the site profile');
+  await usernameField.fill(username);
+  await passwordField.fill(password);
   
   // Submit login
-  await Promise.all([
-    page.waitForNavigation({ waitUntil: 'networkidle' }),
-    page.click('button:has-text("Log in")')
+  const submit = await firstVisible(page, login.submit);
+  if (!submit) throw await classifyLoginPage(page, `Login button not found (tried ${login.submit.join(', ')})`);
+  // A rejected login may re-render the form in place - the page decides, not the navigation
+  const [response] = await Promise.all([
+    page.waitForNavigation({ waitUntil: 'networkidle' }).catch(() => null),
+    submit.click()
   ]);
 
-  console.log('✅ Login successful');
+  if (response && response.status() >= 500) {
+    throw new LoginError('SITE_UNAVAILABLE', `Login answered HTTP ${response.status()}`, { url: page.url() });
+  }
+  if (!(await firstVisible(page, login.loggedIn, 2000))) {
+    throw await classifyLoginPage(page, 'No logged-in marker after submitting the login form', { submitted: true });
+  }
+
+  logger.info('Login successful', { operation: 'login' });
   
   // Wait for login to complete
   await page.waitForTimeout(3000);
 }
 
-async function captureSpecificMonth(page, monthName, year, monthNumber) {
-  console.log(`🗓️ Capturing ${monthName} ${year}...`);
-  
-  // Go to General Availability page
-  await page.goto('https://osrcreservations.com/generalavailability', { 
-    waitUntil: 'networkidle',
-    timeout: 20000 
-  });
-  
-  await page.waitForTimeout(2000);
-  
-  // Navigate to the specific month
-  const targetMonth = { month: monthNumber, year: year, name: `${monthName} ${year}` };
-  await navigateToMonth(page, targetMonth);
-  
-  // Take screenshot
-  try {
-    const calendar = page.locator('table').first();
-    await calendar.scrollIntoViewIfNeeded();
-    const screenshot = await calendar.screenshot({ type: 'png' });
-    console.log(`📸 Screenshot captured for ${monthName}`);
-    return screenshot;
-  } catch (error) {
-    console.log(`📸 Taking fallback screenshot for ${monthName}`);
-    return await page.screenshot({
-      clip: { x: 400, y: 200, width: 500, height: 400 },
-      type: 'png'
-    });
+/**
+ * Work out why the page isn't the one a login should lead to, as a
+ * LoginError: a captcha, the site's own error text (outage, locked account,
+ * bad credentials - patterns from the profile's loginErrors), the login form
+ * still showing after a submit, or UNKNOWN_PAGE with `fallback` as the reason.
+ */
+async function classifyLoginPage(page, fallback, { submitted = false } = {}) {
+  const { login, loginErrors, loginErrorPatterns } = getSiteProfile();
+  const url = page.url();
+
+  if (await firstVisible(page, loginErrors.captcha, 0)) {
+    return new LoginError('CAPTCHA_REQUIRED', `The site asks for a captcha at ${url} - log in once by hand, then retry`, { url });
   }
+
+  const text = await page.locator('body').innerText({ timeout: 2000 }).catch(() => '');
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  for (const [code, key] of [['SITE_UNAVAILABLE', 'siteUnavailable'], ['ACCOUNT_LOCKED', 'accountLocked'], ['INVALID_CREDENTIALS', 'invalidCredentials']]) {
+    const line = lines.find(l => loginErrorPatterns[key].test(l));
+    if (line) return new LoginError(code, `Login failed - the site says "${line.slice(0, 200)}"`, { url });
+  }
+
+  if (submitted && await firstVisible(page, login.password, 0)) {
+    return new LoginError('INVALID_CREDENTIALS', 'Login failed - still on the login form after submitting (check the credentials)', { url });
+  }
+
+  const title = await page.title().catch(() => '');
+  return new LoginError('UNKNOWN_PAGE', `${fallback} - unrecognised page "${title}" at ${url}`, { url });
 }
 
 // Retry wrapper for critical operations
-async function captureMonthWithRetry(page, monthData, maxRetries = 3) {
+async function captureMonthWithRetry(page, monthData, { screenshotDir, maxRetries = 3 } = {}) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      return await captureMonth(page, monthData);
+      return await captureMonth(page, monthData, { screenshotDir });
     } catch (error) {
+      checkCancelled();
       if (attempt === maxRetries) {
-        console.error(`❌ Final attempt failed for ${monthData.name}: ${error.message}`);
+        logger.error('Capture failed after retries', { operation: 'capture', attempts: maxRetries, error: error.message });
         throw error;
       }
       
       const delay = Math.min(1000 * Math.pow(2, attempt - 1), 8000); // Max 8s delay
-      console.log(`🔄 Retry ${attempt}/${maxRetries} for ${monthData.name} in ${delay}ms: ${error.message}`);
+      metrics.navigationRetries.inc({ month: monthData.key });
+      logger.warn('Retrying capture', { operation: 'capture', attempt, maxRetries, delayMs: delay, error: error.message });
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
 }
 
-async function captureMonth(page, monthData) {
-  console.log('🏔️ Going to General Availability...');
+// `screenshotDir` gets the diagnostic screenshots (see DIAGNOSTIC_SCREENSHOT in lib/health-alerts.js)
+async function captureMonth(page, monthData, { screenshotDir = SCREENSHOT_DIR } = {}) {
+  logger.debug('Opening availability page', { operation: 'capture' });
   
   // Go directly to General Availability
-  await page.goto('https://osrcreservations.com/generalavailability', { 
+  await page.goto(siteUrl(getSiteProfile().urls.availability), { 
     waitUntil: 'networkidle',
     timeout: 20000 
   });
   
-  console.log('✅ On General Availability page');
+  logger.debug('On availability page', { operation: 'capture' });
   await page.waitForTimeout(3000);
   
   // Navigate to target month
-  await navigateToMonth(page, monthData);
+  const navigationStart = Date.now();
+  try {
+    await navigateToMonth(page, monthData, { screenshotDir });
+    performanceTracker.logOperation('navigate', navigationStart, true, { month: monthData.key });
+  } catch (error) {
+    performanceTracker.logOperation('navigate', navigationStart, false, { month: monthData.key });
+    // Health alerts (lib/health-alerts.js) tell a vanished calendar from navigation trouble
+    error.stage = await calendarMissing(page) ? 'calendar_missing' : 'navigation';
+    throw error;
+  }
+
+  // Without the table there is nothing to read or screenshot - the page layout has changed
+  if (await calendarMissing(page)) {
+    await page.screenshot({ path: path.join(screenshotDir, 'calendar-missing.png') }).catch(() => {});
+    const error = new Error(`Calendar table not found (${getSiteProfile().calendar.root}) - page structure may have changed`);
+    error.stage = 'calendar_missing';
+    throw error;
+  }
+
+  // Day cells with their position inside the calendar table we screenshot
+  const cells = await readCalendarCells(page, monthData);
+
+  // PRIMARY signal: per-day availability read from the calendar table
+  const calendar = buildCalendarSnapshot(monthData, cells);
 
   // Take screenshot
   try {
-    const calendar = page.locator('table').first();
-    await calendar.scrollIntoViewIfNeeded();
-    const screenshot = await calendar.screenshot({ type: 'png' });
-    console.log(`📸 Screenshot captured for ${monthData.name}`);
-    return screenshot;
+    const calendarTable = page.locator(getSiteProfile().calendar.root).first();
+    await calendarTable.scrollIntoViewIfNeeded();
+    const screenshot = await calendarTable.screenshot({ type: 'png' });
+    logger.debug('Screenshot captured', { operation: 'capture' });
+    return { screenshot, calendar, grid: cells };
   } catch (error) {
-    console.log('📸 Taking fallback screenshot');
-    return await page.screenshot({
+    logger.warn('Calendar screenshot failed - taking fallback screenshot', { operation: 'capture' });
+    const screenshot = await page.screenshot({
       clip: { x: 400, y: 200, width: 500, height: 400 },
       type: 'png'
     });
+    // Cell positions are relative to the table, so they don't apply to this clip
+    return { screenshot, calendar, grid: null };
   }
 }
 
-async function navigateToMonth(page, monthData) {
+async function calendarMissing(page) {
+  return (await page.locator(getSiteProfile().calendar.root).count().catch(() => 1)) === 0;
+}
+
+async function readCalendarCells(page, monthData) {
+  try {
+    const { calendar, days, dayPatterns } = getSiteProfile();
+    const classifier = colorClassifier();
+    const rawCells = await page.locator(calendar.root).first().evaluate((root, cellSelector) => {
+      const rootRect = root.getBoundingClientRect();
+
+      const parseColor = value => {
+        const match = (value || '').match(/rgba?\(\s*(\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?/);
+        if (!match) return null;
+        const alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+        return alpha === 0 ? null : [+match[1], +match[2], +match[3]];
+      };
+
+      const cellColor = cell => {
+        // Availability is often drawn on a child dot rather than the cell itself
+        for (const el of [cell, ...cell.querySelectorAll('*')]) {
+          const color = parseColor(getComputedStyle(el).backgroundColor);
+          if (color) return color;
+        }
+        return null;
+      };
+
+      return Array.from(root.querySelectorAll(cellSelector)).map(cell => {
+        const dayMatch = (cell.textContent || '').trim().match(/^(\d{1,2})\b/);
+        if (!dayMatch) return null;
+
+        const markers = [
+          cell.className,
+          cell.getAttribute('title'),
+          cell.getAttribute('aria-label'),
+          cell.getAttribute('data-status'),
+          cell.getAttribute('data-availability'),
+          ...Array.from(cell.querySelectorAll('[class], [title]'))
+            .map(el => `${el.className} ${el.getAttribute('title') || ''}`)
+        ].filter(Boolean).join(' ');
+
+        const rect = cell.getBoundingClientRect();
+
+        return {
+          day: parseInt(dayMatch[1], 10),
+          className: String(cell.className || ''),
+          markers,
+          ariaDisabled: cell.getAttribute('aria-disabled') === 'true',
+          dataAvailable: cell.getAttribute('data-available') === 'true',
+          color: cellColor(cell),
+          rect: {
+            x: Math.round(rect.left - rootRect.left),
+            y: Math.round(rect.top - rootRect.top),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          }
+        };
+      }).filter(Boolean);
+    }, days.cell);
+
+    // Classified here rather than in the page so the rules come straight from the site profile
+    const cells = rawCells.map(cell => {
+      let state = 'other';
+      let reason = 'unknown';
+
+      if (cell.ariaDisabled || dayPatterns.unavailablePattern.test(cell.markers)) {
+        state = 'unavailable';
+        reason = 'markup';
+      } else if (cell.dataAvailable || dayPatterns.availablePattern.test(cell.markers)) {
+        state = 'available';
+        reason = 'markup';
+      } else if (!cell.color || classifier.isBackground(cell.color)) {
+        state = 'unavailable';
+        reason = 'background';
+      } else if (classifier.isAvailable(cell.color)) {
+        state = 'available';
+        reason = 'background';
+      }
+
+      return {
+        day: cell.day,
+        otherMonthMarker: dayPatterns.otherMonthPattern.test(cell.className),
+        state,
+        reason,
+        rect: cell.rect
+      };
+    });
+
+    // Cells before the first "1" belong to the previous month, cells after the
+    // day number wraps back to 1 belong to the next month
+    let phase = -1;
+    let lastDay = 0;
+    return cells.map(cell => {
+      if (cell.day === 1 && (phase === -1 || lastDay > 1)) phase++;
+      lastDay = cell.day;
+
+      const offset = Math.min(Math.max(phase, -1), 1);
+      const date = new Date(Date.UTC(monthData.year, monthData.month - 1 + offset, cell.day));
+
+      return {
+        date: date.toISOString().slice(0, 10),
+        inMonth: offset === 0 && !cell.otherMonthMarker,
+        state: cell.state,
+        reason: cell.reason,
+        rect: cell.rect
+      };
+    });
+  } catch (error) {
+    logger.warn('DOM extraction failed', { operation: 'capture', error: error.message });
+    return null;
+  }
+}
+
+function buildCalendarSnapshot(monthData, cells) {
+  if (!cells) return null;
+
+  const days = cells.map(({ rect, ...day }) => day);
+  const inMonthDays = days.filter(d => d.inMonth).length;
+  if (inMonthDays < 28) {
+    logger.warn('DOM extraction found too few days - falling back to pixels', { operation: 'capture', inMonthDays });
+    return null;
+  }
+
+  const counts = days.reduce((acc, d) => ({ ...acc, [d.state]: (acc[d.state] || 0) + 1 }), {});
+  logger.debug('DOM extraction finished', { operation: 'capture', dayCells: days.length, counts });
+
+  return {
+    month: monthData.key,
+    name: monthData.name,
+    capturedAt: new Date().toISOString(),
+    days,
+    // Where each day sits in the screenshot - lets calibrate_palette.js sample a saved baseline
+    grid: cells.map(({ date, rect }) => ({ date, rect }))
+  };
+}
+
+async function navigateToMonth(page, monthData, { screenshotDir = SCREENSHOT_DIR } = {}) {
   const targetMonth = monthData.month;
   const targetYear = monthData.year;
   const targetMonthName = ['january', 'february', 'march', 'april', 'may', 'june',
                           'july', 'august', 'september', 'october', 'november', 'december'][targetMonth - 1];
   
-  console.log(`🗓️ BULLETPROOF NAVIGATION to ${monthData.name} (${targetMonthName} ${targetYear})...`);
+  logger.debug('Navigating to month', { operation: 'navigate', target: `${targetMonthName} ${targetYear}` });
   
   // VERIFICATION STEP 1: Take screenshot of starting state
   const startingScreenshot = await page.screenshot({ type: 'png' });
-  console.log(`📸 Starting state captured (${startingScreenshot.length} bytes)`);
+  logger.debug('Starting state captured', { operation: 'navigate', bytes: startingScreenshot.length });
   
   // VERIFICATION STEP 2: PRIMARY - Use Playwright text extraction to find current month
-  console.log(`🔍 PRIMARY METHOD: Playwright text extraction for current month detection...`);
+  logger.debug('Detecting current month from calendar text', { operation: 'navigate' });
   const currentTextValidation = await validateMonthWithTextExtraction(page, 'any', new Date().getFullYear());
   
   let currentMonthText = '';
@@ -576,7 +1318,7 @@ async function navigateToMonth(page, monthData) {
         if (match) {
           currentMonthText = match[0];
           workingSelector = currentTextValidation.workingSelector;
-          console.log(`📍 PRIMARY SUCCESS: Found current month via text extraction: "${currentMonthText}"`);
+          logger.debug('Current month found via text extraction', { operation: 'navigate', header: currentMonthText });
           break;
         }
       }
@@ -586,18 +1328,9 @@ async function navigateToMonth(page, monthData) {
   
   // FALLBACK: Multiple header detection methods if text extraction failed
   if (!currentMonthText) {
-    console.log(`⚠️ Text extraction failed, falling back to header selectors...`);
+    logger.debug('Text extraction failed, falling back to header selectors', { operation: 'navigate' });
     
-    const headerSelectors = [
-      '.ui-datepicker-title',
-      '.calendar-header h3', 
-      '.calendar-header h2',
-      'h2.ui-datepicker-title',
-      '.datepicker-title',
-      '[class*="month"][class*="year"]',
-      '[class*="calendar"][class*="header"] h2',
-      '[class*="calendar"][class*="header"] h3'
-    ];
+    const headerSelectors = getSiteProfile().calendar.header;
     
     for (const selector of headerSelectors) {
       try {
@@ -605,17 +1338,18 @@ async function navigateToMonth(page, monthData) {
         if (text && text.trim()) {
           currentMonthText = text.trim();
           workingSelector = selector;
-          console.log(`📍 FALLBACK SUCCESS: Found header with selector "${selector}": "${currentMonthText}"`);
+          logger.debug('Current month found via header selector', { operation: 'navigate', selector, header: currentMonthText });
           break;
         }
       } catch (e) {
-        console.log(`❌ Selector "${selector}" failed: ${e.message}`);
+        logger.debug('Header selector failed', { operation: 'navigate', selector, error: e.message });
       }
     }
   }
   
   if (!currentMonthText) {
-    console.error(`🚨 CRITICAL: Could not detect current month via text extraction OR header selectors!`);
+    logger.error('Could not detect the current month via text extraction or header selectors', { operation: 'navigate' });
+    await page.screenshot({ path: path.join(screenshotDir, 'final-navigation-state.png') }).catch(() => {});
     throw new Error('Cannot detect month - page structure may have changed or calendar not loaded');
   }
   
@@ -627,17 +1361,17 @@ async function navigateToMonth(page, monthData) {
     try {
       // Get current month using the working selector
       const monthHeaderText = await page.locator(workingSelector).first().textContent({ timeout: 5000 });
-      console.log(`🔍 Attempt ${attempts + 1}: Current month header: "${monthHeaderText}"`);
+      logger.debug('Navigation attempt', { operation: 'navigate', attempt: attempts + 1, header: monthHeaderText });
       
       // VERIFICATION: Parse and validate current month
       const parsedCurrent = parseMonthHeader(monthHeaderText);
       const parsedTarget = { month: targetMonthName, year: targetYear };
       
-      console.log(`📊 PARSED: Current=${parsedCurrent.month} ${parsedCurrent.year}, Target=${parsedTarget.month} ${parsedTarget.year}`);
+      logger.debug('Parsed month header', { operation: 'navigate', current: `${parsedCurrent.month} ${parsedCurrent.year}`, target: `${parsedTarget.month} ${parsedTarget.year}` });
       
       // VERIFICATION: Check if we're at exact target
       if (parsedCurrent.month === parsedTarget.month && parsedCurrent.year === parsedTarget.year) {
-        console.log(`✅ MONTH MATCH DETECTED!`);
+        logger.debug('Month match detected', { operation: 'navigate' });
         
         // TRIPLE VERIFICATION before declaring success
         await page.waitForTimeout(2000); // Let calendar fully stabilize
@@ -649,7 +1383,7 @@ async function navigateToMonth(page, monthData) {
         // Verification 2: Take screenshot and compare with starting state
         const currentScreenshot = await page.screenshot({ type: 'png' });
         const screenshotDiff = Math.abs(currentScreenshot.length - startingScreenshot.length);
-        console.log(`📸 Screenshot size change: ${screenshotDiff} bytes`);
+        logger.debug('Screenshot size change', { operation: 'navigate', bytes: screenshotDiff });
         
         // Verification 3: Playwright text extraction validation
         const textConfirm = await validateMonthWithTextExtraction(page, targetMonthName, targetYear);
@@ -658,42 +1392,46 @@ async function navigateToMonth(page, monthData) {
             doubleCheckParsed.year === parsedTarget.year &&
             textConfirm.confidence > 0.8) {
           
-          console.log(`🎯 TRIPLE VERIFIED SUCCESS:`);
-          console.log(`   ✅ Header text: "${doubleCheck}"`);
-          console.log(`   ✅ Screenshot diff: ${screenshotDiff} bytes`);
-          console.log(`   ✅ Text extraction confidence: ${textConfirm.confidence}`);
-          console.log(`   ✅ Text detected: ${textConfirm.detectedMonth} ${textConfirm.detectedYear}`);
+          logger.debug('Month triple-verified', {
+            operation: 'navigate',
+            header: doubleCheck,
+            screenshotDiffBytes: screenshotDiff,
+            textConfidence: textConfirm.confidence,
+            textDetected: `${textConfirm.detectedMonth} ${textConfirm.detectedYear}`
+          });
           
           // FINAL VALIDATION: Check for calendar dates
           const hasValidDates = await validateCalendarDates(page, targetMonth, targetYear);
           if (hasValidDates) {
-            console.log(`   ✅ Calendar dates validated for ${targetMonthName} ${targetYear}`);
+            logger.info('Navigated to month', { operation: 'navigate', attempts: attempts + 1 });
             return; // SUCCESS!
           } else {
-            console.log(`   ❌ Calendar dates validation failed`);
+            logger.debug('Calendar dates validation failed', { operation: 'navigate' });
           }
         } else {
-          console.log(`❌ TRIPLE VERIFICATION FAILED:`);
-          console.log(`   - DoubleCheck: ${doubleCheckParsed.month} ${doubleCheckParsed.year}`);
-          console.log(`   - Text confidence: ${textConfirm.confidence}`);
-          console.log(`   - Text detected: ${textConfirm.detectedMonth} ${textConfirm.detectedYear}`);
+          logger.debug('Month triple verification failed', {
+            operation: 'navigate',
+            header: `${doubleCheckParsed.month} ${doubleCheckParsed.year}`,
+            textConfidence: textConfirm.confidence,
+            textDetected: `${textConfirm.detectedMonth} ${textConfirm.detectedYear}`
+          });
         }
       }
       
       // NAVIGATION: Determine direction with validation
       const navigationDirection = calculateNavigationDirection(parsedCurrent, parsedTarget);
-      console.log(`🧭 Navigation direction: ${navigationDirection}`);
+      logger.debug('Navigation direction', { operation: 'navigate', direction: navigationDirection });
       
       if (navigationDirection === 'already_there') {
-        console.log(`🤔 Should be there but verification failed - taking recovery screenshot`);
-        await page.screenshot({ path: './tmp/navigation-error.png' });
+        logger.warn('Header matches but verification failed - taking recovery screenshot', { operation: 'navigate' });
+        await page.screenshot({ path: path.join(screenshotDir, 'navigation-error.png') });
         throw new Error(`Navigation claims success but verification failed`);
       }
       
       // CLICK: Navigation button with validation
       const clickSuccess = await clickNavigationButton(page, navigationDirection);
       if (!clickSuccess) {
-        console.log(`❌ Could not click navigation button, stopping`);
+        logger.warn('Could not click navigation button, stopping', { operation: 'navigate' });
         break;
       }
       
@@ -702,10 +1440,10 @@ async function navigateToMonth(page, monthData) {
       await waitForCalendarStability(page, workingSelector);
       
     } catch (error) {
-      console.error(`❌ Navigation attempt ${attempts + 1} failed:`, error.message);
+      logger.warn('Navigation attempt failed', { operation: 'navigate', attempt: attempts + 1, error: error.message });
       
       // Take error screenshot for debugging
-      await page.screenshot({ path: `./tmp/nav-error-${attempts}.png` }).catch(() => {});
+      await page.screenshot({ path: path.join(screenshotDir, `nav-error-${attempts}.png`) }).catch(() => {});
     }
   }
   
@@ -715,14 +1453,17 @@ async function navigateToMonth(page, monthData) {
     const finalParsed = parseMonthHeader(finalMonthText);
     const finalTextExtraction = await validateMonthWithTextExtraction(page, targetMonthName, targetYear);
     
-    console.log(`🏁 FINAL STATE ANALYSIS:`);
-    console.log(`   📝 Header text: "${finalMonthText}"`);
-    console.log(`   📊 Parsed: ${finalParsed.month} ${finalParsed.year}`);
-    console.log(`   🔍 Text extraction: ${finalTextExtraction.detectedMonth} ${finalTextExtraction.detectedYear} (confidence: ${finalTextExtraction.confidence})`);
-    console.log(`   🎯 Target: ${targetMonthName} ${targetYear}`);
+    logger.debug('Final navigation state', {
+      operation: 'navigate',
+      header: finalMonthText,
+      parsed: `${finalParsed.month} ${finalParsed.year}`,
+      textDetected: `${finalTextExtraction.detectedMonth} ${finalTextExtraction.detectedYear}`,
+      textConfidence: finalTextExtraction.confidence,
+      target: `${targetMonthName} ${targetYear}`
+    });
     
     // Take final diagnostic screenshot
-    await page.screenshot({ path: './tmp/final-navigation-state.png' });
+    await page.screenshot({ path: path.join(screenshotDir, 'final-navigation-state.png') });
     
     // DUAL VALIDATION: Both header parsing AND text extraction must confirm success
     const headerSuccess = finalParsed.month === targetMonthName && finalParsed.year === targetYear;
@@ -732,23 +1473,34 @@ async function navigateToMonth(page, monthData) {
     
     if (!headerSuccess && !textSuccess) {
       const errorMsg = `NAVIGATION FAILED: Target=${targetMonthName} ${targetYear}, Header=${finalParsed.month} ${finalParsed.year}, Text=${finalTextExtraction.detectedMonth} ${finalTextExtraction.detectedYear}`;
-      console.error(`❌ ${errorMsg}`);
+      logger.error('Navigation failed', { operation: 'navigate', error: errorMsg });
       throw new Error(errorMsg);
     } else if (!headerSuccess && textSuccess) {
-      console.log(`⚠️ Header parsing failed but text extraction succeeded - proceeding with text validation`);
+      logger.warn('Header parsing failed but text extraction succeeded - proceeding', { operation: 'navigate' });
     } else if (headerSuccess && !textSuccess) {
-      console.log(`⚠️ Text extraction failed but header parsing succeeded - proceeding with header validation`);
+      logger.warn('Text extraction failed but header parsing succeeded - proceeding', { operation: 'navigate' });
     } else {
-      console.log(`✅ DUAL VALIDATION SUCCESS: Both header and text extraction confirm target month`);
+      logger.info('Navigated to month', { operation: 'navigate', validatedBy: 'header_and_text' });
     }
     
   } catch (error) {
-    console.error(`❌ Final verification failed:`, error.message);
+    logger.error('Final navigation verification failed', { operation: 'navigate', error: error.message });
     throw error;
   }
 }
 
-function getMonthsToCheck() {
+function getMonthsToCheck(watchRules = []) {
+  if (watchRules.length > 0) {
+    const months = monthsForRules(watchRules).map(key => {
+      const [year, month] = key.split('-').map(Number);
+      return buildMonthData(new Date(year, month - 1, 1));
+    });
+    
+    logger.info('Watching rules', { rules: watchRules.map(r => ({ id: r.id, name: r.name, start: r.start, end: r.end, minNights: r.minNights })) });
+    logger.info('Months to check', { months: months.map(m => m.key) });
+    return months;
+  }
+  
   const now = new Date();
   const ninetyDaysFromNow = new Date(now.getTime() + (90 * 24 * 60 * 60 * 1000));
   const months = [];
@@ -757,305 +1509,482 @@ function getMonthsToCheck() {
   const currentDate = new Date(now.getFullYear(), now.getMonth(), 1);
   
   while (currentDate <= ninetyDaysFromNow) {
-    const monthData = {
-      key: `${currentDate.getFullYear()}-${String(currentDate.getMonth() + 1).padStart(2, '0')}`,
-      name: currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
-      month: currentDate.getMonth() + 1,
-      year: currentDate.getFullYear(),
-      startDate: new Date(currentDate),
-      endDate: ninetyDaysFromNow
-    };
-    months.push(monthData);
+    months.push(buildMonthData(currentDate, ninetyDaysFromNow));
     
     // Move to next month
     currentDate.setMonth(currentDate.getMonth() + 1);
   }
   
-  console.log(`📅 Monitoring next 90 days: ${now.toDateString()} to ${ninetyDaysFromNow.toDateString()}`);
-  console.log(`📅 Months to check: ${months.map(m => m.name).join(', ')}`);
+  logger.info('Monitoring next 90 days', { from: now.toISOString().slice(0, 10), to: ninetyDaysFromNow.toISOString().slice(0, 10) });
+  logger.info('Months to check', { months: months.map(m => m.key) });
   
   return months;
 }
 
-async function compareWithBaseline(monthData, currentScreenshot) {
-  const baselinePath = path.join(STORAGE_PATH, `${monthData.key}.png`);
-  let baselineBuffer = null;
+function buildMonthData(firstOfMonth, endDate = null) {
+  return {
+    key: `${firstOfMonth.getFullYear()}-${String(firstOfMonth.getMonth() + 1).padStart(2, '0')}`,
+    name: firstOfMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+    month: firstOfMonth.getMonth() + 1,
+    year: firstOfMonth.getFullYear(),
+    startDate: new Date(firstOfMonth),
+    endDate: endDate || new Date(firstOfMonth.getFullYear(), firstOfMonth.getMonth() + 1, 0)
+  };
+}
+
+/**
+ * With watch rules, a change only alerts when it completes a stay some rule
+ * asks for. Months whose new dates aren't part of a new matching stay are
+ * kept in the results but no longer notify.
+ */
+function applyWatchRules(watchRules, results, availability) {
+  // Pixel-only months have no day states, but their newly available dates are known to be open
+  for (const result of results) {
+    for (const date of result.newlyAvailableDates || []) {
+      if (!availability.has(date)) availability.set(date, 'available');
+    }
+  }
   
-  try {
-    await fs.mkdir(STORAGE_PATH, { recursive: true });
-    baselineBuffer = await fs.readFile(baselinePath);
-    
-    console.log(`📊 Comparing ${monthData.name} with existing baseline`);
-    console.log(`  - Baseline size: ${baselineBuffer.length} bytes`);
-    console.log(`  - Current size: ${currentScreenshot.length} bytes`);
-    
-    const comparison = performVisualComparison(baselineBuffer, currentScreenshot);
+  const newlyAvailable = new Set(results.flatMap(r => r.newlyAvailableDates || []));
+  const evaluations = evaluateWatchRules(watchRules, availability, newlyAvailable);
+  
+  for (const result of results) {
+    if (!result.shouldNotify) continue;
     
-    // Memory cleanup - explicitly null large buffers
-    baselineBuffer = null;
+    const dates = new Set(result.newlyAvailableDates || []);
+    const matched = evaluations.filter(e => e.newStays.some(stay => stay.dates.some(d => dates.has(d))));
     
-    // Force garbage collection if available (Cloud Run optimization)
-    if (global.gc) {
-      global.gc();
+    if (matched.length > 0) {
+      result.matchedRules = matched.map(e => e.id);
+    } else {
+      result.shouldNotify = false;
+      result.suppressedByWatchRules = true;
     }
-    
-    console.log(`📊 Comparison results for ${monthData.name}:`);
-    console.log(`  - Total pixels: ${comparison.totalPixels}`);
-    console.log(`  - Changed pixels: ${comparison.changedPixels}`);
-    console.log(`  - Change percentage: ${comparison.changePercentage}%`);
-    console.log(`  - Availability increase: ${comparison.availabilityIncrease}`);
-    console.log(`  - Significant change: ${comparison.significantChange}`);
-    console.log(`  - Likely new availability: ${comparison.likelyNewAvailability}`);
-    console.log(`  - Would notify: ${comparison.significantChange && comparison.likelyNewAvailability}`);
-    
-    return {
-      hasBaseline: true,
-      shouldNotify: comparison.significantChange && comparison.likelyNewAvailability,
-      shouldUpdateBaseline: comparison.significantChange,
-      ...comparison
-    };
-    
+  }
+  
+  for (const evaluation of evaluations) {
+    logger.info('Watch rule evaluated', { rule: evaluation.id, satisfied: evaluation.satisfied, stays: evaluation.stayCount, newStays: evaluation.newStays.length });
+  }
+  
+  return evaluations;
+}
+
+// `storage` is an account (or its accountPaths) - where baselines and overlays live
+async function compareWithBaseline(monthData, currentScreenshot, grid = null, runId = null, storage = DEFAULT_STORAGE) {
+  const baselinePath = path.join(storage.storagePath, `${monthData.key}.png`);
+  let baselineBuffer = null;
+  
+  await fs.mkdir(storage.storagePath, { recursive: true });
+  
+  try {
+    baselineBuffer = await fs.readFile(baselinePath);
   } catch (error) {
-    console.log(`📸 No baseline found for ${monthData.key} - creating new baseline`);
-    await saveBaseline(monthData.key, currentScreenshot);
+    logger.info('No baseline found - creating new baseline', { operation: 'compare' });
+    await saveBaseline(monthData.key, currentScreenshot, { runId, storage });
     
     return {
       hasBaseline: false,
+      detectionMethod: 'pixel',
       shouldNotify: false,
       shouldUpdateBaseline: false,
       message: `Baseline created for ${monthData.name}`
     };
   }
+  
+  logger.debug('Comparing with pixel baseline', {
+    operation: 'compare',
+    baselineBytes: baselineBuffer.length,
+    currentBytes: currentScreenshot.length
+  });
+  
+  // Decode errors propagate to the caller so a bad capture never replaces the baseline
+  const { diffMask, currentImage, ...comparison } = performVisualComparison(baselineBuffer, currentScreenshot, grid);
+  
+  // Memory cleanup - explicitly null large buffers
+  baselineBuffer = null;
+  
+  // Force garbage collection if available (Cloud Run optimization)
+  if (global.gc) {
+    global.gc();
+  }
+  
+  if (comparison.dimensionMismatch) {
+    const { baselineDimensions: baseline, currentDimensions: current } = comparison;
+    logger.warn('Dimension mismatch - skipping comparison', { operation: 'compare', baseline: `${baseline.width}x${baseline.height}`, current: `${current.width}x${current.height}` });
+    
+    return {
+      hasBaseline: true,
+      detectionMethod: 'pixel',
+      shouldNotify: false,
+      shouldUpdateBaseline: false,
+      ...comparison,
+      message: `Screenshot size changed for ${monthData.name} - comparison skipped, baseline kept`
+    };
+  }
+  
+  if (runId) {
+    comparison.diffArtifact = await writeDiffOverlay(monthData, runId, currentImage, diffMask, comparison, storage);
+  }
+  
+  logger.info('Pixel comparison finished', {
+    operation: 'compare',
+    totalPixels: comparison.totalPixels,
+    changedPixels: comparison.changedPixels,
+    changePercentage: parseFloat(comparison.changePercentage),
+    availabilityIncrease: comparison.availabilityIncrease,
+    newlyAvailableDates: comparison.newlyAvailableDates,
+    availabilityDecrease: comparison.availabilityDecrease,
+    newlyUnavailableDates: comparison.newlyUnavailableDates,
+    significantChange: comparison.significantChange,
+    likelyNewAvailability: comparison.likelyNewAvailability,
+    wouldNotify: comparison.significantChange && comparison.likelyNewAvailability
+  });
+  
+  return {
+    hasBaseline: true,
+    detectionMethod: 'pixel',
+    shouldNotify: comparison.significantChange && comparison.likelyNewAvailability,
+    // A booked date is a small change - keep the baseline current anyway so a re-opening shows up
+    shouldUpdateBaseline: comparison.significantChange || comparison.newlyUnavailableDates.length > 0,
+    ...comparison
+  };
 }
 
-function performVisualComparison(baselineBuffer, currentBuffer) {
-  let totalPixels = 0;
-  let changedPixels = 0;
-  let availabilityIncrease = 0;
-  let dateHighlightChanges = 0;
-  let nonAvailabilityChanges = 0;
+async function compareWithSnapshot(monthData, currentSnapshot, currentScreenshot = null, grid = null, runId = null, storage = DEFAULT_STORAGE) {
+  const previousSnapshot = await loadSnapshot(storage.storagePath, monthData.key);
   
-  const minLength = Math.min(baselineBuffer.length, currentBuffer.length);
-  
-  // 1x sampling for 90-day accuracy: every pixel (4 bytes = 1 pixel)
-  for (let i = 0; i < minLength; i += 4) {
-    if (i + 3 < minLength) {
-      totalPixels++;
-      
-      const currentR = currentBuffer[i];
-      const currentG = currentBuffer[i + 1];
-      const currentB = currentBuffer[i + 2];
-      
-      const baselineR = baselineBuffer[i];
-      const baselineG = baselineBuffer[i + 1];
-      const baselineB = baselineBuffer[i + 2];
-      
-      const colorDiff = Math.sqrt(
-        Math.pow(currentR - baselineR, 2) +
-        Math.pow(currentG - baselineG, 2) +
-        Math.pow(currentB - baselineB, 2)
-      );
-      
-      if (colorDiff > 30) {
-        // Check if this looks like date highlighting (blues, grays, whites)
-        const isCurrentDateHighlight = 
-          (currentR > 200 && currentG > 200 && currentB > 240) || // Light blue/white highlighting
-          (currentR > 150 && currentG > 170 && currentB > 200) || // Blue highlighting
-          (Math.abs(currentR - currentG) < 20 && Math.abs(currentG - currentB) < 20 && currentR > 180); // Light gray highlighting
-          
-        const isBaselineDateHighlight = 
-          (baselineR > 200 && baselineG > 200 && baselineB > 240) || 
-          (baselineR > 150 && baselineG > 170 && baselineB > 200) ||
-          (Math.abs(baselineR - baselineG) < 20 && Math.abs(baselineG - baselineB) < 20 && baselineR > 180);
-        
-        // If either is date highlighting, ignore this change
-        if (isCurrentDateHighlight || isBaselineDateHighlight) {
-          dateHighlightChanges++;
-          continue;
-        }
-        
-        changedPixels++;
-        
-        // PRECISE availability color detection based on actual Snowmass colors
-        const currentIsAvailable = 
-          // Light gray/beige available (current month) - RGB around 220-235 range
-          (currentR >= 215 && currentR <= 240 && 
-           currentG >= 215 && currentG <= 240 && 
-           currentB >= 210 && currentB <= 235 &&
-           Math.abs(currentR - currentG) < 15 && Math.abs(currentG - currentB) < 15) ||
-          // Light tan/beige available (adjacent month) - slightly more brown/tan
-          (currentR >= 210 && currentR <= 235 && 
-           currentG >= 205 && currentG <= 230 && 
-           currentB >= 190 && currentB <= 220 &&
-           currentR > currentB + 10); // More red than blue for tan color
-        
-        const baselineIsAvailable = 
-          // Same detection for baseline
-          (baselineR >= 215 && baselineR <= 240 && 
-           baselineG >= 215 && baselineG <= 240 && 
-           baselineB >= 210 && baselineB <= 235 &&
-           Math.abs(baselineR - baselineG) < 15 && Math.abs(baselineG - baselineB) < 15) ||
-          (baselineR >= 210 && baselineR <= 235 && 
-           baselineG >= 205 && baselineG <= 230 && 
-           baselineB >= 190 && baselineB <= 220 &&
-           baselineR > baselineB + 10);
-        
-        // Only count as availability increase if:
-        // 1. Current pixel is clearly available color
-        // 2. Baseline pixel was NOT available color
-        // 3. Baseline was not white/empty (background)
-        const baselineIsBackground = (baselineR > 240 && baselineG > 240 && baselineB > 240);
-        
-        if (currentIsAvailable && !baselineIsAvailable && !baselineIsBackground) {
-          availabilityIncrease++;
-        } else if (!currentIsAvailable && !baselineIsAvailable) {
-          // Non-availability related change (text, borders, etc.)
-          nonAvailabilityChanges++;
-        }
-      }
-    }
+  if (!previousSnapshot) {
+    logger.info('No day snapshot found - creating new snapshot', { operation: 'compare' });
+    
+    return {
+      hasBaseline: false,
+      detectionMethod: 'dom',
+      shouldNotify: false,
+      // Saved together with the PNG baseline as one version
+      shouldUpdateBaseline: true,
+      message: `Day snapshot created for ${monthData.name}`
+    };
   }
   
-  const changePercentage = (changedPixels / totalPixels) * 100;
-  const availabilityScore = (availabilityIncrease / totalPixels) * 100;
+  const diff = compareSnapshots(previousSnapshot, currentSnapshot);
+  const changedDays = diff.changes.length;
+  const changePercentage = diff.daysCompared > 0 ? (changedDays / diff.daysCompared) * 100 : 0;
+  const availabilityScore = diff.daysCompared > 0 ? (diff.newlyAvailableDates.length / diff.daysCompared) * 100 : 0;
   
-  console.log(`  - Date highlight changes ignored: ${dateHighlightChanges}`);
-  console.log(`  - Non-availability changes: ${nonAvailabilityChanges}`);
-  console.log(`  - True availability increases: ${availabilityIncrease}`);
+  logger.info('Day snapshot comparison finished', {
+    operation: 'compare',
+    daysCompared: diff.daysCompared,
+    changedDays,
+    newlyAvailableDates: diff.newlyAvailableDates,
+    newlyUnavailableDates: diff.newlyUnavailableDates
+  });
   
-  // ULTRA-SENSITIVE thresholds - prevents missed alerts like July 12th
-  const significantChange = changePercentage > 2.0; // More sensitive than 5.0
-  const likelyNewAvailability = availabilityIncrease > 0 && availabilityScore > 0.01; // ANY availability increase triggers alert
+  // The decision comes from the DOM, but a pixel overlay is still the easiest thing to debug with
+  const diffArtifact = runId && currentScreenshot
+    ? await writeSnapshotDiffOverlay(monthData, runId, currentScreenshot, grid, storage)
+    : null;
   
   return {
+    hasBaseline: true,
+    detectionMethod: 'dom',
+    shouldNotify: diff.newlyAvailableDates.length > 0,
+    shouldUpdateBaseline: changedDays > 0,
     changePercentage: changePercentage.toFixed(3),
     availabilityScore: availabilityScore.toFixed(3),
-    changedPixels,
-    totalPixels,
-    availabilityIncrease,
-    dateHighlightChanges,
-    nonAvailabilityChanges,
-    significantChange,
-    likelyNewAvailability
+    daysCompared: diff.daysCompared,
+    changedDays,
+    availabilityIncrease: diff.newlyAvailableDates.length,
+    newlyAvailableDates: diff.newlyAvailableDates,
+    newlyUnavailableDates: diff.newlyUnavailableDates,
+    significantChange: changedDays > 0,
+    likelyNewAvailability: diff.newlyAvailableDates.length > 0,
+    diffArtifact
   };
 }
 
-async function saveBaseline(monthKey, screenshot) {
-  await fs.mkdir(STORAGE_PATH, { recursive: true });
-  const baselinePath = path.join(STORAGE_PATH, `${monthKey}.png`);
-  await fs.writeFile(baselinePath, screenshot);
-  console.log(`💾 Baseline saved for ${monthKey}`);
-}
-
-async function sendWebhookNotification(results) {
-  const webhookUrl = 'https://buildsolutions.app.n8n.cloud/webhook/onesnowmass';
-  
+async function writeSnapshotDiffOverlay(monthData, runId, currentScreenshot, grid, storage = DEFAULT_STORAGE) {
   try {
-    // Check daily notification limit
-    const canNotify = await checkNotificationLimit();
-    if (!canNotify) {
-      console.log('⏸️ Daily notification limit reached (2/day) - skipping webhook');
-      return;
-    }
-    
-    console.log('📡 Sending webhook notification to n8n...');
-    
-    const payload = {
-      timestamp: new Date().toISOString(),
-      alert: 'NEW_AVAILABILITY_DETECTED',
-      timeframe: 'NEXT_90_DAYS',
-      summary: {
-        totalMonthsChecked: results.totalMonths,
-        monthsWithChanges: results.changedMonths.length,
-        highestChangePercent: results.summary.highestChangePercent,
-        totalAvailabilityIncrease: results.summary.totalAvailabilityIncrease
-      },
-      changedMonths: results.changedMonths.map(month => ({
-        month: month.month,
-        name: month.name,
-        changePercentage: month.changePercentage,
-        availabilityScore: month.availabilityScore,
-        availabilityIncrease: month.availabilityIncrease,
-        significantChange: month.significantChange,
-        likelyNewAvailability: month.likelyNewAvailability
-      })),
-      message: `🏔️ NEW SNOWMASS AVAILABILITY! ${results.changedMonths.length} month(s) show new condo availability in the next 90 days. Book now!`
-    };
-    
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Snowmass-Monitor/1.0.0'
-      },
-      body: JSON.stringify(payload)
-    });
-    
-    if (response.ok) {
-      console.log('✅ Webhook notification sent successfully');
-      console.log(`📊 Notified about ${results.changedMonths.length} changed months`);
-      await logNotification();
-    } else {
-      console.error('❌ Webhook failed:', response.status, response.statusText);
-    }
+    const baselineBuffer = await fs.readFile(path.join(storage.storagePath, `${monthData.key}.png`));
+    const { diffMask, currentImage, ...stats } = performVisualComparison(baselineBuffer, currentScreenshot, grid);
+    if (stats.dimensionMismatch) return null;
     
+    return await writeDiffOverlay(monthData, runId, currentImage, diffMask, { ...stats, detectionMethod: 'dom' }, storage);
   } catch (error) {
-    console.error('❌ Webhook notification failed:', error.message);
+    // No PNG baseline yet or undecodable capture - nothing to overlay
+    return null;
   }
 }
 
-async function checkNotificationLimit() {
+async function writeDiffOverlay(monthData, runId, currentImage, diffMask, stats, storage = DEFAULT_STORAGE) {
   try {
-    await fs.mkdir('./tmp', { recursive: true });
-    
-    let notificationLog = [];
-    try {
-      const logData = await fs.readFile(NOTIFICATION_LOG_PATH, 'utf8');
-      notificationLog = JSON.parse(logData);
-    } catch (error) {
-      // File doesn't exist, start fresh
-      notificationLog = [];
-    }
-    
-    const today = new Date().toDateString();
-    const todayNotifications = notificationLog.filter(n => 
-      new Date(n.timestamp).toDateString() === today
-    );
-    
-    console.log(`📊 Today's notifications: ${todayNotifications.length}/${MAX_DAILY_NOTIFICATIONS}`);
+    const png = renderDiffOverlay(currentImage, diffMask);
+    await saveDiffArtifact(monthData.key, runId, png, {
+      name: monthData.name,
+      detectionMethod: stats.detectionMethod || 'pixel',
+      changePercentage: stats.changePercentage,
+      changedPixels: stats.changedPixels,
+      availabilityIncrease: stats.availabilityIncrease,
+      availabilityDecrease: stats.availabilityDecrease,
+      dateHighlightChanges: stats.dateHighlightChanges,
+      nonAvailabilityChanges: stats.nonAvailabilityChanges,
+      newlyAvailableDates: stats.newlyAvailableDates,
+      newlyUnavailableDates: stats.newlyUnavailableDates,
+      changedDates: stats.changedDates
+    }, storage.diffStoragePath);
     
-    return todayNotifications.length < MAX_DAILY_NOTIFICATIONS;
+    const accountQuery = storage.id && storage.id !== DEFAULT_ACCOUNT_ID ? `?account=${storage.id}` : '';
+    const url = `/api/diffs/${monthData.key}/${sanitizeRunId(runId)}${accountQuery}`;
+    logger.debug('Diff overlay saved', { operation: 'compare', url });
+    return url;
   } catch (error) {
-    console.error('❌ Error checking notification limit:', error);
-    return true; // Allow notification on error
+    logger.error('Failed to write diff overlay', { operation: 'compare', error: error.message });
+    return null;
   }
 }
 
-async function logNotification() {
-  try {
-    let notificationLog = [];
-    try {
-      const logData = await fs.readFile(NOTIFICATION_LOG_PATH, 'utf8');
-      notificationLog = JSON.parse(logData);
-    } catch (error) {
-      // File doesn't exist, start fresh
+async function saveBaseline(monthKey, screenshot, { snapshot = null, runId = null, comparison = {}, storage = DEFAULT_STORAGE } = {}) {
+  const changePercentage = parseFloat(comparison.changePercentage || 0);
+  
+  // A huge jump against an existing baseline usually means navigation landed on the
+  // wrong month - keep the capture as a pending version instead of poisoning later runs
+  const needsApproval = Boolean(comparison.hasBaseline) && changePercentage > BASELINE_APPROVAL_THRESHOLD;
+  
+  const version = await saveBaselineVersion(storage.storagePath, monthKey, {
+    png: screenshot,
+    snapshot,
+    runId,
+    reason: comparison.hasBaseline ? 'change_detected' : 'initial',
+    stats: {
+      detectionMethod: comparison.detectionMethod,
+      changePercentage: comparison.changePercentage,
+      availabilityIncrease: comparison.availabilityIncrease,
+      newlyAvailableDates: comparison.newlyAvailableDates,
+      newlyUnavailableDates: comparison.newlyUnavailableDates || []
+    },
+    promote: !needsApproval
+  });
+  
+  if (needsApproval) {
+    logger.warn('Baseline change held for approval', { month: monthKey, changePercentage: parseFloat(changePercentage), version: version.id });
+  } else {
+    logger.info('Baseline saved', { month: monthKey, version: version.id });
+  }
+  
+  return version;
+}
+
+/**
+ * Alert the account's channels about its changed months, subject to its
+ * alert policy (lib/alert-policy.js): dates announced within the re-alert
+ * interval are dropped, and during quiet hours, past the daily cap or inside
+ * a digest window the changes are held and go out later as one digest.
+ */
+async function sendAvailabilityNotification(results, account) {
+  const policy = alertPolicy(account.alerts);
+
+  return withAlertState(account.notificationLogPath, async state => {
+    const now = new Date();
+    const changes = unannouncedChanges(state, results, policy, now);
+    if (!changes) {
+      logger.info('Changes already announced - skipping notification', { operation: 'notify', realertHours: policy.realertHours });
+      metrics.notificationsSuppressed.inc({ account: account.id, reason: 'already_announced' });
+      return { sent: false, skipped: 'already_announced', channels: [] };
     }
-    
-    // Add new notification
-    notificationLog.push({
-      timestamp: new Date().toISOString(),
-      type: 'availability_change'
-    });
-    
-    // Keep only last 7 days of logs
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    notificationLog = notificationLog.filter(n => 
-      new Date(n.timestamp) > sevenDaysAgo
-    );
-    
-    await fs.writeFile(NOTIFICATION_LOG_PATH, JSON.stringify(notificationLog, null, 2));
-    console.log('📝 Notification logged');
-  } catch (error) {
-    console.error('❌ Error logging notification:', error);
+
+    const hold = holdReason(state, policy, now);
+    if (hold) {
+      const pending = deferChanges(state, changes, hold, now);
+      logger.info('Notification held', { operation: 'notify', reason: hold.reason, deliverAfter: pending.deliverAfter, heldAlerts: pending.alerts });
+      metrics.notificationsSuppressed.inc({ account: account.id, reason: hold.reason });
+      return { sent: false, skipped: hold.reason, deferredUntil: pending.deliverAfter, channels: [] };
+    }
+
+    // Anything still held goes out together with this alert
+    return deliverAlert(account, state, policy, takePending(state, changes), now);
+  });
+}
+
+async function deliverAlert(account, state, policy, { changes, digest }, now) {
+  const channels = await loadChannels(account);
+  logger.info('Sending availability notification', { operation: 'notify', channels: channels.map(c => c.name), digest: Boolean(digest) });
+  
+  const channelResults = await notifyAll(buildAvailabilityEvent(changes, account, digest), channels, account);
+  const sent = channelResults.some(c => c.success);
+  
+  // Queued deliveries will still arrive via the outbox - don't announce those dates twice
+  if (sent || channelResults.some(c => c.queued)) {
+    recordAnnounced(state, changes, policy, now);
+    trackAnnounced(state, changes, now);
+  }
+  if (sent) {
+    logger.info('Notified about changed months', { operation: 'notify', changedMonths: changes.changedMonths.map(m => m.month) });
+  }
+  
+  return { sent, channels: channelResults, ...(digest ? { digest } : {}) };
+}
+
+/**
+ * Send held digests whose time has come (quiet hours over, digest window
+ * closed, a new day under the cap). Runs from the server's background timer
+ * and at the start of every monitor run.
+ */
+export async function flushDueAlerts(accounts) {
+  for (const account of accounts) {
+    await withLogContext({ account: account.id }, () => withAlertState(account.notificationLogPath, async state => {
+      const policy = alertPolicy(account.alerts);
+      const now = new Date();
+      if (!pendingDue(state, policy, now)) return;
+
+      const outcome = await deliverAlert(account, state, policy, takePending(state), now);
+      logger.info('Held notifications delivered', { operation: 'notify', sent: outcome.sent, alerts: outcome.digest.alerts, since: outcome.digest.since });
+    })).catch(error => logger.error('Could not deliver held notifications', { account: account.id, error }));
+  }
+}
+
+/**
+ * Bring the account's announced dates up to date with this run and send
+ * the follow-ups owed: "gone" for dates that were booked since they were
+ * announced, "still open" reminders for dates that stay bookable. Quiet
+ * hours postpone them to a later run; failures never fail the run.
+ * Returns one { kind, dates, sent, ... } per follow-up.
+ */
+async function sendFollowUps(result, account) {
+  const policy = alertPolicy(account.alerts);
+
+  return withAlertState(account.notificationLogPath, async state => {
+    const now = new Date();
+    const gone = updateLifecycle(state, { results: result.allResults, availability: result.availability, timezone: policy.timezone, now });
+    if (gone.length > 0) {
+      logger.info('Announced dates no longer available', { operation: 'notify', dates: gone.map(entry => entry.date) });
+    }
+
+    const due = dueFollowUps(state, policy, now);
+    const outcomes = [];
+    for (const [kind, entries] of [['gone', due.gone], ['still_open', due.stillOpen]]) {
+      if (entries.length === 0) continue;
+      const dates = entries.map(entry => entry.date);
+
+      if (isQuietHours(policy, now)) {
+        metrics.notificationsSuppressed.inc({ account: account.id, reason: 'quiet_hours' });
+        outcomes.push({ kind, dates, sent: false, skipped: 'quiet_hours', channels: [] });
+        continue;
+      }
+
+      const channels = await loadChannels(account);
+      const channelResults = await notifyAll(buildFollowUpEvent(kind, entries, account), channels, account);
+      const sent = channelResults.some(c => c.success);
+      if (sent || channelResults.some(c => c.queued)) markFollowUpSent(state, kind, entries, now);
+      logger.info('Follow-up notification', { operation: 'notify', kind, dates, sent });
+      outcomes.push({ kind, dates, sent, channels: channelResults });
+    }
+    return outcomes;
+  }).catch(error => {
+    logger.error('Follow-up notifications failed', { error });
+    return [];
+  });
+}
+
+// "gone" / "still_open" follow-up about dates an earlier alert announced
+function buildFollowUpEvent(kind, entries, account) {
+  const gone = kind === 'gone';
+  const dates = entries.map(entry => entry.date);
+  const months = [];
+  for (const entry of entries) {
+    const month = months.find(m => m.month === entry.month);
+    if (month) month.dates.push(entry.date);
+    else months.push({ month: entry.month, name: entry.name, dates: [entry.date] });
   }
-}
\ No newline at end of file
+  const ownerPrefix = account.id !== DEFAULT_ACCOUNT_ID ? `[${account.name}] ` : '';
+  const datesText = dates.map(formatAlertDate).join('; ');
+
+  return {
+    timestamp: new Date().toISOString(),
+    alert: gone ? 'AVAILABILITY_GONE' : 'AVAILABILITY_STILL_OPEN',
+    title: gone ? 'Snowmass dates no longer available' : 'Snowmass dates still open',
+    account: { id: account.id, name: account.name },
+    followUp: kind,
+    dates,
+    months,
+    announced: entries.map(entry => ({ date: entry.date, announcedAt: entry.announcedAt })),
+    message: gone
+      ? `${ownerPrefix}Snowmass update: ${dates.length} date(s) announced earlier are no longer available: ${datesText}.`
+      : `${ownerPrefix}🏔️ Still open at Snowmass: ${datesText} (first announced ${formatAlertTime(entries.map(entry => entry.announcedAt).sort()[0], account)}). Book now!`
+  };
+}
+
+// The n8n payload shape - every channel formats its message from this event
+function buildAvailabilityEvent(results, account, digest = null) {
+  const newlyAvailableDates = [...new Set(
+    results.changedMonths.flatMap(month => month.newlyAvailableDates || [])
+  )].sort();
+  const datesText = newlyAvailableDates.length > 0
+    ? ` Newly open: ${newlyAvailableDates.map(formatAlertDate).join('; ')}.`
+    : '';
+  // Name the owner when there is more than the one implicit account
+  const ownerPrefix = account.id !== DEFAULT_ACCOUNT_ID ? `[${account.name}] ` : '';
+  
+  // Stays that newly satisfy a watch rule - the reason this alert fired
+  const watchMatches = (results.watchRules || [])
+    .filter(rule => rule.newStays.length > 0)
+    .map(rule => ({
+      rule: rule.id,
+      name: rule.name,
+      stays: rule.newStays.map(({ checkIn, checkOut, nights }) => ({ checkIn, checkOut, nights }))
+    }));
+  const matchesText = watchMatches
+    .map(match => ` ${match.name}: ${match.stays.slice(0, 3).map(stay => `${formatAlertDate(stay.checkIn)} → ${formatAlertDate(stay.checkOut)}`).join(', ')}${match.stays.length > 3 ? ` (+${match.stays.length - 3} more)` : ''}.`)
+    .join('');
+  const scopeText = results.watchRules ? 'for your watched stays' : 'in the next 90 days';
+  
+  return {
+    timestamp: new Date().toISOString(),
+    alert: 'NEW_AVAILABILITY_DETECTED',
+    account: { id: account.id, name: account.name },
+    timeframe: results.watchRules ? 'WATCH_RULES' : 'NEXT_90_DAYS',
+    summary: {
+      totalMonthsChecked: results.totalMonths,
+      monthsWithChanges: results.changedMonths.length,
+      highestChangePercent: results.summary.highestChangePercent,
+      totalAvailabilityIncrease: results.summary.totalAvailabilityIncrease
+    },
+    changedMonths: results.changedMonths.map(month => ({
+      month: month.month,
+      name: month.name,
+      changePercentage: month.changePercentage,
+      availabilityScore: month.availabilityScore,
+      availabilityIncrease: month.availabilityIncrease,
+      significantChange: month.significantChange,
+      likelyNewAvailability: month.likelyNewAvailability,
+      detectionMethod: month.detectionMethod,
+      newlyAvailableDates: month.newlyAvailableDates || []
+    })),
+    newlyAvailableDates,
+    ...(results.watchRules ? { watchMatches } : {}),
+    // Alerts held back by quiet hours, the daily cap or the digest window, sent as one
+    ...(digest ? { digest } : {}),
+    message: `${ownerPrefix}🏔️ NEW SNOWMASS AVAILABILITY!${digest ? ` (digest of ${digest.alerts} alert(s) since ${formatAlertTime(digest.since, account)})` : ''} ${results.changedMonths.length} month(s) show new condo availability ${scopeText}.${datesText}${matchesText} Book now!`
+  };
+}
+
+// "2025-07-12" -> "Sat, Jul 12"
+function formatAlertDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+// "2026-12-20T05:10:00Z" -> "Sat 10:10 PM" in the account's alert timezone
+function formatAlertTime(isoTime, account) {
+  return new Date(isoTime).toLocaleString('en-US', {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: alertPolicy(account.alerts).timezone
+  });
+}
+
+// Internals driven directly by test-monitor.js against the mock site
+export { runMonitor, navigateToMonth, compareWithBaseline };
@@ -0,0 +1,103 @@
+// api/watch-rules.js - Manage an account's saved watch rules
+import {
+  loadWatchRules,
+  addWatchRule,
+  updateWatchRule,
+  deleteWatchRule,
+  activeWatchRules,
+  monthsForRules,
+  WatchRuleError
+} from '../lib/watch-rules.js';
+import { accountPaths, getAccount, isValidAccountId, DEFAULT_ACCOUNT_ID } from '../lib/accounts.js';
+import { logger } from '../lib/logger.js';
+
+// ?account=<id> selects whose rules; without it, the default account's.
+// Ids not in the registry are refused before anything creates their directory.
+async function rulesPathFor(req, res) {
+  const { account = DEFAULT_ACCOUNT_ID } = req.query;
+  if (!isValidAccountId(account)) {
+    res.status(400).json({ error: 'Invalid account id' });
+    return null;
+  }
+  if (account !== DEFAULT_ACCOUNT_ID && !(await getAccount(account))) {
+    res.status(404).json({ error: `Unknown account ${account}`, timestamp: new Date().toISOString() });
+    return null;
+  }
+  return accountPaths(account).watchRulesPath;
+}
+
+function sendError(res, error) {
+  if (error instanceof WatchRuleError) {
+    return res.status(400).json({ error: error.message, details: error.details, timestamp: new Date().toISOString() });
+  }
+  logger.error('Watch rule update failed', { error });
+  return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+}
+
+// GET /api/watch-rules
+export async function listWatchRulesHandler(req, res) {
+  try {
+    const rulesPath = await rulesPathFor(req, res);
+    if (!rulesPath) return;
+
+    const rules = await loadWatchRules(rulesPath);
+    const active = activeWatchRules(rules);
+    return res.status(200).json({
+      count: rules.length,
+      active: active.map(r => r.id),
+      // Without active rules the monitor falls back to the next 90 days
+      monthsToCheck: active.length > 0 ? monthsForRules(active) : null,
+      rules,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to read watch rules', { error });
+    return res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+}
+
+// POST /api/watch-rules
+export async function createWatchRuleHandler(req, res) {
+  try {
+    const rulesPath = await rulesPathFor(req, res);
+    if (!rulesPath) return;
+
+    const rule = await addWatchRule(rulesPath, req.body || {});
+    logger.info('Watch rule added', { rule: rule.id, start: rule.start, end: rule.end, minNights: rule.minNights });
+    return res.status(201).json({ success: true, rule, timestamp: new Date().toISOString() });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
+
+// PUT /api/watch-rules/:id - fields not sent keep their current value
+export async function updateWatchRuleHandler(req, res) {
+  try {
+    const rulesPath = await rulesPathFor(req, res);
+    if (!rulesPath) return;
+
+    const rule = await updateWatchRule(rulesPath, req.params.id, req.body || {});
+    if (!rule) {
+      return res.status(404).json({ error: `No watch rule ${req.params.id}` });
+    }
+    return res.status(200).json({ success: true, rule, timestamp: new Date().toISOString() });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
+
+// DELETE /api/watch-rules/:id
+export async function deleteWatchRuleHandler(req, res) {
+  try {
+    const rulesPath = await rulesPathFor(req, res);
+    if (!rulesPath) return;
+
+    const removed = await deleteWatchRule(rulesPath, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: `No watch rule ${req.params.id}` });
+    }
+    return res.status(200).json({ success: true, id: req.params.id, timestamp: new Date().toISOString() });
+  } catch (error) {
+    return sendError(res, error);
+  }
+}
@@ -0,0 +1,110 @@
+// calibrate_palette.js - Learn the availability colour palette from a labelled calendar capture
+//
+// Usage:
+//   node calibrate_palette.js --month 2026-12 --available 2026-12-20,2026-12-21 --booked 2026-12-01,2026-12-02
+//   node calibrate_palette.js --month 2026-12 --account smith --version 20261201T120000000Z --available ... --highlight 2026-12-15
+//   node calibrate_palette.js --image calendar.png --grid grid.json --available ... --booked ... --out palette.json
+//
+// --month reads the saved baseline (screenshot + day grid) of that month; --image/--grid
+// take a calendar screenshot and its [{ date, rect }] cells directly. The palette is
+// written to --out (default site-profiles/<profile id>.palette.json) with a separation
+// report; point the profile's "palette" (or PALETTE_PATH) at it to use it.
+import dotenv from 'dotenv';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { decodePng } from './lib/png.js';
+import { loadSnapshot } from './lib/calendar-snapshot.js';
+import { readBaselineVersion } from './lib/baseline-store.js';
+import { accountPaths, isValidAccountId, DEFAULT_ACCOUNT_ID } from './lib/accounts.js';
+import { getSiteProfile } from './lib/site-profile.js';
+import { learnPalette, PALETTE_STATES } from './lib/palette.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      const [key, inline] = arg.slice(2).split('=');
+      args[key] = inline !== undefined ? inline : argv[++i];
+    }
+  }
+  return args;
+}
+
+const list = value => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+async function loadCapture(args) {
+  if (args.image) {
+    if (!args.grid) throw new Error('--image needs --grid (a JSON list of { date, rect } day cells)');
+    const grid = JSON.parse(await fs.readFile(args.grid, 'utf8'));
+    return { png: await fs.readFile(args.image), grid: Array.isArray(grid) ? grid : grid.grid, source: { image: args.image, grid: args.grid } };
+  }
+
+  const accountId = args.account || DEFAULT_ACCOUNT_ID;
+  if (!isValidAccountId(accountId)) throw new Error(`Invalid account id ${accountId}`);
+  if (!/^\d{4}-\d{2}$/.test(args.month || '')) throw new Error('--month must be YYYY-MM');
+  const { storagePath } = accountPaths(accountId);
+
+  let png;
+  let snapshot;
+  if (args.version) {
+    const version = await readBaselineVersion(storagePath, args.month, args.version);
+    if (!version) throw new Error(`No baseline version ${args.version} for ${args.month}`);
+    ({ png, snapshot } = version);
+  } else {
+    png = await fs.readFile(path.join(storagePath, `${args.month}.png`));
+    snapshot = await loadSnapshot(storagePath, args.month);
+  }
+
+  if (!snapshot || !snapshot.grid) {
+    throw new Error(`The ${args.month} baseline has no day grid - it predates calibration support or was a pixel-only capture; run the monitor again or pass --image/--grid`);
+  }
+  return { png, grid: snapshot.grid, source: { account: accountId, month: args.month, version: args.version || 'current' } };
+}
+
+function printReport(report) {
+  console.log(`\n📊 Separation report: ${report.cellsCorrect}/${report.cellsLabelled} labelled cells classified correctly`);
+  for (const [pair, gap] of Object.entries(report.minGapBetweenStates)) {
+    console.log(`   ${gap >= 0 ? '✅' : '❌'} ${pair}: ${gap >= 0 ? `${gap} apart` : `overlap ${-gap}`}`);
+  }
+  for (const cell of report.cells) {
+    console.log(`   ${cell.correct ? '✅' : '❌'} ${cell.date} labelled ${cell.label}, reads as ${cell.predicted} (${Math.round(cell.ownStateShare * 100)}% of pixels)`);
+  }
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help || (!args.month && !args.image) || !args.available) {
+  console.log('Usage: node calibrate_palette.js (--month YYYY-MM [--account id] [--version id] | --image file.png --grid grid.json)');
+  console.log(`         --available dates [--booked dates] [--highlight dates] [--out palette.json]`);
+  console.log(`Labels: ${PALETTE_STATES.join(', ')} - comma-separated YYYY-MM-DD dates`);
+  process.exit(args.help ? 0 : 1);
+}
+
+try {
+  const profile = getSiteProfile();
+  const { png, grid, source } = await loadCapture(args);
+  const labels = Object.fromEntries(PALETTE_STATES.map(state => [state, list(args[state])]));
+
+  const palette = learnPalette({ image: decodePng(png), grid, labels, profileId: profile.id, source });
+  const out = args.out || path.join('site-profiles', `${profile.id}.palette.json`);
+  await fs.mkdir(path.dirname(out), { recursive: true });
+  await fs.writeFile(out, JSON.stringify(palette, null, 2));
+
+  for (const cluster of palette.clusters) {
+    console.log(`🎨 ${cluster.state}: rgb(${cluster.center.join(', ')}) ±${cluster.radius} (${Math.round(cluster.share * 100)}% of its cells)`);
+  }
+  printReport(palette.report);
+  console.log(`\n💾 Palette saved to ${out}`);
+  if (!palette.report.separated) {
+    console.warn('⚠️ The states are not cleanly separated - label more dates or check the labels before using this palette');
+  }
+  console.log(`   Use it with "palette": "${path.relative(path.dirname(profile.source), out)}" in ${profile.source} or PALETTE_PATH=${out}`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,135 @@
+// lib/accounts.js - Registry of owner accounts, each with its own storage and alert routing
+//
+// accounts.json (ACCOUNTS_CONFIG) lists the accounts to watch. Each account
+// gets its own baselines, diff overlays, notification log, watch rules and
+// login backoff under tmp/accounts/<id>/, and may route alerts to its own
+// channels. Without a config file the SNOWMASS_USERNAME/SNOWMASS_PASSWORD
+// account is the only one and keeps using the original tmp/baselines/ and
+// tmp/notifications.json.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { interpolateEnv } from './config.js';
+import { DIFF_STORAGE_PATH } from './diff-artifacts.js';
+import { alertPolicy } from './alert-policy.js';
+import { logger } from './logger.js';
+
+const ACCOUNTS_CONFIG_PATH = process.env.ACCOUNTS_CONFIG || './accounts.json';
+const ACCOUNTS_ROOT = './tmp/accounts/';
+
+export const DEFAULT_ACCOUNT_ID = 'default';
+
+export function isValidAccountId(id) {
+  return typeof id === 'string' && /^[a-z0-9][a-z0-9_-]{0,63}$/i.test(id);
+}
+
+// Where an account's state lives - the default account keeps the pre-registry layout
+export function accountPaths(id) {
+  if (id === DEFAULT_ACCOUNT_ID) {
+    return {
+      storagePath: './tmp/baselines/',
+      diffStoragePath: DIFF_STORAGE_PATH,
+      notificationLogPath: './tmp/notifications.json',
+      watchRulesPath: './tmp/watch-rules.json',
+      loginStatePath: './tmp/login-state.json'
+    };
+  }
+
+  const root = path.join(ACCOUNTS_ROOT, id);
+  return {
+    storagePath: path.join(root, 'baselines') + path.sep,
+    diffStoragePath: path.join(root, 'baselines', 'diffs') + path.sep,
+    notificationLogPath: path.join(root, 'notifications.json'),
+    watchRulesPath: path.join(root, 'watch-rules.json'),
+    loginStatePath: path.join(root, 'login-state.json')
+  };
+}
+
+/**
+ * `channels` is null to use every globally configured channel, or a list
+ * whose entries are global channel names, { use: name, ...overrides } to
+ * reuse a global channel with e.g. different recipients, or full channel
+ * definitions owned by this account. `alerts` overrides the global alert
+ * policy (quiet hours, timezone, re-alert interval, digest, daily cap,
+ * still-open reminders, gone follow-ups).
+ */
+export function buildAccount({ id = DEFAULT_ACCOUNT_ID, name = null, username, password, channels = null, alerts = null }) {
+  return {
+    id,
+    name: name || id,
+    username,
+    password,
+    channels,
+    alerts,
+    ...accountPaths(id)
+  };
+}
+
+function validateAccount(account, position, seen) {
+  const label = account.id || `#${position + 1}`;
+
+  if (!isValidAccountId(account.id)) {
+    return `Account ${label}: id must be letters, digits, "-" or "_"`;
+  }
+  if (seen.has(account.id)) {
+    return `Account ${label}: duplicate id`;
+  }
+  if (!account.username || !account.password) {
+    return `Account ${label}: missing username or password`;
+  }
+  if (account.channels !== null && account.channels !== undefined && !Array.isArray(account.channels)) {
+    return `Account ${label}: channels must be a list`;
+  }
+  try {
+    alertPolicy(account.alerts);
+  } catch (error) {
+    return `Account ${label}: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Enabled accounts from ACCOUNTS_CONFIG (default ./accounts.json), falling
+ * back to the single account in SNOWMASS_USERNAME/SNOWMASS_PASSWORD.
+ */
+export async function loadAccounts() {
+  let config;
+
+  try {
+    config = JSON.parse(await fs.readFile(ACCOUNTS_CONFIG_PATH, 'utf8'));
+    if (!config || typeof config !== 'object' || Array.isArray(config) || (config.accounts !== undefined && !Array.isArray(config.accounts))) {
+      throw new Error('expected an object with an "accounts" list');
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not read account config', { path: ACCOUNTS_CONFIG_PATH, error: error.message });
+    }
+
+    const username = process.env.SNOWMASS_USERNAME;
+    const password = process.env.SNOWMASS_PASSWORD;
+    return username && password ? [buildAccount({ username, password })] : [];
+  }
+
+  const accounts = [];
+  const seen = new Set();
+
+  (config.accounts || []).forEach((raw, position) => {
+    const account = { enabled: true, channels: null, ...interpolateEnv(raw) };
+    if (account.enabled === false) return;
+
+    const problem = validateAccount(account, position, seen);
+    if (problem) {
+      logger.warn('Skipping account', { problem });
+      return;
+    }
+
+    seen.add(account.id);
+    accounts.push(buildAccount(account));
+  });
+
+  return accounts;
+}
+
+export async function getAccount(id) {
+  const accounts = await loadAccounts();
+  return accounts.find(account => account.id === id) || null;
+}
@@ -0,0 +1,335 @@
+// lib/alert-policy.js - When an availability alert goes out: per-date dedupe, quiet hours, digests, daily cap
+//
+// Replaces the old "two alerts per server-local day" cap. Per account, kept
+// in its notification log (tmp/notifications.json):
+// - dates already announced within the re-alert interval are not announced
+//   again (months, for pixel-only changes that carry no dates);
+// - alerts raised during quiet hours are held and go out as one digest when
+//   the quiet hours end;
+// - with a digest window, changes are collected for that long and sent together;
+// - the daily cap holds further alerts until the next day instead of dropping them.
+// Follow-ups about announced dates (still open / gone, lib/availability-lifecycle.js)
+// only wait out quiet hours - they are not digested and don't count against the cap.
+// Days and quiet hours are wall-clock time in the policy's timezone, not the
+// container's.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseCron, nextRun, zonedParts, assertTimezone } from './cron.js';
+import { logger } from './logger.js';
+
+const SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Global defaults from the environment; accounts.json can override any of them per account ("alerts")
+function defaultPolicy() {
+  return {
+    timezone: process.env.ALERT_TIMEZONE || process.env.MONITOR_TIMEZONE || 'America/Denver',
+    realertHours: parseFloat(process.env.ALERT_REALERT_HOURS || '24'),
+    quietHours: process.env.ALERT_QUIET_HOURS || null,
+    digestMinutes: parseFloat(process.env.ALERT_DIGEST_MINUTES || '0'),
+    maxPerDay: parseInt(process.env.ALERT_MAX_PER_DAY || '6', 10),
+    reminderHours: parseFloat(process.env.ALERT_STILL_OPEN_HOURS || '24'),
+    goneFollowUps: process.env.ALERT_GONE_FOLLOW_UPS !== 'false'
+  };
+}
+
+// "22:00-07:00" -> { start, end } in minutes after local midnight
+function parseQuietHours(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid quiet hours "${value}" - use HH:MM-HH:MM, e.g. 22:00-07:00`);
+
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => {
+    const hours = parseInt(h, 10);
+    const minutes = parseInt(m, 10);
+    if (hours > 23 || minutes > 59) throw new Error(`Invalid quiet hours "${value}" - times must be 00:00-23:59`);
+    return hours * 60 + minutes;
+  });
+  if (start === end) throw new Error(`Invalid quiet hours "${value}" - start and end are the same`);
+
+  return { start, end };
+}
+
+/**
+ * The effective policy for an account: the ALERT_* environment with the
+ * account's `alerts` overrides on top. Throws on values that don't parse.
+ */
+export function alertPolicy(overrides = null) {
+  const raw = { ...defaultPolicy(), ...(overrides || {}) };
+  assertTimezone(raw.timezone);
+
+  for (const key of ['realertHours', 'digestMinutes', 'maxPerDay', 'reminderHours']) {
+    if (typeof raw[key] !== 'number' || Number.isNaN(raw[key]) || raw[key] < 0) {
+      throw new Error(`Invalid alert policy: ${key} must be a number >= 0`);
+    }
+  }
+  if (typeof raw.goneFollowUps !== 'boolean') {
+    throw new Error('Invalid alert policy: goneFollowUps must be true or false');
+  }
+
+  return {
+    timezone: raw.timezone,
+    realertHours: raw.realertHours,
+    quietHours: raw.quietHours ? parseQuietHours(raw.quietHours) : null,
+    quietHoursText: raw.quietHours || null,
+    digestMinutes: raw.digestMinutes,
+    maxPerDay: raw.maxPerDay, // 0 = no cap
+    reminderHours: raw.reminderHours, // 0 = no "still open" reminders
+    goneFollowUps: raw.goneFollowUps
+  };
+}
+
+// All reads/writes go through one chain so a run and the digest timer can't interleave updates
+let lock = Promise.resolve();
+function withLock(task) {
+  const run = lock.then(task, task);
+  lock = run.catch(() => {});
+  return run;
+}
+
+async function readState(logPath) {
+  let content = null;
+  try {
+    content = await fs.readFile(logPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let stored = null;
+  try {
+    stored = content === null ? null : JSON.parse(content);
+  } catch (error) {
+    // Moved aside rather than written over - it is the record of what was already announced
+    const movedTo = `${logPath}.corrupt-${Date.now()}`;
+    await fs.rename(logPath, movedTo);
+    logger.error('Corrupt alert state moved aside', { path: logPath, movedTo, error: error.message });
+  }
+
+  // The pre-policy log was a bare list of { timestamp, type }
+  if (Array.isArray(stored)) {
+    return { sent: stored.map(entry => ({ timestamp: entry.timestamp, dates: [], months: [] })), announced: { dates: {}, months: {} }, pending: null, availability: {} };
+  }
+  return {
+    sent: [],
+    pending: null,
+    availability: {},
+    ...(stored || {}),
+    announced: { dates: {}, months: {}, ...((stored && stored.announced) || {}) }
+  };
+}
+
+async function writeState(logPath, state) {
+  await fs.mkdir(path.dirname(logPath), { recursive: true });
+  await fs.writeFile(logPath, JSON.stringify(state, null, 2));
+}
+
+// A consistent read for the API - waits for any update in flight
+export function readAlertState(logPath) {
+  return withLock(() => readState(logPath));
+}
+
+/**
+ * Run `task(state)` against an account's alert state under the lock and
+ * save whatever it changed. Resolves to the task's return value.
+ */
+export function withAlertState(logPath, task) {
+  return withLock(async () => {
+    const state = await readState(logPath);
+    const result = await task(state);
+    await writeState(logPath, state);
+    return result;
+  });
+}
+
+export function localDay(date, timezone) {
+  const { year, month, day } = zonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function isQuietHours(policy, now = new Date()) {
+  if (!policy.quietHours) return false;
+  const { hour, minute } = zonedParts(now, policy.timezone);
+  const current = hour * 60 + minute;
+  const { start, end } = policy.quietHours;
+  return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+// Next wall-clock hh:mm in the policy's timezone (DST handled by the cron evaluator)
+function nextLocalTime(minutesAfterMidnight, policy, now) {
+  const schedule = parseCron(`${minutesAfterMidnight % 60} ${Math.floor(minutesAfterMidnight / 60)} * * *`);
+  return nextRun(schedule, policy.timezone, now);
+}
+
+export function sentToday(state, policy, now = new Date()) {
+  const today = localDay(now, policy.timezone);
+  return state.sent.filter(entry => localDay(new Date(entry.timestamp), policy.timezone) === today).length;
+}
+
+// Only what an alert needs - comparison internals (masks, day maps) stay out of the log
+function alertMonth(month) {
+  return {
+    month: month.month,
+    name: month.name,
+    changePercentage: month.changePercentage,
+    availabilityScore: month.availabilityScore,
+    availabilityIncrease: month.availabilityIncrease,
+    significantChange: month.significantChange,
+    likelyNewAvailability: month.likelyNewAvailability,
+    detectionMethod: month.detectionMethod,
+    newlyAvailableDates: month.newlyAvailableDates || []
+  };
+}
+
+function summarize(changedMonths, totalMonths) {
+  return {
+    totalMonthsChecked: totalMonths,
+    monthsWithChanges: changedMonths.length,
+    highestChangePercent: Math.max(0, ...changedMonths.map(m => parseFloat(m.changePercentage || 0))),
+    totalAvailabilityIncrease: changedMonths.reduce((sum, m) => sum + (m.availabilityIncrease || 0), 0)
+  };
+}
+
+/**
+ * The part of an account's changes that hasn't been announced within the
+ * re-alert interval, in the shape buildAvailabilityEvent takes - or null
+ * when everything was announced already.
+ */
+export function unannouncedChanges(state, results, policy, now = new Date()) {
+  const cutoff = now.getTime() - policy.realertHours * 60 * 60 * 1000;
+  const isFresh = announcedAt => !announcedAt || Date.parse(announcedAt) <= cutoff;
+
+  const changedMonths = [];
+  for (const month of results.changedMonths) {
+    const dates = month.newlyAvailableDates || [];
+    if (dates.length === 0) {
+      if (isFresh(state.announced.months[month.month])) changedMonths.push(alertMonth(month));
+      continue;
+    }
+
+    const freshDates = dates.filter(date => isFresh(state.announced.dates[date]));
+    if (freshDates.length > 0) changedMonths.push({ ...alertMonth(month), newlyAvailableDates: freshDates });
+  }
+
+  if (changedMonths.length === 0) return null;
+
+  const freshDates = new Set(changedMonths.flatMap(m => m.newlyAvailableDates));
+  const watchRules = results.watchRules
+    ? results.watchRules.map(rule => ({
+      id: rule.id,
+      name: rule.name,
+      newStays: rule.newStays.filter(stay => stay.dates.some(date => freshDates.has(date)))
+    }))
+    : null;
+
+  return {
+    totalMonths: results.totalMonths,
+    changedMonths,
+    watchRules,
+    summary: summarize(changedMonths, results.totalMonths)
+  };
+}
+
+// Combine a held batch with newer changes: one entry per month and per watch-rule stay
+export function mergeChanges(older, newer) {
+  if (!older) return newer;
+  if (!newer) return older;
+
+  const months = new Map(older.changedMonths.map(m => [m.month, m]));
+  for (const month of newer.changedMonths) {
+    const previous = months.get(month.month);
+    months.set(month.month, previous
+      ? { ...month, newlyAvailableDates: [...new Set([...previous.newlyAvailableDates, ...month.newlyAvailableDates])].sort() }
+      : month);
+  }
+  const changedMonths = [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+
+  let watchRules = null;
+  if (older.watchRules || newer.watchRules) {
+    const rules = new Map();
+    for (const rule of [...(older.watchRules || []), ...(newer.watchRules || [])]) {
+      const existing = rules.get(rule.id) || { id: rule.id, name: rule.name, newStays: [] };
+      const seen = new Set(existing.newStays.map(stay => `${stay.checkIn}/${stay.checkOut}`));
+      existing.name = rule.name;
+      existing.newStays.push(...rule.newStays.filter(stay => !seen.has(`${stay.checkIn}/${stay.checkOut}`)));
+      rules.set(rule.id, existing);
+    }
+    watchRules = [...rules.values()];
+  }
+
+  const totalMonths = Math.max(older.totalMonths || 0, newer.totalMonths || 0);
+  return { totalMonths, changedMonths, watchRules, summary: summarize(changedMonths, totalMonths) };
+}
+
+/**
+ * Why an alert can't go out right now, as { reason, until }, or null when it
+ * can: quiet hours, the daily cap, or an open digest window.
+ */
+export function holdReason(state, policy, now = new Date()) {
+  if (isQuietHours(policy, now)) {
+    return { reason: 'quiet_hours', until: nextLocalTime(policy.quietHours.end, policy, now).toISOString() };
+  }
+  if (policy.maxPerDay > 0 && sentToday(state, policy, now) >= policy.maxPerDay) {
+    return { reason: 'daily_limit', until: nextLocalTime(0, policy, now).toISOString() };
+  }
+  if (policy.digestMinutes > 0) {
+    if (!state.pending) {
+      return { reason: 'digest', until: new Date(now.getTime() + policy.digestMinutes * 60 * 1000).toISOString() };
+    }
+    if (Date.parse(state.pending.deliverAfter) > now.getTime()) {
+      return { reason: 'digest', until: state.pending.deliverAfter };
+    }
+  }
+  return null;
+}
+
+// Hold `changes` for later, joining whatever is already waiting
+export function deferChanges(state, changes, hold, now = new Date()) {
+  const pending = state.pending;
+  state.pending = {
+    since: pending ? pending.since : now.toISOString(),
+    deliverAfter: pending && Date.parse(pending.deliverAfter) > Date.parse(hold.until) ? pending.deliverAfter : hold.until,
+    reasons: [...new Set([...(pending ? pending.reasons : []), hold.reason])],
+    alerts: (pending ? pending.alerts : 0) + 1,
+    changes: mergeChanges(pending ? pending.changes : null, changes)
+  };
+  return state.pending;
+}
+
+// Whether the held batch may go out now
+export function pendingDue(state, policy, now = new Date()) {
+  if (!state.pending || Date.parse(state.pending.deliverAfter) > now.getTime()) return false;
+  const hold = holdReason(state, policy, now);
+  return !hold || hold.reason === 'digest';
+}
+
+/**
+ * Take the held batch (if any) together with `changes` for sending. Returns
+ * { changes, digest } where digest describes the held part, or null.
+ */
+export function takePending(state, changes = null) {
+  const pending = state.pending;
+  state.pending = null;
+  if (!pending) return { changes, digest: null };
+
+  return {
+    changes: mergeChanges(pending.changes, changes),
+    digest: { since: pending.since, alerts: pending.alerts + (changes ? 1 : 0), reasons: pending.reasons }
+  };
+}
+
+// Remember what went out so it isn't announced again within the re-alert interval
+export function recordAnnounced(state, changes, policy, now = new Date()) {
+  const at = now.toISOString();
+  const dates = [...new Set(changes.changedMonths.flatMap(m => m.newlyAvailableDates))].sort();
+  for (const date of dates) state.announced.dates[date] = at;
+  for (const month of changes.changedMonths) state.announced.months[month.month] = at;
+
+  state.sent.push({ timestamp: at, dates, months: changes.changedMonths.map(m => m.month) });
+  state.sent = state.sent.filter(entry => Date.parse(entry.timestamp) > now.getTime() - SENT_RETENTION_MS);
+
+  // Entries past the re-alert interval no longer suppress anything
+  const cutoff = now.getTime() - policy.realertHours * 60 * 60 * 1000;
+  for (const kind of ['dates', 'months']) {
+    for (const [key, announcedAt] of Object.entries(state.announced[kind])) {
+      if (Date.parse(announcedAt) <= cutoff) delete state.announced[kind][key];
+    }
+  }
+}
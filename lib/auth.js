@@ -0,0 +1,165 @@
+// lib/auth.js - HS256 bearer tokens with expiry and scopes
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+export const SCOPES = [
+  'monitor:run',          // Trigger a monitor run
+  'monitor:credentials',  // Pass Snowmass credentials in the request body
+  'baselines:read',       // View baselines, versions and diff overlays
+  'baselines:write',      // Promote / roll back baselines
+  'notifications:read',   // View the outbox and dead letters
+  'notifications:write',  // Flush, replay or discard deliveries
+  'watchlist:read',       // View watch rules
+  'watchlist:write',      // Add, change or remove watch rules
+  'runs:read',            // View run history
+  'metrics:read'          // Scrape GET /metrics
+];
+
+const TOKEN_ISSUER = 'snowmass-monitor';
+const CLOCK_SKEW_SECONDS = 30;
+
+export class AuthError extends Error {
+  constructor(message, status = 401, code = 'invalid_token') {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+}
+
+function sign(data, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+// "30d", "12h", "15m", "3600" -> seconds
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([smhdy]?)$/);
+  if (!match) throw new Error(`Invalid duration "${value}" - use e.g. 3600, 15m, 12h, 30d, 1y`);
+  const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400, y: 365 * 86400 };
+  return parseInt(match[1], 10) * multipliers[match[2]];
+}
+
+export function signToken({ subject, scopes, expiresIn = '1h' }, secret = process.env.JWT_SECRET) {
+  if (!secret) throw new Error('JWT_SECRET is not set');
+
+  const unknown = scopes.filter(s => s !== '*' && !SCOPES.includes(s));
+  if (unknown.length > 0) throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: TOKEN_ISSUER,
+    sub: subject,
+    scope: scopes.join(' '),
+    iat: now,
+    exp: now + parseDuration(expiresIn),
+    jti: crypto.randomUUID()
+  }));
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+}
+
+/**
+ * Verify signature, algorithm, issuer and expiry. Returns the claims with
+ * a normalised `scopes` array, or throws AuthError.
+ */
+export function verifyToken(token, secret = process.env.JWT_SECRET) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed token');
+
+  const [headerSegment, payloadSegment, signature] = parts;
+  let header;
+  let claims;
+
+  try {
+    header = decodeSegment(headerSegment);
+    claims = decodeSegment(payloadSegment);
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+
+  // Only HS256 - never trust the token to pick its own algorithm
+  if (header.alg !== 'HS256') throw new AuthError(`Unsupported token algorithm ${header.alg}`);
+
+  const expected = Buffer.from(sign(`${headerSegment}.${payloadSegment}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') throw new AuthError('Token has no expiry');
+  if (claims.exp + CLOCK_SKEW_SECONDS < now) throw new AuthError('Token expired');
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) throw new AuthError('Token not yet valid');
+  if (claims.iss !== TOKEN_ISSUER) throw new AuthError('Unexpected token issuer');
+
+  const scopes = Array.isArray(claims.scopes)
+    ? claims.scopes
+    : String(claims.scope || '').split(' ').filter(Boolean);
+
+  return { ...claims, scopes };
+}
+
+// Running without tokens is an explicit choice (AUTH_DISABLED=true), never a default, and never in production
+export function authDisabled() {
+  return !process.env.JWT_SECRET && process.env.AUTH_DISABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+export function hasScope(auth, scope) {
+  return Boolean(auth) && (auth.scopes.includes('*') || auth.scopes.includes(scope));
+}
+
+/**
+ * Express middleware requiring a bearer token with `scope`.
+ * Without JWT_SECRET every protected route answers 503, unless
+ * AUTH_DISABLED=true skips auth outside production (see authDisabled).
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const secret = process.env.JWT_SECRET;
+
+    if (!secret) {
+      if (!authDisabled()) {
+        return res.status(503).json({
+          error: 'Authentication is not configured (JWT_SECRET missing)',
+          timestamp: new Date().toISOString()
+        });
+      }
+      logger.warn('AUTH_DISABLED - allowing unauthenticated request (development only)', { method: req.method, path: req.path });
+      req.auth = { sub: 'development', scopes: ['*'] };
+      return next();
+    }
+
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+
+    try {
+      if (!match) throw new AuthError('Missing bearer token', 401, 'invalid_request');
+
+      const auth = verifyToken(match[1], secret);
+      if (!hasScope(auth, scope)) {
+        throw new AuthError(`Token lacks required scope ${scope}`, 403, 'insufficient_scope');
+      }
+
+      req.auth = auth;
+      return next();
+    } catch (error) {
+      const status = error instanceof AuthError ? error.status : 401;
+      const code = error instanceof AuthError ? error.code : 'invalid_token';
+
+      res.set('WWW-Authenticate', `Bearer error="${code}", scope="${scope}"`);
+      return res.status(status).json({
+        error: error.message,
+        requiredScope: scope,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
@@ -0,0 +1,115 @@
+// lib/availability-lifecycle.js - What became of announced dates: still open, or gone again
+//
+// Every date that went out in an availability alert is followed in the
+// account's alert state (the notification log, next to the dedupe records)
+// until it is in the past:
+//   announced  - alert sent, no run has looked at it since
+//   still_open - a later run saw it still bookable
+//   gone       - a later run saw it booked or closed
+// A date going gone raises one "gone" follow-up and clears its dedupe record,
+// so a re-opening is announced again straight away. Dates that stay open get
+// a "still open" reminder every reminderHours (see lib/alert-policy.js).
+import { localDay } from './alert-policy.js';
+
+const GONE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Start (or restart, after a re-opening) following the dates an alert just announced
+export function trackAnnounced(state, changes, now = new Date()) {
+  const at = now.toISOString();
+  for (const month of changes.changedMonths) {
+    for (const date of month.newlyAvailableDates || []) {
+      state.availability[date] = {
+        date,
+        month: month.month,
+        name: month.name,
+        status: 'announced',
+        announcedAt: at,
+        lastSeenOpenAt: at,
+        lastReminderAt: null,
+        goneAt: null,
+        goneNotifiedAt: null
+      };
+    }
+  }
+}
+
+/**
+ * Whether a run saw `date` open: true/false, or null when the run can't
+ * tell (month not checked, failed, or a pixel comparison without a baseline).
+ * DOM months answer from the day states; pixel months only know which
+ * dates turned unavailable against the baseline.
+ */
+function observedOpen(date, monthResult, availability) {
+  if (!monthResult || monthResult.error) return null;
+  if (availability.has(date)) return availability.get(date) === 'available';
+  if (monthResult.detectionMethod === 'pixel' && monthResult.hasBaseline) {
+    return !(monthResult.newlyUnavailableDates || []).includes(date);
+  }
+  return null;
+}
+
+/**
+ * Apply one run's observations (`results` is monitorAccount's allResults,
+ * `availability` its ISO date -> day state map) to the followed dates.
+ * Returns the entries that went from open to gone in this run.
+ */
+export function updateLifecycle(state, { results, availability, timezone, now = new Date() }) {
+  const at = now.toISOString();
+  const byMonth = new Map(results.map(result => [result.month, result]));
+  const gone = [];
+
+  for (const entry of Object.values(state.availability)) {
+    // A gone date that re-opens comes back through the regular alert
+    if (entry.status === 'gone') continue;
+
+    const open = observedOpen(entry.date, byMonth.get(entry.month), availability);
+    if (open === true) {
+      entry.status = 'still_open';
+      entry.lastSeenOpenAt = at;
+    } else if (open === false) {
+      entry.status = 'gone';
+      entry.goneAt = at;
+      delete state.announced.dates[entry.date];
+      gone.push(entry);
+    }
+  }
+
+  pruneLifecycle(state, timezone, now);
+  return gone;
+}
+
+// Past dates no longer matter; gone ones are kept a week for the open-dates view
+export function pruneLifecycle(state, timezone, now = new Date()) {
+  const today = localDay(now, timezone);
+  for (const [date, entry] of Object.entries(state.availability)) {
+    const expired = entry.status === 'gone' && Date.parse(entry.goneAt) <= now.getTime() - GONE_RETENTION_MS;
+    if (date < today || expired) delete state.availability[date];
+  }
+}
+
+/**
+ * Follow-ups owed now, as { gone, stillOpen } lists of entries: gone dates
+ * not reported yet, and open dates whose last alert or reminder is at least
+ * reminderHours old.
+ */
+export function dueFollowUps(state, policy, now = new Date()) {
+  const entries = Object.values(state.availability).sort((a, b) => a.date.localeCompare(b.date));
+  const reminderCutoff = now.getTime() - policy.reminderHours * 60 * 60 * 1000;
+
+  return {
+    gone: policy.goneFollowUps ? entries.filter(entry => entry.status === 'gone' && !entry.goneNotifiedAt) : [],
+    stillOpen: policy.reminderHours > 0
+      ? entries.filter(entry => entry.status === 'still_open' && Date.parse(entry.lastReminderAt || entry.announcedAt) <= reminderCutoff)
+      : []
+  };
+}
+
+export function markFollowUpSent(state, kind, entries, now = new Date()) {
+  const at = now.toISOString();
+  for (const entry of entries) {
+    const tracked = state.availability[entry.date];
+    if (!tracked) continue;
+    if (kind === 'gone') tracked.goneNotifiedAt = at;
+    else tracked.lastReminderAt = at;
+  }
+}
@@ -0,0 +1,342 @@
+// lib/baseline-store.js - Versioned baselines with history, approval and rollback
+//
+// The current baseline stays at <storagePath>/YYYY-MM.png (+ .json day snapshot)
+// so comparisons read it directly. Every saved capture is also kept as a version
+// under <storagePath>/history/YYYY-MM/ with an index.json describing them.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const MAX_VERSIONS_PER_MONTH = 50;
+
+// An index that exists but can't be read - never rebuilt over, that would drop the month's history
+export class BaselineIndexError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BaselineIndexError';
+  }
+}
+
+function historyDir(storagePath, monthKey) {
+  return path.join(storagePath, 'history', monthKey);
+}
+
+function indexPath(storagePath, monthKey) {
+  return path.join(historyDir(storagePath, monthKey), 'index.json');
+}
+
+function versionFile(storagePath, monthKey, versionId, extension) {
+  return path.join(historyDir(storagePath, monthKey), `${versionId}.${extension}`);
+}
+
+function currentFile(storagePath, monthKey, extension) {
+  return path.join(storagePath, `${monthKey}.${extension}`);
+}
+
+function newVersionId(index) {
+  const base = new Date().toISOString().replace(/[-:.]/g, '');
+  let id = base;
+  for (let n = 1; index.versions.some(v => v.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function writeIndex(storagePath, monthKey, index) {
+  await fs.mkdir(historyDir(storagePath, monthKey), { recursive: true });
+  await fs.writeFile(indexPath(storagePath, monthKey), JSON.stringify(index, null, 2));
+}
+
+// Load the month's index, importing a pre-existing current baseline as the first version
+async function loadIndex(storagePath, monthKey) {
+  const file = indexPath(storagePath, monthKey);
+  let content = null;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new BaselineIndexError(`Could not read baseline index ${file}: ${error.message}`);
+    }
+  }
+
+  if (content !== null) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new BaselineIndexError(`Baseline index ${file} is corrupt (${error.message}) - repair or remove it to continue`);
+    }
+  }
+
+  const index = { month: monthKey, current: null, versions: [] };
+
+  if (await fileExists(currentFile(storagePath, monthKey, 'png'))) {
+    const id = newVersionId(index);
+    await fs.mkdir(historyDir(storagePath, monthKey), { recursive: true });
+    await fs.copyFile(currentFile(storagePath, monthKey, 'png'), versionFile(storagePath, monthKey, id, 'png'));
+
+    const hasSnapshot = await fileExists(currentFile(storagePath, monthKey, 'json'));
+    if (hasSnapshot) {
+      await fs.copyFile(currentFile(storagePath, monthKey, 'json'), versionFile(storagePath, monthKey, id, 'json'));
+    }
+
+    index.versions.push({
+      id,
+      runId: null,
+      createdAt: new Date().toISOString(),
+      reason: 'imported',
+      status: 'current',
+      hasSnapshot,
+      stats: {}
+    });
+    index.current = id;
+    await writeIndex(storagePath, monthKey, index);
+  }
+
+  return index;
+}
+
+async function pruneVersions(storagePath, monthKey, index) {
+  const removable = index.versions.filter(v => v.id !== index.current);
+  const excess = index.versions.length - MAX_VERSIONS_PER_MONTH;
+  if (excess <= 0) return;
+
+  // Versions are appended in creation order, so the first removable ones are the oldest
+  for (const version of removable.slice(0, excess)) {
+    await fs.rm(versionFile(storagePath, monthKey, version.id, 'png'), { force: true });
+    await fs.rm(versionFile(storagePath, monthKey, version.id, 'json'), { force: true });
+    index.versions = index.versions.filter(v => v.id !== version.id);
+  }
+}
+
+async function makeCurrent(storagePath, monthKey, index, versionId, reason) {
+  const version = index.versions.find(v => v.id === versionId);
+  if (!version) {
+    throw new Error(`Unknown baseline version ${versionId} for ${monthKey}`);
+  }
+
+  await fs.copyFile(versionFile(storagePath, monthKey, versionId, 'png'), currentFile(storagePath, monthKey, 'png'));
+  if (version.hasSnapshot) {
+    await fs.copyFile(versionFile(storagePath, monthKey, versionId, 'json'), currentFile(storagePath, monthKey, 'json'));
+  } else {
+    // A newer snapshot left in place would keep the DOM comparison on the version being undone
+    await fs.rm(currentFile(storagePath, monthKey, 'json'), { force: true });
+  }
+
+  for (const v of index.versions) {
+    if (v.status === 'current') v.status = 'superseded';
+  }
+  version.status = 'current';
+  version.promotedAt = new Date().toISOString();
+  version.promotionReason = reason;
+  index.current = versionId;
+
+  return version;
+}
+
+/**
+ * Record a new baseline version. With `promote: false` the capture is kept
+ * as a pending candidate and the current baseline is left untouched until
+ * someone approves it via promoteBaselineVersion.
+ */
+export async function saveBaselineVersion(storagePath, monthKey, {
+  png,
+  snapshot = null,
+  runId = null,
+  reason = 'update',
+  stats = {},
+  promote = true
+}) {
+  await fs.mkdir(storagePath, { recursive: true });
+  const index = await loadIndex(storagePath, monthKey);
+  const id = newVersionId(index);
+
+  await fs.mkdir(historyDir(storagePath, monthKey), { recursive: true });
+  await fs.writeFile(versionFile(storagePath, monthKey, id, 'png'), png);
+  if (snapshot) {
+    await fs.writeFile(versionFile(storagePath, monthKey, id, 'json'), JSON.stringify(snapshot, null, 2));
+  }
+
+  const version = {
+    id,
+    runId,
+    createdAt: new Date().toISOString(),
+    reason,
+    status: 'pending',
+    hasSnapshot: Boolean(snapshot),
+    stats
+  };
+  index.versions.push(version);
+
+  if (promote) {
+    await makeCurrent(storagePath, monthKey, index, id, reason);
+  }
+
+  await pruneVersions(storagePath, monthKey, index);
+  await writeIndex(storagePath, monthKey, index);
+  return version;
+}
+
+export async function listBaselineVersions(storagePath, monthKey) {
+  const index = await loadIndex(storagePath, monthKey);
+  return {
+    month: monthKey,
+    current: index.current,
+    versions: [...index.versions].reverse() // Newest first
+  };
+}
+
+/**
+ * The current version of every month with history, as { month, version, since,
+ * pending } where `since` is when it became current and `pending` counts
+ * versions awaiting approval. Reads the indexes as they are - unlike the
+ * other calls it never imports an untracked baseline.
+ */
+export async function currentBaselines(storagePath) {
+  let months;
+  try {
+    months = await fs.readdir(path.join(storagePath, 'history'));
+  } catch (error) {
+    return [];
+  }
+
+  const baselines = [];
+  for (const month of months.filter(name => /^\d{4}-\d{2}$/.test(name)).sort()) {
+    try {
+      const index = JSON.parse(await fs.readFile(indexPath(storagePath, month), 'utf8'));
+      const version = index.versions.find(v => v.id === index.current);
+      if (version) {
+        baselines.push({
+          month,
+          version: version.id,
+          since: version.promotedAt || version.createdAt,
+          pending: index.versions.filter(v => v.status === 'pending').length
+        });
+      }
+    } catch (error) {
+      // A month directory without a readable index has no current baseline to report
+    }
+  }
+  return baselines;
+}
+
+export async function readBaselineVersion(storagePath, monthKey, versionId) {
+  const index = await loadIndex(storagePath, monthKey);
+  const version = index.versions.find(v => v.id === versionId);
+  if (!version) return null;
+
+  const png = await fs.readFile(versionFile(storagePath, monthKey, versionId, 'png'));
+  const snapshot = version.hasSnapshot
+    ? JSON.parse(await fs.readFile(versionFile(storagePath, monthKey, versionId, 'json'), 'utf8'))
+    : null;
+
+  return { version, png, snapshot };
+}
+
+export async function promoteBaselineVersion(storagePath, monthKey, versionId, reason = 'manual_promote') {
+  const index = await loadIndex(storagePath, monthKey);
+  const version = await makeCurrent(storagePath, monthKey, index, versionId, reason);
+  await writeIndex(storagePath, monthKey, index);
+  return version;
+}
+
+/**
+ * Drop the current baseline so the next run captures a fresh one. The
+ * version stays in history (superseded) and can still be promoted back.
+ */
+export async function resetBaseline(storagePath, monthKey, reason = 'reset') {
+  const index = await loadIndex(storagePath, monthKey);
+  const version = index.versions.find(v => v.id === index.current);
+
+  if (!version) {
+    throw new Error(`No current baseline for ${monthKey} to reset`);
+  }
+
+  version.status = 'superseded';
+  version.resetAt = new Date().toISOString();
+  version.resetReason = reason;
+  index.current = null;
+
+  await fs.rm(currentFile(storagePath, monthKey, 'png'), { force: true });
+  await fs.rm(currentFile(storagePath, monthKey, 'json'), { force: true });
+  await writeIndex(storagePath, monthKey, index);
+  return version;
+}
+
+// The most recent capture of each month, kept whether or not it became the baseline
+function latestFile(storagePath, monthKey, extension) {
+  return path.join(storagePath, 'latest', `${monthKey}.${extension}`);
+}
+
+export async function saveLatestCapture(storagePath, monthKey, png, { runId = null } = {}) {
+  await fs.mkdir(path.join(storagePath, 'latest'), { recursive: true });
+  await fs.writeFile(latestFile(storagePath, monthKey, 'png'), png);
+  await fs.writeFile(latestFile(storagePath, monthKey, 'json'), JSON.stringify({
+    month: monthKey,
+    runId,
+    capturedAt: new Date().toISOString()
+  }, null, 2));
+}
+
+export async function readLatestCapture(storagePath, monthKey) {
+  try {
+    return {
+      png: await fs.readFile(latestFile(storagePath, monthKey, 'png')),
+      capture: JSON.parse(await fs.readFile(latestFile(storagePath, monthKey, 'json'), 'utf8'))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+export async function listLatestCaptures(storagePath) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(storagePath, 'latest'));
+  } catch (error) {
+    return [];
+  }
+
+  const captures = [];
+  for (const file of files.filter(name => /^\d{4}-\d{2}\.json$/.test(name)).sort()) {
+    try {
+      captures.push(JSON.parse(await fs.readFile(path.join(storagePath, 'latest', file), 'utf8')));
+    } catch (error) {
+      // Half-written capture - the next run replaces it
+    }
+  }
+  return captures;
+}
+
+/**
+ * Step back to the newest non-pending version created before the current one.
+ * Calling it repeatedly walks further back through history.
+ */
+export async function rollbackBaseline(storagePath, monthKey, reason = 'rollback') {
+  const index = await loadIndex(storagePath, monthKey);
+  const currentPosition = index.versions.findIndex(v => v.id === index.current);
+
+  if (currentPosition === -1) {
+    throw new Error(`No current baseline for ${monthKey} to roll back from`);
+  }
+
+  const target = index.versions
+    .slice(0, currentPosition)
+    .reverse()
+    .find(v => v.status !== 'pending');
+
+  if (!target) {
+    throw new Error(`No earlier baseline version for ${monthKey}`);
+  }
+
+  const version = await makeCurrent(storagePath, monthKey, index, target.id, reason);
+  await writeIndex(storagePath, monthKey, index);
+  return version;
+}
@@ -0,0 +1,49 @@
+// lib/calendar-snapshot.js - Per-month JSON snapshots of day-level availability
+import { promises as fs } from 'fs';
+import path from 'path';
+
+function snapshotPath(storagePath, monthKey) {
+  return path.join(storagePath, `${monthKey}.json`);
+}
+
+export async function loadSnapshot(storagePath, monthKey) {
+  try {
+    const data = await fs.readFile(snapshotPath(storagePath, monthKey), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    // Missing or unreadable snapshot - caller treats it as "no baseline"
+    return null;
+  }
+}
+
+/**
+ * Compare two snapshots day by day, keyed on ISO date.
+ * Only in-month dates present in both snapshots are compared - the
+ * adjacent-month padding cells belong to another month's calendar, and
+ * counting them here would announce their dates under the wrong month.
+ */
+export function compareSnapshots(previous, current) {
+  const previousByDate = new Map(previous.days.map(day => [day.date, day]));
+  const changes = [];
+  let daysCompared = 0;
+
+  for (const day of current.days) {
+    if (!day.inMonth) continue;
+    const before = previousByDate.get(day.date);
+    if (!before || !before.inMonth) continue;
+
+    daysCompared++;
+    if (before.state !== day.state) {
+      changes.push({ date: day.date, inMonth: day.inMonth, from: before.state, to: day.state });
+    }
+  }
+
+  const uniqueSorted = dates => [...new Set(dates)].sort();
+
+  return {
+    daysCompared,
+    changes,
+    newlyAvailableDates: uniqueSorted(changes.filter(c => c.to === 'available').map(c => c.date)),
+    newlyUnavailableDates: uniqueSorted(changes.filter(c => c.from === 'available').map(c => c.date))
+  };
+}
@@ -0,0 +1,13 @@
+// lib/config.js - Helpers shared by the JSON config files (notifiers.json, accounts.json)
+
+// "${SLACK_WEBHOOK_URL}" in a config file is replaced with the env var, so secrets stay in .env
+export function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v)]));
+  }
+  return value;
+}
@@ -0,0 +1,190 @@
+// lib/cron.js - Standard 5-field cron expressions evaluated in an IANA timezone
+//
+//   ┌ minute (0-59)
+//   │ ┌ hour (0-23)
+//   │ │ ┌ day of month (1-31)
+//   │ │ │ ┌ month (1-12 or jan-dec)
+//   │ │ │ │ ┌ day of week (0-7 or sun-sat, 0 and 7 are Sunday)
+//   * * * * *
+//
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 9-17/2) and the
+// @hourly / @daily / @weekly / @monthly / @yearly macros.
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Search at most a little over four years ahead (covers Feb 29 schedules)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60 + 60;
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.nameOffset;
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid ${field.name} value "${token}"`);
+  }
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`Invalid range in ${field.name} "${rangePart}"`);
+    } else {
+      start = parseValue(rangePart, field);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression into value sets. Throws on invalid input.
+ */
+export function parseCron(expression) {
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    expression: normalized,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Vixie cron: when both day fields are restricted, either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+export function assertTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Unknown timezone "${timezone}"`);
+  }
+}
+
+const formatterCache = new Map();
+
+// Wall-clock fields of `date` in `timezone`
+export function zonedParts(date, timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatterCache.get(timezone).formatToParts(date).map(p => [p.type, p.value])
+  );
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    dayOfWeek: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+function dayMatches(schedule, parts) {
+  const domMatch = schedule.dayOfMonth.has(parts.day);
+  const dowMatch = schedule.dayOfWeek.has(parts.dayOfWeek);
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (schedule.dayOfMonthRestricted) return domMatch;
+  if (schedule.dayOfWeekRestricted) return dowMatch;
+  return true;
+}
+
+/**
+ * Next time strictly after `after` at which the schedule fires, evaluated
+ * against wall-clock time in `timezone`.
+ */
+export function nextRun(schedule, timezone, after = new Date()) {
+  const minuteMs = 60 * 1000;
+  let candidate = new Date(Math.floor(after.getTime() / minuteMs) * minuteMs + minuteMs);
+
+  for (let searched = 0; searched < MAX_SEARCH_MINUTES;) {
+    const parts = zonedParts(candidate, timezone);
+    let skip = 1;
+
+    if (!schedule.month.has(parts.month) || !dayMatches(schedule, parts)) {
+      // Jump towards the next local day, stopping an hour short so DST shifts can't skip past midnight
+      skip = Math.max((23 - parts.hour) * 60 - parts.minute, 60 - parts.minute);
+    } else if (!schedule.hour.has(parts.hour)) {
+      skip = 60 - parts.minute;
+    } else if (schedule.minute.has(parts.minute)) {
+      return candidate;
+    }
+
+    candidate = new Date(candidate.getTime() + skip * minuteMs);
+    searched += skip;
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never fires`);
+}
@@ -0,0 +1,250 @@
+// lib/diagnostics.js - Per-run diagnostic bundles for replaying failed checks
+//
+// While a run goes on, every account's page is watched: console messages,
+// page errors and requests (method, URL, status or failure - no headers or
+// bodies) are kept in capped buffers. With DIAGNOSTICS_TRACE=true a Playwright
+// trace is recorded too, from the moment the account is logged in - never
+// during login, the trace would hold the typed password. A failing month or
+// account adds the page's HTML and a full-page screenshot.
+// When a month, an account or the run failed (or after every run with
+// DIAGNOSTICS_CAPTURE=always) it is all zipped into tmp/diagnostics/<runId>.zip
+// with the navigation screenshots the run left in tmp/. New bundles prune
+// those older than DIAGNOSTICS_MAX_AGE_DAYS and the oldest beyond
+// DIAGNOSTICS_MAX_TOTAL_MB. Text goes through the logger's redaction.
+// `dir` and `screenshotDir` options move the bundles and the screenshots they
+// pick up away from tmp/ (tests point them at a temp directory).
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createZip } from './zip.js';
+import { sanitizeRunId } from './diff-artifacts.js';
+import { DIAGNOSTIC_SCREENSHOT, SCREENSHOT_DIR } from './health-alerts.js';
+import { JobCancelledError } from './jobs.js';
+import { logger, redact } from './logger.js';
+
+const DIAGNOSTICS_DIR = './tmp/diagnostics';
+const CAPTURE_MODES = ['off', 'failures', 'always'];
+const MAX_CONSOLE_ENTRIES = 1000;
+const MAX_NETWORK_ENTRIES = 2000;
+
+/**
+ * DIAGNOSTICS_CAPTURE (off | failures | always, default failures),
+ * DIAGNOSTICS_TRACE and the retention caps. Throws on a typo.
+ */
+export function diagnosticsSettings() {
+  const capture = process.env.DIAGNOSTICS_CAPTURE || 'failures';
+  if (!CAPTURE_MODES.includes(capture)) {
+    throw new Error(`DIAGNOSTICS_CAPTURE must be one of ${CAPTURE_MODES.join(', ')}, got "${capture}"`);
+  }
+  const trace = process.env.DIAGNOSTICS_TRACE || 'false';
+  if (!['true', 'false'].includes(trace)) {
+    throw new Error(`DIAGNOSTICS_TRACE must be true or false, got "${trace}"`);
+  }
+
+  const maxAgeDays = parseFloat(process.env.DIAGNOSTICS_MAX_AGE_DAYS || '7');
+  const maxTotalMb = parseFloat(process.env.DIAGNOSTICS_MAX_TOTAL_MB || '200');
+  if (!(maxAgeDays > 0) || !(maxTotalMb > 0)) {
+    throw new Error('DIAGNOSTICS_MAX_AGE_DAYS and DIAGNOSTICS_MAX_TOTAL_MB must be positive numbers');
+  }
+
+  return { capture, trace: trace === 'true', maxAgeDays, maxTotalBytes: maxTotalMb * 1024 * 1024 };
+}
+
+export function diagnosticBundlePath(runId, dir = DIAGNOSTICS_DIR) {
+  return path.join(dir, `${sanitizeRunId(runId)}.zip`);
+}
+
+// { bytes, createdAt } of a run's bundle, or null when it has none (any more)
+export async function diagnosticBundleInfo(runId, dir = DIAGNOSTICS_DIR) {
+  const stat = await fs.stat(diagnosticBundlePath(runId, dir)).catch(() => null);
+  return stat ? { bytes: stat.size, createdAt: stat.mtime.toISOString() } : null;
+}
+
+function pushCapped(list, entry, max) {
+  list.push(redact(entry));
+  if (list.length > max) list.shift();
+}
+
+function jsonLines(entries) {
+  return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+}
+
+// Screenshots navigateToMonth / captureMonth wrote during this run
+async function runScreenshots(screenshotDir, since) {
+  const names = await fs.readdir(screenshotDir).catch(() => []);
+  const files = [];
+  for (const name of names.filter(n => DIAGNOSTIC_SCREENSHOT.test(n))) {
+    const file = path.join(screenshotDir, name);
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat && stat.mtime >= since) files.push({ name: `screenshots/${name}`, data: await fs.readFile(file) });
+  }
+  return files;
+}
+
+/**
+ * Drop bundles older than the age cap, then the oldest until the rest fit
+ * the size cap. `keep` (the bundle just written) always stays.
+ */
+export async function pruneDiagnostics(settings = diagnosticsSettings(), { keep = null, now = new Date(), dir = DIAGNOSTICS_DIR } = {}) {
+  const names = (await fs.readdir(dir).catch(() => [])).filter(name => name.endsWith('.zip'));
+  const bundles = [];
+  for (const name of names) {
+    const file = path.join(dir, name);
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat) bundles.push({ file, bytes: stat.size, modified: stat.mtime.getTime() });
+  }
+
+  const cutoff = now.getTime() - settings.maxAgeDays * 24 * 60 * 60 * 1000;
+  let total = bundles.reduce((sum, b) => sum + b.bytes, 0);
+  let removed = 0;
+
+  for (const bundle of bundles.sort((a, b) => a.modified - b.modified)) {
+    if (bundle.file === keep) continue;
+    if (bundle.modified >= cutoff && total <= settings.maxTotalBytes) continue;
+    await fs.unlink(bundle.file).catch(() => {});
+    total -= bundle.bytes;
+    removed++;
+  }
+
+  if (total > settings.maxTotalBytes) {
+    logger.warn('Diagnostic bundle alone exceeds DIAGNOSTICS_MAX_TOTAL_MB', { operation: 'diagnostics', bytes: total });
+  }
+  return { removed, bytes: total };
+}
+
+/**
+ * The recorder runMonitor hands to every account of one run. `capture` and
+ * `trace` default to diagnosticsSettings(); capture 'off' makes every
+ * method a no-op. `screenshotDir` is where the run's navigation screenshots
+ * go - the monitor reads it back from the recorder.
+ */
+export function createRunDiagnostics({ runId, capture, trace, startedAt = new Date(), dir = DIAGNOSTICS_DIR, screenshotDir = SCREENSHOT_DIR }) {
+  const settings = diagnosticsSettings();
+  const mode = capture || settings.capture;
+  const tracing = trace !== undefined ? trace : settings.trace;
+  const enabled = mode !== 'off';
+  const accounts = new Map();
+
+  const forAccount = accountId => {
+    if (!accounts.has(accountId)) {
+      accounts.set(accountId, { console: [], network: [], files: [], failures: [], tracing: false, trace: false });
+    }
+    return accounts.get(accountId);
+  };
+
+  return {
+    screenshotDir,
+
+    watch(page, accountId) {
+      if (!enabled) return;
+      const record = forAccount(accountId);
+
+      page.on('console', message => {
+        const { url, lineNumber } = message.location();
+        pushCapped(record.console, { at: new Date().toISOString(), type: message.type(), text: message.text(), location: url ? `${url}:${lineNumber}` : null }, MAX_CONSOLE_ENTRIES);
+      });
+      page.on('pageerror', error => {
+        pushCapped(record.console, { at: new Date().toISOString(), type: 'pageerror', text: error.message, location: null }, MAX_CONSOLE_ENTRIES);
+      });
+      page.on('response', response => {
+        const request = response.request();
+        pushCapped(record.network, { at: new Date().toISOString(), method: request.method(), url: response.url(), status: response.status(), resourceType: request.resourceType() }, MAX_NETWORK_ENTRIES);
+      });
+      page.on('requestfailed', request => {
+        const failure = request.failure();
+        pushCapped(record.network, { at: new Date().toISOString(), method: request.method(), url: request.url(), status: null, resourceType: request.resourceType(), failure: failure ? failure.errorText : 'failed' }, MAX_NETWORK_ENTRIES);
+      });
+    },
+
+    // Call once logged in - see the header comment
+    async startTrace(context, accountId) {
+      if (!enabled || !tracing) return;
+      try {
+        await context.tracing.start({ screenshots: true, snapshots: true });
+        forAccount(accountId).tracing = true;
+      } catch (error) {
+        logger.warn('Could not start Playwright trace', { operation: 'diagnostics', error: error.message });
+      }
+    },
+
+    // `label` names the files: a month key, or 'account' for a failure outside the months
+    async recordFailure(page, accountId, label, error) {
+      if (!enabled) return;
+      const record = forAccount(accountId);
+      record.failures.push({ label, error: redact(error.message), stage: error.stage || null, code: error.code || null, url: page ? page.url() : null, at: new Date().toISOString() });
+      if (!page) return;
+
+      const html = await page.content().catch(() => null);
+      if (html) record.files.push({ name: `${accountId}/${label}.html`, data: redact(html) });
+      const png = await page.screenshot({ fullPage: true, type: 'png' }).catch(() => null);
+      if (png) record.files.push({ name: `${accountId}/${label}.png`, data: png });
+    },
+
+    // Before the account's context closes: keep the trace if the bundle will want it
+    async closeAccount(context, accountId) {
+      const record = accounts.get(accountId);
+      if (!record || !record.tracing) return;
+      record.tracing = false;
+
+      try {
+        if (mode !== 'always' && record.failures.length === 0) {
+          await context.tracing.stop();
+          return;
+        }
+        await fs.mkdir(dir, { recursive: true });
+        const tracePath = path.join(dir, `.trace-${sanitizeRunId(runId)}-${accountId}.zip`);
+        await context.tracing.stop({ path: tracePath });
+        record.files.push({ name: `${accountId}/trace.zip`, data: await fs.readFile(tracePath) });
+        record.trace = true;
+        await fs.unlink(tracePath).catch(() => {});
+      } catch (error) {
+        logger.warn('Could not save Playwright trace', { operation: 'diagnostics', error: error.message });
+      }
+    },
+
+    /**
+     * Write the bundle if anything failed (`error` is the run's own, if it
+     * threw) or capture is 'always'. Returns { path, bytes, reason } or null.
+     */
+    async finish(error = null) {
+      if (!enabled || error instanceof JobCancelledError) return null;
+
+      const failures = [...accounts.values()].reduce((sum, record) => sum + record.failures.length, 0);
+      if (!error && failures === 0 && mode !== 'always') return null;
+
+      const manifest = {
+        runId,
+        startedAt: startedAt.toISOString(),
+        createdAt: new Date().toISOString(),
+        reason: error || failures > 0 ? 'failure' : 'always',
+        error: error ? redact(error.message) : null,
+        capture: mode,
+        trace: tracing,
+        accounts: [...accounts.entries()].map(([account, record]) => ({
+          account,
+          failures: record.failures,
+          trace: record.trace ? `${account}/trace.zip` : null,
+          consoleEntries: record.console.length,
+          networkEntries: record.network.length
+        }))
+      };
+
+      const entries = [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }];
+      for (const [account, record] of accounts) {
+        entries.push({ name: `${account}/console.jsonl`, data: jsonLines(record.console) });
+        entries.push({ name: `${account}/network.jsonl`, data: jsonLines(record.network) });
+        entries.push(...record.files);
+      }
+      entries.push(...await runScreenshots(screenshotDir, startedAt));
+
+      const bundlePath = diagnosticBundlePath(runId, dir);
+      const zip = createZip(entries);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(`${bundlePath}.tmp`, zip);
+      await fs.rename(`${bundlePath}.tmp`, bundlePath);
+      await pruneDiagnostics(settings, { keep: bundlePath, dir });
+
+      logger.info('Diagnostic bundle saved', { operation: 'diagnostics', path: bundlePath, bytes: zip.length, failures, files: entries.length });
+      return { path: bundlePath, bytes: zip.length, reason: manifest.reason };
+    }
+  };
+}
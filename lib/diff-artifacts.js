@@ -0,0 +1,92 @@
+// lib/diff-artifacts.js - Visual diff overlays written per month and run
+import { promises as fs } from 'fs';
+import path from 'path';
+import { encodePng } from './png.js';
+
+export const DIFF_STORAGE_PATH = './tmp/baselines/diffs/';
+const MAX_DIFFS_PER_MONTH = 48; // Two days of hourly runs
+
+// Per-pixel classification codes filled in by performVisualComparison
+export const DIFF_NONE = 0;
+export const DIFF_OTHER = 1;
+export const DIFF_AVAILABILITY = 2;
+export const DIFF_HIGHLIGHT = 3;
+export const DIFF_UNAVAILABILITY = 4;
+
+const TINTS = {
+  [DIFF_OTHER]: { color: [230, 40, 40], alpha: 0.7 },         // Red: changed, but not availability
+  [DIFF_AVAILABILITY]: { color: [20, 200, 60], alpha: 0.85 }, // Green: availability increase
+  [DIFF_HIGHLIGHT]: { color: [60, 120, 255], alpha: 0.35 },   // Faint blue: ignored date highlighting
+  [DIFF_UNAVAILABILITY]: { color: [255, 140, 0], alpha: 0.8 } // Orange: was available, now isn't
+};
+
+/**
+ * Render the current screenshot with changed pixels tinted by category.
+ * `image` is a decoded { width, height, data } RGBA image, `mask` holds one
+ * DIFF_* code per pixel.
+ */
+export function renderDiffOverlay(image, mask) {
+  const data = Buffer.from(image.data);
+
+  for (let p = 0; p < mask.length; p++) {
+    const tint = TINTS[mask[p]];
+    if (!tint) continue;
+
+    const i = p * 4;
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = Math.round(data[i + c] * (1 - tint.alpha) + tint.color[c] * tint.alpha);
+    }
+    data[i + 3] = 255;
+  }
+
+  return encodePng({ width: image.width, height: image.height, data });
+}
+
+// Run ids (newRunId in lib/run-history.js) are already safe; ids from URLs are reduced to one too
+export function sanitizeRunId(runId) {
+  return String(runId).replace(/[^\w.-]/g, '_').slice(0, 128);
+}
+
+// `storagePath` is the account's diff folder (see lib/accounts.js accountPaths)
+export function diffArtifactPath(monthKey, runId, extension = 'png', storagePath = DIFF_STORAGE_PATH) {
+  return path.join(storagePath, monthKey, `${sanitizeRunId(runId)}.${extension}`);
+}
+
+export async function saveDiffArtifact(monthKey, runId, png, metadata = {}, storagePath = DIFF_STORAGE_PATH) {
+  const dir = path.join(storagePath, monthKey);
+  await fs.mkdir(dir, { recursive: true });
+
+  await fs.writeFile(diffArtifactPath(monthKey, runId, 'png', storagePath), png);
+  await fs.writeFile(diffArtifactPath(monthKey, runId, 'json', storagePath), JSON.stringify({
+    month: monthKey,
+    runId,
+    createdAt: new Date().toISOString(),
+    ...metadata
+  }, null, 2));
+
+  await pruneDiffArtifacts(dir);
+}
+
+async function pruneDiffArtifacts(dir) {
+  const files = await fs.readdir(dir);
+  const runs = await Promise.all(
+    files.filter(f => f.endsWith('.png')).map(async f => ({
+      name: f.slice(0, -'.png'.length),
+      mtime: (await fs.stat(path.join(dir, f))).mtimeMs
+    }))
+  );
+
+  const stale = runs.sort((a, b) => b.mtime - a.mtime).slice(MAX_DIFFS_PER_MONTH);
+  for (const run of stale) {
+    await fs.rm(path.join(dir, `${run.name}.png`), { force: true });
+    await fs.rm(path.join(dir, `${run.name}.json`), { force: true });
+  }
+}
+
+export async function readDiffArtifact(monthKey, runId, storagePath = DIFF_STORAGE_PATH) {
+  try {
+    return await fs.readFile(diffArtifactPath(monthKey, runId, 'png', storagePath));
+  } catch (error) {
+    return null;
+  }
+}
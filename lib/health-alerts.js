@@ -0,0 +1,279 @@
+// lib/health-alerts.js - Operational alerts: the monitor itself has stopped working
+//
+// Availability alerts tell the owner about the site; these tell whoever runs
+// the monitor that it can't see the site any more. After every run the recent
+// run history is checked for:
+//   consecutive_failures    - the last HEALTH_FAILED_RUNS runs failed outright
+//   navigation_failure_rate - more than HEALTH_NAV_FAILURE_RATE of the month
+//                             checks in the last HEALTH_WINDOW_RUNS runs never
+//                             reached their month
+//   all_months_failed       - every month the latest run checked errored
+//   calendar_missing        - the latest run found no calendar table
+// A condition raises one HEALTH_ALERT when it starts - with copies of the
+// diagnostic screenshots navigation left in tmp/ - and one HEALTH_RECOVERED
+// once a later run no longer shows it. Both go to the `healthChannels` of
+// notifiers.json (lib/notifiers/index.js), never to the availability channels.
+// State lives under tmp/health/; `dir` and `screenshotDir` options point it
+// (and where screenshots are copied from) elsewhere, e.g. in tests.
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const HEALTH_DIR = './tmp/health';
+// Where navigateToMonth / captureMonth leave their screenshots by default
+export const SCREENSHOT_DIR = './tmp';
+export const DIAGNOSTIC_SCREENSHOT = /^(?:final-navigation-state|navigation-error|nav-error-\d+|calendar-missing)\.png$/;
+const MAX_SCREENSHOTS = 8;
+const MAX_ALERTS = 50;
+// Fewer month checks than this say nothing about a failure rate
+const MIN_RATE_SAMPLE = 4;
+
+export const HEALTH_CONDITIONS = ['consecutive_failures', 'navigation_failure_rate', 'all_months_failed', 'calendar_missing'];
+
+// Read-modify-write of the state file - one update at a time
+let lock = Promise.resolve();
+function withLock(task) {
+  const run = lock.then(task, task);
+  lock = run.catch(() => {});
+  return run;
+}
+
+function readSetting(name, fallback, { min, max = Infinity, integer = false }) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new Error(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Thresholds from the environment. 0 turns the run-failure and rate checks off.
+ */
+export function healthSettings() {
+  return {
+    failedRuns: readSetting('HEALTH_FAILED_RUNS', 3, { min: 0, integer: true }),
+    windowRuns: readSetting('HEALTH_WINDOW_RUNS', 5, { min: 1, integer: true }),
+    navFailureRate: readSetting('HEALTH_NAV_FAILURE_RATE', 0.5, { min: 0, max: 1 })
+  };
+}
+
+// Cancelled runs say nothing about the site
+function countedRuns(runs) {
+  return runs.filter(run => run.status !== 'cancelled');
+}
+
+function monthsOf(run) {
+  return run.accounts.flatMap(account => account.months.map(month => ({ account: account.account, ...month })));
+}
+
+/**
+ * The conditions `runs` (run history records, oldest first) show right now,
+ * as [{ condition, message, details }].
+ */
+export function evaluateHealth(runs, settings = healthSettings()) {
+  const counted = countedRuns(runs);
+  const latest = counted[counted.length - 1];
+  if (!latest) return [];
+
+  const active = [];
+
+  const streak = counted.slice(-settings.failedRuns);
+  if (settings.failedRuns > 0 && streak.length === settings.failedRuns && streak.every(run => run.status === 'failed')) {
+    active.push({
+      condition: 'consecutive_failures',
+      message: `The last ${streak.length} runs failed (latest: ${latest.error || 'unknown error'})`,
+      details: { runs: streak.map(run => run.id), lastError: latest.error }
+    });
+  }
+
+  const windowMonths = counted.slice(-settings.windowRuns).flatMap(monthsOf);
+  const navigationFailures = windowMonths.filter(month => month.errorStage === 'navigation');
+  const rate = windowMonths.length > 0 ? navigationFailures.length / windowMonths.length : 0;
+  if (settings.navFailureRate > 0 && windowMonths.length >= MIN_RATE_SAMPLE && rate > settings.navFailureRate) {
+    active.push({
+      condition: 'navigation_failure_rate',
+      message: `${navigationFailures.length} of ${windowMonths.length} month checks in the last ${Math.min(counted.length, settings.windowRuns)} runs could not navigate to their month`,
+      details: {
+        rate: Math.round(rate * 1000) / 1000,
+        threshold: settings.navFailureRate,
+        failed: navigationFailures.length,
+        checked: windowMonths.length,
+        months: [...new Set(navigationFailures.map(month => month.month))].sort()
+      }
+    });
+  }
+
+  const latestMonths = monthsOf(latest);
+  if (latestMonths.length > 0 && latestMonths.every(month => month.error)) {
+    active.push({
+      condition: 'all_months_failed',
+      message: `Every month the latest run checked failed (${latestMonths.length} month(s))`,
+      details: {
+        months: latestMonths.map(month => month.month),
+        errors: [...new Set(latestMonths.map(month => month.error))].slice(0, 3)
+      }
+    });
+  }
+
+  const missing = latestMonths.filter(month => month.errorStage === 'calendar_missing');
+  if (missing.length > 0) {
+    active.push({
+      condition: 'calendar_missing',
+      message: `No calendar table on the availability page for ${missing.map(month => month.name || month.month).join(', ')} - the page structure may have changed`,
+      details: { months: missing.map(month => month.month) }
+    });
+  }
+
+  return active;
+}
+
+function statePath(dir) {
+  return path.join(dir, 'state.json');
+}
+
+export async function readHealthState(dir = HEALTH_DIR) {
+  try {
+    const state = JSON.parse(await fs.readFile(statePath(dir), 'utf8'));
+    return { open: state.open || {}, alerts: state.alerts || [] };
+  } catch (error) {
+    return { open: {}, alerts: [] };
+  }
+}
+
+async function writeHealthState(state, dir) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(`${statePath(dir)}.tmp`, JSON.stringify(state, null, 2));
+  await fs.rename(`${statePath(dir)}.tmp`, statePath(dir));
+}
+
+export function screenshotPath(alertId, name, dir = HEALTH_DIR) {
+  return path.join(dir, alertId, name);
+}
+
+// The screenshots are overwritten by the next failing navigation - keep a copy with the alert.
+// Files older than `since` were left by an earlier run and say nothing about this one.
+async function keepScreenshots(alertId, dir, screenshotDir, since) {
+  let names;
+  try {
+    names = (await fs.readdir(screenshotDir)).filter(name => DIAGNOSTIC_SCREENSHOT.test(name));
+  } catch (error) {
+    return [];
+  }
+
+  const found = [];
+  for (const name of names) {
+    const stat = await fs.stat(path.join(screenshotDir, name)).catch(() => null);
+    if (stat && (!since || stat.mtime >= since)) found.push({ name, capturedAt: stat.mtime.toISOString(), bytes: stat.size });
+  }
+
+  const newest = found.sort((a, b) => b.capturedAt.localeCompare(a.capturedAt)).slice(0, MAX_SCREENSHOTS);
+  if (newest.length > 0) await fs.mkdir(path.join(dir, alertId), { recursive: true });
+  for (const shot of newest) {
+    await fs.copyFile(path.join(screenshotDir, shot.name), screenshotPath(alertId, shot.name, dir));
+  }
+  return newest;
+}
+
+// Alerts beyond MAX_ALERTS go, with their screenshots - unless a condition is still open on them
+async function pruneAlerts(state, dir) {
+  const dropped = state.alerts.slice(0, Math.max(0, state.alerts.length - MAX_ALERTS));
+  state.alerts = state.alerts.slice(-MAX_ALERTS);
+
+  const inUse = new Set(Object.values(state.open).map(entry => entry.alertId));
+  for (const alert of dropped.filter(a => !inUse.has(a.id))) {
+    await fs.rm(path.join(dir, alert.id), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Compare what `runs` show (see evaluateHealth) with the conditions already
+ * open. Returns { alert, recovery, open }: the alert entry for conditions
+ * that just started and the recovery entry for those that just cleared
+ * (either may be null), and every condition open now. `since` is when the
+ * latest run started: only screenshots it left are attached to an alert.
+ */
+export function updateHealth(runs, { settings = healthSettings(), now = new Date(), since = null, dir = HEALTH_DIR, screenshotDir = SCREENSHOT_DIR } = {}) {
+  return withLock(async () => {
+    const state = await readHealthState(dir);
+    const counted = countedRuns(runs);
+    const latest = counted[counted.length - 1];
+    const at = now.toISOString();
+    const active = evaluateHealth(runs, settings);
+
+    let alert = null;
+    let recovery = null;
+
+    const cleared = Object.values(state.open).filter(entry => !active.some(c => c.condition === entry.condition));
+    if (cleared.length > 0) {
+      recovery = {
+        id: crypto.randomUUID(),
+        kind: 'recovered',
+        at,
+        runId: latest ? latest.id : null,
+        conditions: cleared.map(({ condition, message, since, alertId }) => ({ condition, message, since, alertId, clearedAt: at }))
+      };
+      for (const entry of cleared) delete state.open[entry.condition];
+      state.alerts.push(recovery);
+    }
+
+    const raised = active.filter(c => !state.open[c.condition]);
+    if (raised.length > 0) {
+      const id = crypto.randomUUID();
+      alert = {
+        id,
+        kind: 'alert',
+        at,
+        runId: latest.id,
+        conditions: raised.map(c => ({ ...c, since: at })),
+        screenshots: await keepScreenshots(id, dir, screenshotDir, since)
+      };
+      state.alerts.push(alert);
+    }
+
+    // Conditions that stay open keep their start and alert, with the latest numbers
+    for (const c of active) {
+      const previous = state.open[c.condition];
+      state.open[c.condition] = { ...c, since: previous ? previous.since : at, alertId: previous ? previous.alertId : alert.id, lastSeenAt: at };
+    }
+
+    await pruneAlerts(state, dir);
+    await writeHealthState(state, dir);
+    return { alert, recovery, open: Object.values(state.open) };
+  });
+}
+
+function screenshotUrl(alertId, name) {
+  const base = (process.env.MONITOR_PUBLIC_URL || '').replace(/\/$/, '');
+  return `${base}/api/health/alerts/${alertId}/screenshots/${name}`;
+}
+
+/**
+ * The notification for an alert or recovery entry from updateHealth.
+ * Screenshots carry their local `file` (email attaches it) and a `url` on
+ * this server's API (MONITOR_PUBLIC_URL makes it absolute).
+ */
+export function buildHealthEvent(entry, { dir = HEALTH_DIR } = {}) {
+  const recovered = entry.kind === 'recovered';
+  const screenshots = (entry.screenshots || []).map(shot => ({
+    ...shot,
+    file: screenshotPath(entry.id, shot.name, dir),
+    url: screenshotUrl(entry.id, shot.name)
+  }));
+
+  return {
+    alert: recovered ? 'HEALTH_RECOVERED' : 'HEALTH_ALERT',
+    title: recovered ? 'Snowmass monitor recovered' : 'Snowmass monitor needs attention',
+    health: entry.kind,
+    alertId: entry.id,
+    runId: entry.runId,
+    conditions: entry.conditions,
+    screenshots,
+    message: recovered
+      ? `✅ Snowmass monitor recovered: ${entry.conditions.map(c => c.condition.replace(/_/g, ' ')).join(', ')} cleared`
+      : `⚠️ Snowmass monitor needs attention: ${entry.conditions.map(c => c.message).join('; ')}`,
+    timestamp: entry.at
+  };
+}
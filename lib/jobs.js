@@ -0,0 +1,210 @@
+// lib/jobs.js - In-memory registry of monitor jobs with progress events and cancellation
+//
+// A job wraps one monitor run so callers don't have to hold a request open for
+// minutes: it records progress events (login, navigating, captured, compared,
+// notified ...) and per-month results as they happen, and can be cancelled.
+// Code running inside a job finds it through AsyncLocalStorage, the same way
+// log context reaches the navigation helpers - reportProgress() and
+// checkCancelled() are no-ops outside a job. Jobs live only in this process;
+// the run history (lib/run-history.js) is the durable record.
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { logger, logContext } from './logger.js';
+
+const MAX_FINISHED_JOBS = 50;
+const MAX_EVENTS_PER_JOB = 500;
+
+const jobContext = new AsyncLocalStorage();
+const jobs = new Map(); // id -> job, oldest first
+
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+export function isJobFinished(job) {
+  return job.status !== 'running';
+}
+
+function prune() {
+  const finished = [...jobs.values()].filter(isJobFinished);
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+function addEvent(job, stage, fields = {}) {
+  const event = { id: ++job.lastEventId, at: new Date().toISOString(), stage, ...fields };
+  job.events.push(event);
+  if (job.events.length > MAX_EVENTS_PER_JOB) job.events.shift();
+  job.emitter.emit('progress', event);
+}
+
+function finish(job, status, { result = null, error = null } = {}) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.result = result;
+  job.error = error ? error.message : null;
+  // Typed failures (a LoginError code shared by every account) carry an HTTP status
+  job.errorCode = error && error.status ? error.code : null;
+  job.cancelHandlers.clear();
+  addEvent(job, status, error ? { error: error.message } : {});
+  job.emitter.emit('done', jobSnapshot(job));
+  job.emitter.removeAllListeners();
+  prune();
+}
+
+/**
+ * Start `task` as a job and return it straight away. `task` is called
+ * synchronously inside the job's context; if it throws right away so does
+ * startJob and no job is registered. `job.promise`
+ * settles with the task's outcome for callers that still want to wait.
+ */
+export function startJob({ runId, requestId = null, trigger, accounts = [] }, task) {
+  const job = {
+    id: crypto.randomUUID(),
+    runId,
+    requestId,
+    trigger,
+    accounts,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    cancelRequested: false,
+    events: [],
+    lastEventId: 0,
+    results: [],
+    result: null,
+    error: null,
+    errorCode: null,
+    emitter: new EventEmitter(),
+    cancelHandlers: new Set()
+  };
+
+  job.promise = jobContext.run(job, () => {
+    addEvent(job, 'started', { runId, requestId, trigger, accounts });
+    return task();
+  });
+  jobs.set(job.id, job);
+
+  job.promise.then(
+    result => finish(job, 'succeeded', { result }),
+    error => finish(job, error instanceof JobCancelledError || job.cancelRequested ? 'cancelled' : 'failed', { error })
+  );
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Newest first
+export function listJobs() {
+  return [...jobs.values()].reverse();
+}
+
+// The job that is still running, if any - there is at most one thanks to the run lock
+export function activeJob() {
+  return [...jobs.values()].find(job => !isJobFinished(job)) || null;
+}
+
+/**
+ * Ask a running job to stop. Registered cancel handlers run at once (closing
+ * the browser aborts whatever page call is in flight); the job then ends as
+ * 'cancelled' at its next checkCancelled(). Returns false for finished jobs.
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || isJobFinished(job)) return false;
+  if (job.cancelRequested) return true;
+
+  job.cancelRequested = true;
+  addEvent(job, 'cancelling');
+
+  for (const handler of job.cancelHandlers) {
+    Promise.resolve()
+      .then(handler)
+      .catch(error => logger.warn('Cancel handler failed', { jobId: job.id, error: error.message }));
+  }
+  return true;
+}
+
+/**
+ * Record a progress step of the current job. The active log context
+ * (account, month) is added, so callers only pass what is new.
+ */
+export function reportProgress(stage, fields = {}) {
+  const job = jobContext.getStore();
+  if (!job || isJobFinished(job)) return;
+
+  const { account, month } = logContext();
+  addEvent(job, stage, { ...(account ? { account } : {}), ...(month ? { month } : {}), ...fields });
+}
+
+// A finished month, available from GET /api/jobs/:id before the whole run ends
+export function reportPartialResult(result) {
+  const job = jobContext.getStore();
+  if (job && !isJobFinished(job)) job.results.push(result);
+}
+
+// Throw JobCancelledError if the current job has been cancelled
+export function checkCancelled() {
+  const job = jobContext.getStore();
+  if (job && job.cancelRequested) throw new JobCancelledError(job.id);
+}
+
+/**
+ * Run `handler` when the current job is cancelled. Returns a function that
+ * unregisters it again.
+ */
+export function onCancel(handler) {
+  const job = jobContext.getStore();
+  if (!job) return () => {};
+
+  job.cancelHandlers.add(handler);
+  return () => job.cancelHandlers.delete(handler);
+}
+
+/**
+ * Listen to a job's events: `onProgress(event)` for each step and
+ * `onDone(snapshot)` once when it ends. Returns an unsubscribe function.
+ */
+export function subscribeToJob(job, { onProgress, onDone }) {
+  job.emitter.on('progress', onProgress);
+  job.emitter.once('done', onDone);
+  return () => {
+    job.emitter.off('progress', onProgress);
+    job.emitter.off('done', onDone);
+  };
+}
+
+/**
+ * What the API shows of a job. `includeResult` adds the partial month
+ * results and, once it succeeded, the run's full response.
+ */
+export function jobSnapshot(job, { includeResult = false } = {}) {
+  const last = job.events[job.events.length - 1];
+  const end = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+
+  return {
+    id: job.id,
+    runId: job.runId,
+    requestId: job.requestId,
+    trigger: job.trigger,
+    accounts: job.accounts,
+    status: job.status,
+    cancelRequested: job.cancelRequested,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    durationMs: end - Date.parse(job.createdAt),
+    lastEvent: last || null,
+    monthsCompleted: job.results.length,
+    error: job.error,
+    errorCode: job.errorCode,
+    ...(includeResult ? { results: job.results, result: job.result } : {})
+  };
+}
@@ -0,0 +1,113 @@
+// lib/logger.js - Levelled JSON logging with run correlation and redaction
+//
+// One JSON object per line with the `severity`/`message`/`time` fields Cloud
+// Logging understands, plus whatever context is active: withLogContext()
+// binds runId, account, month or operation to everything logged inside
+// the callback (including deep in navigation helpers) via AsyncLocalStorage.
+//
+// LOG_LEVEL (debug, info, warn, error; default info) drops the noisier
+// levels - step-by-step navigation is debug. LOG_FORMAT=pretty prints a
+// readable line instead of JSON for local runs.
+//
+// Before anything is written, credential-like keys (password, token,
+// secret, cookie, ...) are replaced, known secret values (the configured
+// passwords and keys) are masked and email addresses are shortened to
+// their first letter and domain.
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|credential|api[-_]?key|storageState|encryptionKey/i;
+const EMAIL = /([A-Za-z0-9])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const BEARER = /Bearer\s+[A-Za-z0-9._~+/=-]+/g;
+const MAX_DEPTH = 6;
+const SECRET_ENV = ['SNOWMASS_PASSWORD', 'JWT_SECRET', 'SESSION_ENCRYPTION_KEY', 'WEBHOOK_SIGNING_SECRET'];
+
+const context = new AsyncLocalStorage();
+const secrets = new Set();
+
+function configuredLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+/**
+ * Mask `value` wherever it appears in log output (passwords passed in a
+ * request or read from an account config). Short values are ignored - they
+ * would mask ordinary words.
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 4) secrets.add(value);
+}
+
+for (const name of SECRET_ENV) registerSecret(process.env[name]);
+
+function redactString(text) {
+  let result = text;
+  for (const secret of secrets) {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  }
+  return result
+    .replace(BEARER, `Bearer ${REDACTED}`)
+    .replace(EMAIL, (match, first, domain) => `${first}***@${domain}`);
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack }, depth + 1);
+  }
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function formatPretty(entry) {
+  const { severity, time, message, runId, account, month, ...fields } = entry;
+  const scope = [runId, account, month].filter(Boolean).join(' ');
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time.slice(11, 23)} ${severity.padEnd(7)} ${scope ? `[${scope}] ` : ''}${message}${extra}`;
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[configuredLevel()]) return;
+
+  const entry = redact({
+    severity: SEVERITY[level],
+    time: new Date().toISOString(),
+    message,
+    ...context.getStore(),
+    ...fields
+  });
+  const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Run `fn` with `fields` added to every log line written inside it,
+ * on top of any context already active.
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// The fields withLogContext() has bound at this point (runId, account, month ...)
+export function logContext() {
+  return { ...context.getStore() };
+}
@@ -0,0 +1,124 @@
+// lib/login-errors.js - Typed login failures and the per-account login backoff
+//
+// doLogin checks the page the site shows after the form is submitted and
+// turns a failure into a LoginError with one of the codes below, which the
+// monitor handler maps to an HTTP status. Failures that retrying can make
+// worse push the next attempt further out each time - doubling from
+// LOGIN_BACKOFF_MINUTES up to LOGIN_BACKOFF_MAX_HOURS, straight to the
+// maximum for a locked account - so a wrong password in the config can't
+// keep hammering the form until the site locks the account. An outage or an
+// unrecognised page only waits LOGIN_BACKOFF_MINUTES: nothing about the
+// account is wrong. A successful login or different credentials end the
+// backoff. Reusing a saved session never waits: it submits nothing.
+// Credentials passed in a run request keep their own state under
+// tmp/login-state/, so they neither reset nor inherit a registered account's.
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const LOGIN_ERROR_STATUS = {
+  INVALID_CREDENTIALS: 401,
+  CAPTCHA_REQUIRED: 403,
+  ACCOUNT_LOCKED: 423,
+  SITE_UNAVAILABLE: 503,
+  UNKNOWN_PAGE: 502
+};
+
+// Codes where another submit risks the account - these back off further per failure
+const GROWING_BACKOFF = ['INVALID_CREDENTIALS', 'CAPTCHA_REQUIRED', 'ACCOUNT_LOCKED'];
+
+const CREDENTIAL_STATE_PATH = './tmp/login-state/';
+
+export class LoginError extends Error {
+  constructor(code, message, { retryAfter = null, url = null } = {}) {
+    super(message);
+    this.name = 'LoginError';
+    this.code = code;
+    this.status = LOGIN_ERROR_STATUS[code];
+    // ISO time before which no new attempt is made, once the backoff is recorded
+    this.retryAfter = retryAfter;
+    this.url = url;
+  }
+}
+
+// Login state for credentials from a request body - one file per username, like tmp/sessions/
+export function credentialLoginStatePath(username) {
+  const id = crypto.createHash('sha256').update(username.trim().toLowerCase()).digest('hex').slice(0, 16);
+  return path.join(CREDENTIAL_STATE_PATH, `${id}.json`);
+}
+
+function backoffSettings() {
+  return {
+    baseMs: parseFloat(process.env.LOGIN_BACKOFF_MINUTES || '15') * 60 * 1000,
+    maxMs: parseFloat(process.env.LOGIN_BACKOFF_MAX_HOURS || '24') * 60 * 60 * 1000
+  };
+}
+
+// Salted so the state file doesn't give away a guessable hash of the password
+function fingerprint(username, password, salt) {
+  return crypto.scryptSync(`${username.trim().toLowerCase()}\u0000${password}`, Buffer.from(salt, 'base64'), 16).toString('base64');
+}
+
+async function readLoginState(statePath) {
+  try {
+    return JSON.parse(await fs.readFile(statePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function sameCredentials(state, username, password) {
+  return Boolean(state && state.salt && state.fingerprint === fingerprint(username, password, state.salt));
+}
+
+/**
+ * The backoff in force for these credentials as { code, failures,
+ * nextAttemptAt, lastError }, or null when a login may be attempted now.
+ */
+export async function loginBackoff(statePath, username, password, now = new Date()) {
+  const state = await readLoginState(statePath);
+  if (!sameCredentials(state, username, password) || Date.parse(state.nextAttemptAt) <= now.getTime()) return null;
+
+  const { code, failures, nextAttemptAt, lastError } = state;
+  return { code, failures, nextAttemptAt, lastError };
+}
+
+/**
+ * Count a failed attempt and work out when the next one may happen.
+ * Sets `error.retryAfter` and returns the ISO time.
+ */
+export async function recordLoginFailure(statePath, username, password, error, now = new Date()) {
+  const previous = await readLoginState(statePath);
+  const repeated = sameCredentials(previous, username, password);
+  const salt = repeated ? previous.salt : crypto.randomBytes(16).toString('base64');
+  const failures = repeated ? previous.failures + 1 : 1;
+
+  const { baseMs, maxMs } = backoffSettings();
+  let delayMs = baseMs;
+  if (error.code === 'ACCOUNT_LOCKED') {
+    delayMs = maxMs;
+  } else if (GROWING_BACKOFF.includes(error.code)) {
+    delayMs = Math.min(maxMs, baseMs * 2 ** (failures - 1));
+  }
+  const nextAttemptAt = new Date(now.getTime() + delayMs).toISOString();
+
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  await fs.writeFile(statePath, JSON.stringify({
+    salt,
+    fingerprint: fingerprint(username, password, salt),
+    failures,
+    code: error.code,
+    lastError: error.message,
+    lastFailureAt: now.toISOString(),
+    nextAttemptAt
+  }, null, 2));
+
+  error.retryAfter = nextAttemptAt;
+  return nextAttemptAt;
+}
+
+export async function clearLoginFailures(statePath) {
+  await fs.unlink(statePath).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+}
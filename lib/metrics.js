@@ -0,0 +1,177 @@
+// lib/metrics.js - In-process Prometheus metrics for GET /metrics
+//
+// Counters and histograms are aggregated in place (a count and bucket totals
+// per label set), so memory stays flat however long the process runs. Each
+// metric keeps at most MAX_SERIES label sets; the least recently updated one
+// is dropped beyond that (e.g. months that have rolled out of the window).
+// Baseline age, open health alerts and process memory are read when scraped.
+import { loadAccounts } from './accounts.js';
+import { currentBaselines } from './baseline-store.js';
+import { readHealthState, HEALTH_CONDITIONS } from './health-alerts.js';
+import { logger } from './logger.js';
+
+const MAX_SERIES = 500;
+const DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+const RUN_DURATION_BUCKETS = [10, 30, 60, 120, 300, 600, 900, 1800];
+
+const registry = [];
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : '')));
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  const rendered = pairs
+    .filter(([, value]) => value !== '')
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return rendered.length > 0 ? `{${rendered.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6);
+}
+
+function defineMetric(type, name, help, labelNames, create) {
+  const series = new Map();
+
+  const metric = {
+    type,
+    name,
+    help,
+    labelNames,
+    series,
+    // Re-inserting keeps the Map in least-recently-updated order for eviction
+    touch(labels) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (entry) {
+        series.delete(key);
+      } else {
+        entry = { values: JSON.parse(key), ...create() };
+        if (series.size >= MAX_SERIES) series.delete(series.keys().next().value);
+      }
+      series.set(key, entry);
+      return entry;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const metric = defineMetric('counter', name, help, labelNames, () => ({ value: 0 }));
+  return {
+    inc(labels = {}, amount = 1) {
+      metric.touch(labels).value += amount;
+    }
+  };
+}
+
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const metric = defineMetric('histogram', name, help, labelNames, () => ({
+    buckets: new Array(buckets.length).fill(0),
+    count: 0,
+    sum: 0
+  }));
+  metric.bucketBounds = buckets;
+
+  return {
+    observe(labels, seconds) {
+      const entry = metric.touch(labels);
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) entry.buckets[i]++;
+      });
+      entry.count++;
+      entry.sum += seconds;
+    }
+  };
+}
+
+export const metrics = {
+  runs: counter('snowmass_monitor_runs_total', 'Monitor runs by trigger and outcome (success, partial, failed, cancelled, skipped)', ['trigger', 'status']),
+  runDuration: histogram('snowmass_monitor_run_duration_seconds', 'Duration of a whole monitor run', ['trigger'], RUN_DURATION_BUCKETS),
+  loginDuration: histogram('snowmass_login_duration_seconds', 'Time to get a logged-in page, by whether the saved session was reused', ['session', 'outcome']),
+  loginFailures: counter('snowmass_login_failures_total', 'Submitted logins the site rejected, by error code (attempts skipped during backoff are not counted)', ['account', 'code']),
+  monthChecks: counter('snowmass_month_checks_total', 'Month checks by outcome', ['month', 'outcome']),
+  captureDuration: histogram('snowmass_month_capture_duration_seconds', 'Capture of one month (navigation, cell read and screenshot, including retries)', ['month', 'outcome']),
+  compareDuration: histogram('snowmass_month_compare_duration_seconds', 'Comparison of one month against its baseline', ['month', 'outcome']),
+  navigationDuration: histogram('snowmass_month_navigation_duration_seconds', 'Calendar navigation to one month, per attempt', ['month', 'outcome']),
+  navigationRetries: counter('snowmass_navigation_retries_total', 'Month captures retried after a failed attempt', ['month']),
+  notifications: counter('snowmass_notifications_total', 'Notification deliveries (first attempts and outbox retries) by channel and outcome', ['type', 'channel', 'outcome']),
+  notificationsSuppressed: counter('snowmass_notifications_suppressed_total', 'Alerts not sent right away - already announced, or held for quiet hours, the daily cap or a digest', ['account', 'reason']),
+  healthAlerts: counter('snowmass_health_alerts_total', 'Operational health conditions raised and cleared', ['condition', 'event'])
+};
+
+// Read at scrape time rather than tracked as they change
+async function scrapeGauges() {
+  const lines = [];
+
+  lines.push('# HELP snowmass_baseline_age_seconds Seconds since the current baseline of a month was saved or promoted');
+  lines.push('# TYPE snowmass_baseline_age_seconds gauge');
+  try {
+    for (const account of await loadAccounts()) {
+      for (const baseline of await currentBaselines(account.storagePath)) {
+        const age = (Date.now() - Date.parse(baseline.since)) / 1000;
+        lines.push(`snowmass_baseline_age_seconds${formatLabels([['account', account.id], ['month', baseline.month]])} ${formatNumber(Math.max(0, age))}`);
+      }
+    }
+  } catch (error) {
+    logger.error('Could not read baseline ages for metrics', { error: error.message });
+  }
+
+  lines.push('# HELP snowmass_health_alert_open Whether an operational health condition is open (1) or not (0)');
+  lines.push('# TYPE snowmass_health_alert_open gauge');
+  const { open } = await readHealthState();
+  for (const condition of HEALTH_CONDITIONS) {
+    lines.push(`snowmass_health_alert_open${formatLabels([['condition', condition]])} ${open[condition] ? 1 : 0}`);
+  }
+
+  lines.push('# HELP snowmass_process_memory_bytes Process memory usage');
+  lines.push('# TYPE snowmass_process_memory_bytes gauge');
+  for (const [type, bytes] of Object.entries(process.memoryUsage())) {
+    lines.push(`snowmass_process_memory_bytes${formatLabels([['type', type]])} ${bytes}`);
+  }
+
+  lines.push('# HELP snowmass_process_uptime_seconds Seconds since the process started');
+  lines.push('# TYPE snowmass_process_uptime_seconds gauge');
+  lines.push(`snowmass_process_uptime_seconds ${formatNumber(process.uptime())}`);
+
+  return lines;
+}
+
+/**
+ * Every metric in the Prometheus text exposition format (version 0.0.4).
+ */
+export async function renderMetrics() {
+  const lines = [];
+
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const entry of metric.series.values()) {
+      const pairs = metric.labelNames.map((name, i) => [name, entry.values[i]]);
+
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${formatLabels(pairs)} ${formatNumber(entry.value)}`);
+        continue;
+      }
+
+      metric.bucketBounds.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels([...pairs, ['le', formatNumber(bound)]])} ${entry.buckets[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${entry.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(pairs)} ${formatNumber(entry.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(pairs)} ${entry.count}`);
+    }
+  }
+
+  lines.push(...await scrapeGauges());
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,54 @@
+// lib/notifiers/discord.js - Discord webhook
+import { postJson } from './http.js';
+
+export const requiredFields = ['webhookUrl'];
+
+const DISCORD_GREEN = 0x2e8b57;
+const DISCORD_GREY = 0x808080;
+const DISCORD_RED = 0xcc3333;
+
+function healthFields(event) {
+  return [
+    ...event.conditions.map(c => ({ name: c.condition.replace(/_/g, ' '), value: c.message, inline: false })),
+    ...event.screenshots.map(shot => ({ name: shot.name, value: `[${shot.capturedAt}](${shot.url})`, inline: true }))
+  ].slice(0, 25);
+}
+
+export function formatPayload(event, channel) {
+  if (event.health) {
+    return {
+      ...(channel.username ? { username: channel.username } : {}),
+      content: event.message,
+      embeds: [{
+        title: event.title,
+        color: event.health === 'recovered' ? DISCORD_GREEN : DISCORD_RED,
+        timestamp: event.timestamp,
+        fields: healthFields(event)
+      }]
+    };
+  }
+
+  return {
+    ...(channel.username ? { username: channel.username } : {}),
+    content: event.message,
+    embeds: [{
+      title: event.title || 'New Snowmass availability',
+      color: event.followUp === 'gone' ? DISCORD_GREY : DISCORD_GREEN,
+      timestamp: event.timestamp,
+      // Discord caps embeds at 25 fields
+      fields: event.followUp
+        ? event.months.slice(0, 25).map(month => ({ name: month.name, value: month.dates.join(', '), inline: false }))
+        : event.changedMonths.slice(0, 25).map(month => ({
+          name: month.name,
+          value: month.newlyAvailableDates.length > 0
+            ? month.newlyAvailableDates.join(', ')
+            : `${month.availabilityIncrease} availability change(s)`,
+          inline: false
+        }))
+    }]
+  };
+}
+
+export async function send(event, channel) {
+  return postJson(channel.webhookUrl, formatPayload(event, channel));
+}
@@ -0,0 +1,233 @@
+// lib/notifiers/email.js - Plain-text email over SMTP (implicit TLS or STARTTLS)
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { once } from 'events';
+
+export const requiredFields = ['host', 'from', 'to'];
+
+const SMTP_TIMEOUT_MS = 20000;
+
+export function formatPayload(event) {
+  const lines = [event.message, ''];
+
+  // Health alerts attach the diagnostic screenshots they link
+  if (event.health) {
+    for (const c of event.conditions) {
+      lines.push(`${c.condition.replace(/_/g, ' ')}: ${c.message}`);
+    }
+    if (event.screenshots.length > 0) {
+      lines.push('', 'Screenshots:', ...event.screenshots.map(shot => `  - ${shot.name} (${shot.capturedAt}): ${shot.url}`));
+    }
+    lines.push('', `Run ${event.runId} at ${event.timestamp}`);
+    return {
+      subject: `${event.title}: ${event.conditions.map(c => c.condition.replace(/_/g, ' ')).join(', ')}`,
+      text: lines.join('\n'),
+      attachments: event.screenshots.map(shot => ({ filename: shot.name, path: shot.file, contentType: 'image/png' }))
+    };
+  }
+
+  if (event.followUp) {
+    for (const month of event.months) {
+      lines.push(`${month.name}:`, ...month.dates.map(date => `  - ${date}`));
+    }
+    lines.push('', 'Book at https://osrcreservations.com/generalavailability', '', `Sent at ${event.timestamp}`);
+    return {
+      subject: `${event.title}: ${event.months.map(m => m.name).join(', ')}`,
+      text: lines.join('\n')
+    };
+  }
+
+  for (const month of event.changedMonths) {
+    lines.push(`${month.name}:`);
+    if (month.newlyAvailableDates.length > 0) {
+      lines.push(...month.newlyAvailableDates.map(date => `  - ${date}`));
+    } else {
+      lines.push(`  - ${month.availabilityIncrease} availability change(s) (${month.changePercentage}% of calendar)`);
+    }
+  }
+
+  lines.push('', 'Book at https://osrcreservations.com/generalavailability', '', `Checked at ${event.timestamp}`);
+
+  return {
+    subject: `Snowmass availability: ${event.changedMonths.map(m => m.name).join(', ')}`,
+    text: lines.join('\n')
+  };
+}
+
+// RFC 2047 encoded-word so emoji/accents survive in headers
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(buffer) {
+  return buffer.toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// Plain text, or multipart/mixed when there are `attachments` ({ filename, contentType, content })
+function buildMessage({ from, to, subject, text, attachments = [] }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0'
+  ];
+  const textPart = ['Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64'];
+  const body = base64Lines(Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8'));
+
+  if (attachments.length === 0) {
+    return `${[...headers, ...textPart].join('\r\n')}\r\n\r\n${body}`;
+  }
+
+  const boundary = `snowmass-${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [
+    `${textPart.join('\r\n')}\r\n\r\n${body}`,
+    ...attachments.map(a => [
+      `Content-Type: ${a.contentType}; name="${a.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${a.filename}"`,
+      '',
+      base64Lines(a.content)
+    ].join('\r\n'))
+  ];
+
+  return `${[...headers, `Content-Type: multipart/mixed; boundary="${boundary}"`].join('\r\n')}\r\n\r\n` +
+    parts.map(part => `--${boundary}\r\n${part}\r\n`).join('') + `--${boundary}--`;
+}
+
+// Attachment files can be pruned before an outbox retry - send what is still there
+async function readAttachments(attachments = []) {
+  const loaded = [];
+  for (const attachment of attachments) {
+    const content = await fs.readFile(attachment.path).catch(() => null);
+    if (content) loaded.push({ ...attachment, content });
+  }
+  return loaded;
+}
+
+// Minimal SMTP conversation helper: one outstanding reply at a time
+function openSession(socket) {
+  let current = socket;
+  let buffer = '';
+  let pending = null;
+
+  const settle = () => {
+    if (!pending) return;
+    const lines = buffer.split('\r\n');
+
+    for (let i = 0; i < lines.length - 1; i++) {
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(lines[i])) {
+        const reply = { code: parseInt(lines[i].slice(0, 3), 10), text: lines.slice(0, i + 1).join('\n') };
+        buffer = lines.slice(i + 1).join('\r\n');
+        const { resolve } = pending;
+        pending = null;
+        resolve(reply);
+        return;
+      }
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    settle();
+  };
+  const onError = error => {
+    if (pending) {
+      pending.reject(error);
+      pending = null;
+    }
+  };
+  const attach = s => {
+    s.on('data', onData);
+    s.on('error', onError);
+    s.setTimeout(SMTP_TIMEOUT_MS, () => s.destroy(new Error('SMTP connection timed out')));
+  };
+
+  attach(socket);
+
+  const session = {
+    read() {
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+        settle();
+      });
+    },
+
+    async expect(codes) {
+      const reply = await session.read();
+      if (!codes.includes(reply.code)) {
+        throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+      }
+      return reply;
+    },
+
+    command(line, codes) {
+      current.write(`${line}\r\n`);
+      return session.expect(codes);
+    },
+
+    async startTls(host) {
+      current.removeListener('data', onData);
+      current = tls.connect({ socket: current, servername: host });
+      await once(current, 'secureConnect');
+      attach(current);
+    },
+
+    close() {
+      current.end();
+    }
+  };
+
+  return session;
+}
+
+export async function send(event, channel) {
+  const recipients = Array.isArray(channel.to) ? channel.to : String(channel.to).split(',').map(s => s.trim());
+  const secure = channel.secure !== undefined ? Boolean(channel.secure) : Number(channel.port) === 465;
+  const port = Number(channel.port) || (secure ? 465 : 587);
+
+  const socket = secure
+    ? tls.connect({ host: channel.host, port, servername: channel.host })
+    : net.connect({ host: channel.host, port });
+  await once(socket, secure ? 'secureConnect' : 'connect');
+
+  const session = openSession(socket);
+  const clientName = channel.clientName || os.hostname();
+
+  try {
+    await session.expect([220]);
+    let ehlo = await session.command(`EHLO ${clientName}`, [250]);
+
+    if (!secure && channel.starttls !== false && /STARTTLS/i.test(ehlo.text)) {
+      await session.command('STARTTLS', [220]);
+      await session.startTls(channel.host);
+      ehlo = await session.command(`EHLO ${clientName}`, [250]);
+    }
+
+    if (channel.user) {
+      const credentials = Buffer.from(`\u0000${channel.user}\u0000${channel.pass || ''}`).toString('base64');
+      await session.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    const { subject, text, attachments } = formatPayload(event, channel);
+    const fromAddress = channel.from.match(/<([^>]+)>/)?.[1] || channel.from;
+
+    await session.command(`MAIL FROM:<${fromAddress}>`, [250]);
+    for (const recipient of recipients) {
+      await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await session.command('DATA', [354]);
+
+    const message = buildMessage({ from: channel.from, to: recipients, subject, text, attachments: await readAttachments(attachments) });
+    await session.command(`${message}\r\n.`, [250]);
+    await session.command('QUIT', [221]).catch(() => {});
+
+    return { status: 250, recipients: recipients.length };
+  } finally {
+    session.close();
+  }
+}
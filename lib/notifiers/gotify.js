@@ -0,0 +1,18 @@
+// lib/notifiers/gotify.js - Gotify push notifications
+import { postJson } from './http.js';
+
+export const requiredFields = ['server', 'token'];
+
+export function formatPayload(event, channel) {
+  return {
+    title: event.title || 'New Snowmass availability',
+    message: event.message,
+    priority: channel.priority || 8
+  };
+}
+
+export async function send(event, channel) {
+  return postJson(`${channel.server.replace(/\/$/, '')}/message`, formatPayload(event, channel), {
+    'X-Gotify-Key': channel.token
+  });
+}
@@ -0,0 +1,42 @@
+// lib/notifiers/http.js - Shared HTTP helper for notification channels
+import fetch from 'node-fetch';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * POST with a timeout. Resolves with { status } on 2xx, throws otherwise
+ * so every channel reports failures the same way.
+ */
+export async function post(url, { body, headers = {} }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'User-Agent': 'Snowmass-Monitor/1.0.0', ...headers },
+      body,
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    return { status: response.status };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function postJson(url, payload, headers = {}) {
+  return post(url, {
+    body: JSON.stringify(payload),
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
@@ -0,0 +1,237 @@
+// lib/notifiers/index.js - Notification channel registry and fan-out
+import { promises as fs } from 'fs';
+import { interpolateEnv } from '../config.js';
+import { getAccount } from '../accounts.js';
+import { metrics } from '../metrics.js';
+import { logger } from '../logger.js';
+import * as webhook from './webhook.js';
+import * as slack from './slack.js';
+import * as discord from './discord.js';
+import * as email from './email.js';
+import * as ntfy from './ntfy.js';
+import * as gotify from './gotify.js';
+import {
+  newDeliveryId,
+  enqueueDelivery,
+  drainOutbox,
+  replayDeadLetters
+} from './outbox.js';
+
+const CHANNEL_TYPES = { webhook, slack, discord, email, ntfy, gotify };
+
+const NOTIFIERS_CONFIG_PATH = process.env.NOTIFIERS_CONFIG || './notifiers.json';
+const DEFAULT_WEBHOOK_URL = 'https://buildsolutions.app.n8n.cloud/webhook/onesnowmass';
+
+function validateChannel(channel, position) {
+  const label = channel.name || `#${position + 1}`;
+  const implementation = CHANNEL_TYPES[channel.type];
+
+  if (!implementation) {
+    return `Channel ${label}: unknown type "${channel.type}" (expected one of ${Object.keys(CHANNEL_TYPES).join(', ')})`;
+  }
+
+  const missing = implementation.requiredFields.filter(field => {
+    const value = channel[field];
+    return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+  });
+
+  return missing.length > 0 ? `Channel ${label} (${channel.type}): missing ${missing.join(', ')}` : null;
+}
+
+// The parsed NOTIFIERS_CONFIG file, or null when there is none (or it can't be read)
+async function readNotifierConfig() {
+  try {
+    return JSON.parse(await fs.readFile(NOTIFIERS_CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not read notifier config', { path: NOTIFIERS_CONFIG_PATH, error: error.message });
+    }
+    return null;
+  }
+}
+
+/**
+ * Channel definitions from NOTIFIERS_CONFIG (default ./notifiers.json).
+ * Without a config file the original n8n webhook stays the only channel.
+ */
+function globalChannels(config) {
+  if (!config) {
+    return [{
+      name: 'n8n',
+      type: 'webhook',
+      enabled: true,
+      url: process.env.N8N_WEBHOOK_URL || DEFAULT_WEBHOOK_URL
+    }];
+  }
+
+  const channels = [];
+  (config.channels || []).forEach((raw, position) => {
+    const channel = { enabled: true, ...interpolateEnv(raw) };
+    channel.name = channel.name || `${channel.type}-${position + 1}`;
+
+    const problem = validateChannel(channel, position);
+    if (problem) {
+      logger.warn('Skipping notifier', { problem });
+      return;
+    }
+    channels.push(channel);
+  });
+
+  return channels;
+}
+
+/**
+ * A channel list of names or { use: name, ...overrides } references to
+ * global channels, and private definitions. `owner` labels the warnings.
+ */
+function resolveChannelList(entries, global, owner) {
+  const channels = [];
+  entries.forEach((entry, position) => {
+    const reference = typeof entry === 'string' ? entry : entry.use;
+    let channel;
+
+    if (reference) {
+      const base = global.find(c => c.name === reference);
+      if (!base) {
+        logger.warn('Unknown channel reference', { ...owner, channel: reference });
+        return;
+      }
+      const { use, ...overrides } = typeof entry === 'string' ? {} : entry;
+      channel = { ...base, ...overrides };
+    } else {
+      channel = { enabled: true, ...entry };
+      channel.name = channel.name || `${channel.type}-${position + 1}`;
+    }
+
+    const problem = validateChannel(channel, position);
+    if (problem) {
+      logger.warn('Skipping notifier', { ...owner, problem });
+      return;
+    }
+    channels.push(channel);
+  });
+
+  return channels;
+}
+
+/**
+ * Channels for `account` (see lib/accounts.js buildAccount): every global
+ * channel when the account has no list of its own, otherwise the account's
+ * references, overrides and private definitions.
+ */
+export async function loadChannels(account = null) {
+  const global = globalChannels(await readNotifierConfig());
+  if (!account || !account.channels) return global;
+
+  return resolveChannelList(account.channels, global, { account: account.id });
+}
+
+/**
+ * Channels for operational health alerts (lib/health-alerts.js): the
+ * config's `healthChannels` list, in the same form as an account's list.
+ * None without one - health alerts never fall back to the availability channels.
+ */
+export async function loadHealthChannels() {
+  const config = await readNotifierConfig();
+  if (!config || !config.healthChannels) return [];
+
+  return resolveChannelList(interpolateEnv(config.healthChannels), globalChannels(config), { purpose: 'health' });
+}
+
+async function deliver(channel, event, deliveryId) {
+  const started = Date.now();
+
+  try {
+    const outcome = await CHANNEL_TYPES[channel.type].send(event, channel, { deliveryId });
+    logger.info('Notification sent', { operation: 'notify', channel: channel.name, type: channel.type, deliveryId });
+    metrics.notifications.inc({ type: channel.type, channel: channel.name, outcome: 'success' });
+    return { channel: channel.name, type: channel.type, deliveryId, success: true, durationMs: Date.now() - started, ...outcome };
+  } catch (error) {
+    logger.error('Notification failed', { operation: 'notify', channel: channel.name, type: channel.type, deliveryId, error: error.message });
+    metrics.notifications.inc({ type: channel.type, channel: channel.name, outcome: 'failure' });
+    return { channel: channel.name, type: channel.type, deliveryId, success: false, durationMs: Date.now() - started, error: error.message };
+  }
+}
+
+/**
+ * Send one event to every enabled channel. Channels fail independently;
+ * each reports { channel, type, success, ... } in the returned list, and
+ * failed deliveries are queued in the outbox for retry. `purpose: 'health'`
+ * makes the retry look the channel up among the health channels.
+ */
+export async function notifyAll(event, channels, account = null, { purpose = null } = {}) {
+  const enabled = channels.filter(c => c.enabled !== false);
+
+  return Promise.all(enabled.map(async channel => {
+    const result = await deliver(channel, event, newDeliveryId());
+
+    if (!result.success) {
+      const queued = await enqueueDelivery({
+        id: result.deliveryId,
+        channel: channel.name,
+        account: account ? account.id : null,
+        purpose,
+        event,
+        error: result.error
+      });
+      logger.info('Queued delivery for retry', { operation: 'notify', channel: channel.name, deliveryId: result.deliveryId, nextAttemptAt: queued.nextAttemptAt });
+      return { ...result, queued: true, nextAttemptAt: queued.nextAttemptAt };
+    }
+
+    return result;
+  }));
+}
+
+// Channel lists per account (or the health channels), loaded once for a whole outbox pass
+function channelResolver() {
+  const cache = new Map();
+
+  return async (accountId, purpose = null) => {
+    const key = purpose === 'health' ? 'health:' : `account:${accountId || ''}`;
+    if (!cache.has(key)) {
+      if (purpose === 'health') {
+        cache.set(key, await loadHealthChannels());
+      } else {
+        const account = accountId ? await getAccount(accountId) : null;
+        cache.set(key, await loadChannels(account));
+      }
+    }
+    return cache.get(key);
+  };
+}
+
+// Re-send a stored delivery through the channel's current configuration
+async function attemptStoredDelivery(delivery, resolveChannels) {
+  const channels = await resolveChannels(delivery.account, delivery.purpose);
+  const channel = channels.find(c => c.name === delivery.channel);
+  if (!channel) {
+    return { success: false, error: `Channel ${delivery.channel} is no longer configured` };
+  }
+  if (channel.enabled === false) {
+    return { success: false, error: `Channel ${delivery.channel} is disabled` };
+  }
+
+  const result = await deliver(channel, delivery.event, delivery.id);
+  return { success: result.success, error: result.error };
+}
+
+/**
+ * Retry every outbox delivery whose backoff has elapsed.
+ */
+export async function processOutbox() {
+  const resolveChannels = channelResolver();
+  const summary = await drainOutbox(delivery => attemptStoredDelivery(delivery, resolveChannels));
+
+  if (summary.attempted > 0) {
+    logger.info('Outbox processed', { delivered: summary.delivered, deadLettered: summary.deadLettered, pending: summary.pending });
+  }
+  return summary;
+}
+
+/**
+ * Replay dead letters (all of them, or only `ids`) right away.
+ */
+export async function replayDeadLetterDeliveries(ids = null) {
+  const resolveChannels = channelResolver();
+  return replayDeadLetters(delivery => attemptStoredDelivery(delivery, resolveChannels), ids);
+}
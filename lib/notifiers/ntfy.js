@@ -0,0 +1,31 @@
+// lib/notifiers/ntfy.js - ntfy push notifications (ntfy.sh or self-hosted)
+import { post } from './http.js';
+
+export const requiredFields = ['server', 'topic'];
+
+export function formatPayload(event, channel) {
+  return {
+    title: event.title || 'New Snowmass availability',
+    message: event.message,
+    priority: channel.priority || 4,
+    tags: [event.health === 'alert' ? 'warning' : event.health === 'recovered' ? 'white_check_mark' : 'mountain_snow'],
+    click: channel.clickUrl || 'https://osrcreservations.com/generalavailability'
+  };
+}
+
+export async function send(event, channel) {
+  const payload = formatPayload(event, channel);
+
+  return post(`${channel.server.replace(/\/$/, '')}/${encodeURIComponent(channel.topic)}`, {
+    body: payload.message,
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      // HTTP headers must be ASCII - the emoji comes from the tag instead
+      Title: payload.title,
+      Priority: String(payload.priority),
+      Tags: payload.tags.join(','),
+      Click: payload.click,
+      ...(channel.token ? { Authorization: `Bearer ${channel.token}` } : {})
+    }
+  });
+}
@@ -0,0 +1,197 @@
+// lib/notifiers/outbox.js - Persisted retry queue and dead-letter list for failed deliveries
+//
+// Both lists live in tmp/ (outbox.json, dead-letters.json); every call takes
+// an optional `dir` to keep them elsewhere, e.g. in tests.
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../logger.js';
+
+const OUTBOX_DIR = './tmp';
+
+export const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '6', 10);
+const BASE_RETRY_DELAY_MS = 60 * 1000;   // 1m, 2m, 4m, 8m, ...
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // ... capped at 1h
+
+// All reads/writes go through one chain so concurrent runs can't interleave file updates
+let lock = Promise.resolve();
+function withLock(task) {
+  const run = lock.then(task, task);
+  lock = run.catch(() => {});
+  return run;
+}
+
+// A list that can't be parsed is moved aside rather than written over - it may still hold deliveries
+async function readList(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  try {
+    const list = JSON.parse(content);
+    if (!Array.isArray(list)) throw new Error('expected a JSON array');
+    return list;
+  } catch (error) {
+    const movedTo = `${filePath}.corrupt-${Date.now()}`;
+    await fs.rename(filePath, movedTo);
+    logger.error('Corrupt delivery list moved aside', { path: filePath, movedTo, error: error.message });
+    return [];
+  }
+}
+
+async function writeList(filePath, list) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(list, null, 2));
+}
+
+function outboxPath(dir) {
+  return path.join(dir, 'outbox.json');
+}
+
+function deadLetterPath(dir) {
+  return path.join(dir, 'dead-letters.json');
+}
+
+export function newDeliveryId() {
+  return crypto.randomUUID();
+}
+
+export function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Queue a failed delivery for retry. Only the channel name (and owning
+ * account, or the 'health' purpose) is stored - the channel's URL and
+ * secrets are looked up again when retrying.
+ */
+export function enqueueDelivery({ id, channel, account = null, purpose = null, event, attempts = 1, error }, { dir = OUTBOX_DIR, now: at = new Date() } = {}) {
+  return withLock(async () => {
+    const outbox = await readList(outboxPath(dir));
+    const now = at.getTime();
+    const delivery = {
+      id,
+      channel,
+      account,
+      purpose,
+      event,
+      attempts,
+      createdAt: new Date(now).toISOString(),
+      lastAttemptAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now + retryDelay(attempts)).toISOString(),
+      lastError: error
+    };
+    outbox.push(delivery);
+    await writeList(outboxPath(dir), outbox);
+    return delivery;
+  });
+}
+
+export function listOutbox(dir = OUTBOX_DIR) {
+  return withLock(() => readList(outboxPath(dir)));
+}
+
+export function listDeadLetters(dir = OUTBOX_DIR) {
+  return withLock(() => readList(deadLetterPath(dir)));
+}
+
+/**
+ * Hand every due delivery to `attempt(delivery)` (resolves true on success).
+ * Successes leave the outbox; failures back off, and deliveries that reach
+ * MAX_DELIVERY_ATTEMPTS move to the dead-letter list.
+ */
+export function drainOutbox(attempt, { dir = OUTBOX_DIR, now: at = new Date() } = {}) {
+  return withLock(async () => {
+    const outbox = await readList(outboxPath(dir));
+    const deadLetters = await readList(deadLetterPath(dir));
+    const now = at.getTime();
+    const remaining = [];
+    const summary = { attempted: 0, delivered: 0, deadLettered: 0, pending: 0 };
+
+    for (const delivery of outbox) {
+      if (new Date(delivery.nextAttemptAt).getTime() > now) {
+        remaining.push(delivery);
+        continue;
+      }
+
+      summary.attempted++;
+      const { success, error } = await attempt(delivery);
+      const attempts = delivery.attempts + 1;
+
+      if (success) {
+        summary.delivered++;
+      } else if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+        summary.deadLettered++;
+        deadLetters.push({
+          ...delivery,
+          attempts,
+          lastAttemptAt: at.toISOString(),
+          lastError: error,
+          deadLetteredAt: at.toISOString()
+        });
+      } else {
+        remaining.push({
+          ...delivery,
+          attempts,
+          lastAttemptAt: at.toISOString(),
+          nextAttemptAt: new Date(now + retryDelay(attempts)).toISOString(),
+          lastError: error
+        });
+      }
+    }
+
+    summary.pending = remaining.length;
+    await writeList(outboxPath(dir), remaining);
+    await writeList(deadLetterPath(dir), deadLetters);
+    return summary;
+  });
+}
+
+/**
+ * Take dead letters out of the list (all, or only `ids`) and hand each to
+ * `attempt`. Deliveries that still fail go back to the outbox with a fresh
+ * attempt budget instead of being lost again.
+ */
+export function replayDeadLetters(attempt, ids = null, { dir = OUTBOX_DIR } = {}) {
+  return withLock(async () => {
+    const deadLetters = await readList(deadLetterPath(dir));
+    const selected = ids ? deadLetters.filter(d => ids.includes(d.id)) : deadLetters;
+    const kept = deadLetters.filter(d => !selected.includes(d));
+    const outbox = await readList(outboxPath(dir));
+    const results = [];
+
+    for (const delivery of selected) {
+      const { success, error } = await attempt(delivery);
+      results.push({ id: delivery.id, channel: delivery.channel, success, error });
+
+      if (!success) {
+        const { deadLetteredAt, ...rest } = delivery;
+        outbox.push({
+          ...rest,
+          attempts: 1,
+          lastAttemptAt: new Date().toISOString(),
+          nextAttemptAt: new Date(Date.now() + retryDelay(1)).toISOString(),
+          lastError: error,
+          replayedAt: new Date().toISOString()
+        });
+      }
+    }
+
+    await writeList(deadLetterPath(dir), kept);
+    await writeList(outboxPath(dir), outbox);
+    return results;
+  });
+}
+
+export function discardDeadLetter(id, { dir = OUTBOX_DIR } = {}) {
+  return withLock(async () => {
+    const deadLetters = await readList(deadLetterPath(dir));
+    const kept = deadLetters.filter(d => d.id !== id);
+    await writeList(deadLetterPath(dir), kept);
+    return kept.length !== deadLetters.length;
+  });
+}
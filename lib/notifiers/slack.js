@@ -0,0 +1,51 @@
+// lib/notifiers/slack.js - Slack incoming webhook
+import { postJson } from './http.js';
+
+export const requiredFields = ['webhookUrl'];
+
+// Health alerts list their conditions and link the diagnostic screenshots
+function healthLines(event) {
+  return [
+    ...event.conditions.map(c => `• *${c.condition.replace(/_/g, ' ')}*: ${c.message}`),
+    ...event.screenshots.map(shot => `• Screenshot <${shot.url}|${shot.name}> (${shot.capturedAt})`)
+  ];
+}
+
+export function formatPayload(event, channel) {
+  if (event.health) {
+    return {
+      ...(channel.username ? { username: channel.username } : {}),
+      text: event.message,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${event.title}*` } },
+        { type: 'section', text: { type: 'mrkdwn', text: healthLines(event).join('\n') } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `Run ${event.runId} at ${event.timestamp}` }] }
+      ]
+    };
+  }
+
+  // Follow-ups (still open / gone) list dates per month and have no run summary
+  const lines = event.followUp
+    ? event.months.map(month => `• *${month.name}*: ${month.dates.join(', ')}`)
+    : event.changedMonths.map(month => {
+      const dates = month.newlyAvailableDates.length > 0
+        ? month.newlyAvailableDates.join(', ')
+        : `${month.availabilityIncrease} availability change(s)`;
+      return `• *${month.name}*: ${dates}`;
+    });
+  const context = event.followUp ? `Update sent at ${event.timestamp}` : `Checked ${event.summary.totalMonthsChecked} month(s) at ${event.timestamp}`;
+
+  return {
+    ...(channel.username ? { username: channel.username } : {}),
+    text: event.message,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${event.message}*` } },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') || 'No month details' } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: context }] }
+    ]
+  };
+}
+
+export async function send(event, channel) {
+  return postJson(channel.webhookUrl, formatPayload(event, channel));
+}
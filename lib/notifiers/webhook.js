@@ -0,0 +1,36 @@
+// lib/notifiers/webhook.js - Generic JSON webhook (the original n8n payload), HMAC-signed
+import crypto from 'crypto';
+import { post } from './http.js';
+
+export const requiredFields = ['url'];
+
+// The event already is the n8n payload - keep it byte-for-byte compatible
+export function formatPayload(event) {
+  return event;
+}
+
+/**
+ * Signature receivers can verify:
+ *   X-Snowmass-Signature: sha256=HMAC_SHA256(secret, `${X-Snowmass-Timestamp}.${rawBody}`)
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export async function send(event, channel, { deliveryId } = {}) {
+  const body = JSON.stringify(formatPayload(event, channel));
+  const secret = channel.signingSecret || process.env.WEBHOOK_SIGNING_SECRET;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(deliveryId ? { 'X-Snowmass-Delivery': deliveryId } : {}),
+    ...(secret ? {
+      'X-Snowmass-Timestamp': timestamp,
+      'X-Snowmass-Signature': signPayload(secret, timestamp, body)
+    } : {}),
+    ...(channel.headers || {})
+  };
+
+  return post(channel.url, { body, headers });
+}
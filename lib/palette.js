@@ -0,0 +1,316 @@
+// lib/palette.js - Learned colour palette for availability detection
+//
+// `node calibrate_palette.js` samples the day cells of a captured calendar
+// whose state is known (a few dates labelled available / booked / highlight),
+// clusters their pixel colours and saves the clusters as a palette file. A
+// pixel then belongs to the nearest cluster whose radius it falls inside.
+// With a palette configured (PALETTE_PATH, or "palette" in the site profile)
+// it replaces the profile's hand-written colour rules; otherwise those rules
+// are used as before.
+import { readFileSync } from 'fs';
+import { getSiteProfile, matchesColor } from './site-profile.js';
+
+export const PALETTE_STATES = ['available', 'booked', 'highlight'];
+const FORMAT_VERSION = 1;
+const MAX_CLUSTERS_PER_STATE = 3;
+const MIN_CLUSTER_SHARE = 0.15; // Smaller clusters are digits, borders and anti-aliasing
+const CELL_INSET = 0.15; // Skip cell edges so neighbouring cells and borders don't leak in
+const RADIUS_PERCENTILE = 0.95;
+const RADIUS_TOLERANCE = 6;
+const KMEANS_ITERATIONS = 12;
+const MERGE_DISTANCE = 12; // One flat colour with rendering noise shouldn't become several clusters
+
+export class PaletteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaletteError';
+  }
+}
+
+const distance = (a, b) => Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+
+// RGB of every pixel inside the inset rect of a day cell
+export function cellPixels(image, rect) {
+  const insetX = Math.floor(rect.width * CELL_INSET);
+  const insetY = Math.floor(rect.height * CELL_INSET);
+  const x0 = Math.max(rect.x + insetX, 0);
+  const y0 = Math.max(rect.y + insetY, 0);
+  const x1 = Math.min(rect.x + rect.width - insetX, image.width);
+  const y1 = Math.min(rect.y + rect.height - insetY, image.height);
+  const pixels = [];
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = (y * image.width + x) * 4;
+      pixels.push([image.data[i], image.data[i + 1], image.data[i + 2]]);
+    }
+  }
+  return pixels;
+}
+
+// Small deterministic k-means: farthest-point seeding from the most common colour
+function kMeans(pixels, k) {
+  const counts = new Map();
+  for (const p of pixels) {
+    const key = p.join(',');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const distinct = [...counts.keys()].map(key => key.split(',').map(Number));
+  const mostCommon = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0].split(',').map(Number);
+
+  const centers = [mostCommon];
+  while (centers.length < Math.min(k, distinct.length)) {
+    let farthest = null;
+    let farthestDistance = -1;
+    for (const color of distinct) {
+      const d = Math.min(...centers.map(c => distance(color, c)));
+      if (d > farthestDistance) {
+        farthest = color;
+        farthestDistance = d;
+      }
+    }
+    if (farthestDistance < 1) break;
+    centers.push(farthest);
+  }
+
+  let assignment = new Array(pixels.length).fill(0);
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    assignment = pixels.map(p => {
+      let best = 0;
+      for (let c = 1; c < centers.length; c++) {
+        if (distance(p, centers[c]) < distance(p, centers[best])) best = c;
+      }
+      return best;
+    });
+
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    pixels.forEach((p, i) => {
+      const sum = sums[assignment[i]];
+      sum[0] += p[0];
+      sum[1] += p[1];
+      sum[2] += p[2];
+      sum[3]++;
+    });
+    sums.forEach((sum, c) => {
+      if (sum[3] > 0) centers[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+    });
+  }
+
+  const groups = centers.map((center, c) => ({
+    center,
+    members: pixels.filter((_, i) => assignment[i] === c)
+  })).filter(group => group.members.length > 0);
+
+  for (let a = 0; a < groups.length; a++) {
+    for (let b = groups.length - 1; b > a; b--) {
+      if (distance(groups[a].center, groups[b].center) >= MERGE_DISTANCE) continue;
+      const total = groups[a].members.length + groups[b].members.length;
+      groups[a].center = groups[a].center.map((v, ch) =>
+        (v * groups[a].members.length + groups[b].center[ch] * groups[b].members.length) / total);
+      groups[a].members = groups[a].members.concat(groups[b].members);
+      groups.splice(b, 1);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Learn clusters from labelled day cells.
+ *
+ * `image` is a decoded PNG of the calendar root, `grid` the day cells with
+ * rects relative to it ([{ date, rect }]), `labels` maps state -> dates.
+ */
+export function learnPalette({ image, grid, labels, profileId = null, source = null }) {
+  const cellsByDate = new Map(grid.map(cell => [cell.date, cell]));
+  const clusters = [];
+  const samples = [];
+
+  for (const state of PALETTE_STATES) {
+    const dates = labels[state] || [];
+    const pixels = [];
+
+    for (const date of dates) {
+      const cell = cellsByDate.get(date);
+      if (!cell) throw new PaletteError(`${date} (${state}) is not a day cell in this capture`);
+      const cellSample = cellPixels(image, cell.rect);
+      if (cellSample.length === 0) throw new PaletteError(`${date} has an empty cell rect`);
+      pixels.push(...cellSample);
+      samples.push({ date, state, pixels: cellSample });
+    }
+
+    if (pixels.length === 0) continue;
+
+    for (const { center, members } of kMeans(pixels, MAX_CLUSTERS_PER_STATE)) {
+      const share = members.length / pixels.length;
+      if (share < MIN_CLUSTER_SHARE) continue;
+
+      const distances = members.map(p => distance(p, center)).sort((a, b) => a - b);
+      const spread = distances[Math.min(Math.floor(distances.length * RADIUS_PERCENTILE), distances.length - 1)];
+      clusters.push({
+        state,
+        center: center.map(v => Math.round(v)),
+        radius: Math.round((spread + RADIUS_TOLERANCE) * 10) / 10,
+        pixels: members.length,
+        share: Math.round(share * 1000) / 1000
+      });
+    }
+  }
+
+  if (!clusters.some(c => c.state === 'available')) {
+    throw new PaletteError('At least one available date is needed to calibrate');
+  }
+
+  const palette = {
+    version: FORMAT_VERSION,
+    profile: profileId,
+    createdAt: new Date().toISOString(),
+    source,
+    labels,
+    clusters
+  };
+  palette.report = evaluatePalette(palette, samples);
+  return palette;
+}
+
+// State of the nearest cluster that contains `color`, or null
+export function classifyColor(palette, color) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const cluster of palette.clusters) {
+    const d = distance(color, cluster.center);
+    if (d <= cluster.radius && d < bestDistance) {
+      best = cluster;
+      bestDistance = d;
+    }
+  }
+  return best ? best.state : null;
+}
+
+/**
+ * How well the palette separates the states: cluster pairs of different
+ * states whose spheres overlap, and for every labelled cell how its pixels
+ * classify and which state wins the cell.
+ */
+export function evaluatePalette(palette, samples) {
+  const overlaps = [];
+  const { clusters } = palette;
+
+  for (let a = 0; a < clusters.length; a++) {
+    for (let b = a + 1; b < clusters.length; b++) {
+      if (clusters[a].state === clusters[b].state) continue;
+      const gap = distance(clusters[a].center, clusters[b].center) - clusters[a].radius - clusters[b].radius;
+      if (gap < 0) {
+        overlaps.push({ states: [clusters[a].state, clusters[b].state], centers: [clusters[a].center, clusters[b].center], overlap: Math.round(-gap * 10) / 10 });
+      }
+    }
+  }
+
+  const minGap = {};
+  for (const a of clusters) {
+    for (const b of clusters) {
+      if (a.state >= b.state) continue;
+      const key = `${a.state}/${b.state}`;
+      const gap = Math.round((distance(a.center, b.center) - a.radius - b.radius) * 10) / 10;
+      minGap[key] = minGap[key] === undefined ? gap : Math.min(minGap[key], gap);
+    }
+  }
+
+  const cells = samples.map(({ date, state, pixels }) => {
+    const tally = {};
+    for (const p of pixels) {
+      const predicted = classifyColor(palette, p) || 'unclassified';
+      tally[predicted] = (tally[predicted] || 0) + 1;
+    }
+    const classified = Object.entries(tally).filter(([s]) => s !== 'unclassified');
+    const predicted = classified.length > 0 ? classified.sort((x, y) => y[1] - x[1])[0][0] : 'unclassified';
+
+    return {
+      date,
+      label: state,
+      predicted,
+      correct: predicted === state,
+      ownStateShare: Math.round(((tally[state] || 0) / pixels.length) * 1000) / 1000,
+      shares: Object.fromEntries(Object.entries(tally).map(([s, n]) => [s, Math.round((n / pixels.length) * 1000) / 1000]))
+    };
+  });
+
+  const correct = cells.filter(c => c.correct).length;
+  return {
+    cellsLabelled: cells.length,
+    cellsCorrect: correct,
+    accuracy: cells.length > 0 ? Math.round((correct / cells.length) * 1000) / 1000 : null,
+    separated: overlaps.length === 0 && correct === cells.length,
+    minGapBetweenStates: minGap,
+    overlaps,
+    cells
+  };
+}
+
+export function validatePalette(palette) {
+  const errors = [];
+  if (!palette || palette.version !== FORMAT_VERSION) errors.push(`version must be ${FORMAT_VERSION}`);
+  if (!palette || !Array.isArray(palette.clusters) || palette.clusters.length === 0) {
+    errors.push('clusters must be a non-empty list');
+    return errors;
+  }
+
+  palette.clusters.forEach((cluster, i) => {
+    if (!PALETTE_STATES.includes(cluster.state)) errors.push(`clusters[${i}].state must be one of ${PALETTE_STATES.join(', ')}`);
+    if (!Array.isArray(cluster.center) || cluster.center.length !== 3 || !cluster.center.every(v => Number.isFinite(v) && v >= 0 && v <= 255)) {
+      errors.push(`clusters[${i}].center must be [r, g, b]`);
+    }
+    if (!Number.isFinite(cluster.radius) || cluster.radius <= 0) errors.push(`clusters[${i}].radius must be positive`);
+  });
+  return errors;
+}
+
+export function loadPalette(filePath) {
+  let palette;
+  try {
+    palette = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new PaletteError(`Could not read palette ${filePath}: ${error.message}`);
+  }
+
+  const errors = validatePalette(palette);
+  if (errors.length > 0) {
+    throw new PaletteError(`Invalid palette ${filePath}: ${errors.join('; ')}`);
+  }
+  return { ...palette, source: filePath };
+}
+
+let activeClassifier = null;
+
+/**
+ * isAvailable / isHighlight / isBackground for a pixel or cell colour, from
+ * the configured palette or else the site profile's colour rules. Background
+ * always comes from the profile - calibration labels day cells, not page.
+ */
+export function colorClassifier() {
+  if (activeClassifier) return activeClassifier;
+
+  const profile = getSiteProfile();
+  const { colors } = profile;
+  const palettePath = process.env.PALETTE_PATH || profile.palettePath;
+
+  if (palettePath) {
+    const palette = loadPalette(palettePath);
+    activeClassifier = {
+      source: palettePath,
+      isAvailable: color => classifyColor(palette, color) === 'available',
+      isHighlight: color => classifyColor(palette, color) === 'highlight',
+      isBackground: color => matchesColor(color, colors.background)
+    };
+  } else {
+    activeClassifier = {
+      source: null,
+      isAvailable: color => matchesColor(color, colors.available),
+      // The broad gray/blue highlight rules also cover the current month's light gray/beige
+      // availability - an available colour is never a highlight, or pixel mode would ignore openings
+      isHighlight: color => !matchesColor(color, colors.available) && matchesColor(color, colors.highlight),
+      isBackground: color => matchesColor(color, colors.background)
+    };
+  }
+
+  return activeClassifier;
+}
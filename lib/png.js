@@ -0,0 +1,251 @@
+// lib/png.js - Minimal PNG decoder/encoder for screenshot comparison
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each PNG color type
+const CHANNELS = {
+  0: 1, // grayscale
+  2: 3, // RGB
+  3: 1, // palette index
+  4: 2, // grayscale + alpha
+  6: 4  // RGBA
+};
+
+function paethPredictor(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+function readChunks(buffer) {
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Invalid PNG: bad signature');
+  }
+
+  const chunks = [];
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    const dataEnd = dataStart + length;
+
+    if (dataEnd + 4 > buffer.length) {
+      throw new Error(`Invalid PNG: truncated ${type} chunk`);
+    }
+
+    chunks.push({ type, data: buffer.subarray(dataStart, dataEnd) });
+    offset = dataEnd + 4; // Skip CRC
+
+    if (type === 'IEND') break;
+  }
+
+  return chunks;
+}
+
+function parseHeader(data) {
+  if (data.length !== 13) {
+    throw new Error('Invalid PNG: malformed IHDR');
+  }
+
+  return {
+    width: data.readUInt32BE(0),
+    height: data.readUInt32BE(4),
+    bitDepth: data[8],
+    colorType: data[9],
+    compression: data[10],
+    filter: data[11],
+    interlace: data[12]
+  };
+}
+
+// Undo the per-scanline filters in place, returning the raw sample rows
+function unfilterScanlines(inflated, height, stride, bytesPerPixel) {
+  const raw = Buffer.alloc(height * stride);
+  let previous = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const inOffset = y * (stride + 1);
+    const filterType = inflated[inOffset];
+    const line = inflated.subarray(inOffset + 1, inOffset + 1 + stride);
+    const out = raw.subarray(y * stride, (y + 1) * stride);
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? out[x - bytesPerPixel] : 0;
+      const up = previous[x];
+      const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+
+      switch (filterType) {
+        case 0: out[x] = line[x]; break;
+        case 1: out[x] = (line[x] + left) & 0xff; break;
+        case 2: out[x] = (line[x] + up) & 0xff; break;
+        case 3: out[x] = (line[x] + ((left + up) >> 1)) & 0xff; break;
+        case 4: out[x] = (line[x] + paethPredictor(left, up, upLeft)) & 0xff; break;
+        default:
+          throw new Error(`Invalid PNG: unknown filter type ${filterType} on row ${y}`);
+      }
+    }
+
+    previous = out;
+  }
+
+  return raw;
+}
+
+function readSample(row, index, bitDepth) {
+  if (bitDepth === 8) return row[index];
+  if (bitDepth === 16) return row[index * 2]; // Keep the high byte
+
+  const samplesPerByte = 8 / bitDepth;
+  const byte = row[Math.floor(index / samplesPerByte)];
+  const shift = 8 - bitDepth * ((index % samplesPerByte) + 1);
+  return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+/**
+ * Decode a non-interlaced PNG into 8-bit RGBA pixels.
+ * Returns { width, height, data } where data holds width * height * 4 bytes.
+ */
+export function decodePng(buffer) {
+  const chunks = readChunks(buffer);
+  const ihdr = chunks.find(c => c.type === 'IHDR');
+  if (!ihdr) throw new Error('Invalid PNG: missing IHDR');
+
+  const header = parseHeader(ihdr.data);
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+  if (interlace !== 0) throw new Error('Unsupported PNG: interlaced images');
+  if (![1, 2, 4, 8, 16].includes(bitDepth)) throw new Error(`Unsupported PNG bit depth ${bitDepth}`);
+
+  const plte = chunks.find(c => c.type === 'PLTE');
+  const trns = chunks.find(c => c.type === 'tRNS');
+  if (colorType === 3 && !plte) throw new Error('Invalid PNG: palette image without PLTE');
+
+  const compressed = Buffer.concat(chunks.filter(c => c.type === 'IDAT').map(c => c.data));
+  const inflated = zlib.inflateSync(compressed);
+
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+
+  if (inflated.length < height * (stride + 1)) {
+    throw new Error('Invalid PNG: image data shorter than header dimensions');
+  }
+
+  const raw = unfilterScanlines(inflated, height, stride, bytesPerPixel);
+  const data = Buffer.alloc(width * height * 4);
+  const scale = bitDepth < 8 && colorType !== 3 ? 255 / ((1 << bitDepth) - 1) : 1;
+
+  for (let y = 0; y < height; y++) {
+    const row = raw.subarray(y * stride, (y + 1) * stride);
+
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const sample = i => readSample(row, x * channels + i, bitDepth);
+
+      switch (colorType) {
+        case 0: {
+          const v = Math.round(sample(0) * scale);
+          data[out] = data[out + 1] = data[out + 2] = v;
+          data[out + 3] = 255;
+          break;
+        }
+        case 2:
+          data[out] = sample(0);
+          data[out + 1] = sample(1);
+          data[out + 2] = sample(2);
+          data[out + 3] = 255;
+          break;
+        case 3: {
+          const index = sample(0);
+          data[out] = plte.data[index * 3];
+          data[out + 1] = plte.data[index * 3 + 1];
+          data[out + 2] = plte.data[index * 3 + 2];
+          data[out + 3] = trns && index < trns.data.length ? trns.data[index] : 255;
+          break;
+        }
+        case 4: {
+          const v = sample(0);
+          data[out] = data[out + 1] = data[out + 2] = v;
+          data[out + 3] = sample(1);
+          break;
+        }
+        case 6:
+          data[out] = sample(0);
+          data[out + 1] = sample(1);
+          data[out + 2] = sample(2);
+          data[out + 3] = sample(3);
+          break;
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Also the ZIP checksum (lib/zip.js)
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function writeChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode 8-bit RGBA pixels ({ width, height, data }) as a PNG buffer.
+ * Every scanline uses filter type 0; zlib does the heavy lifting.
+ */
+export function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  const stride = width * 4;
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    writeChunk('IHDR', header),
+    writeChunk('IDAT', zlib.deflateSync(raw)),
+    writeChunk('IEND', Buffer.alloc(0))
+  ]);
+}
@@ -0,0 +1,275 @@
+// lib/run-history.js - Append-only JSONL history of monitor runs
+//
+// One line per run in tmp/runs/runs.jsonl (RUN_HISTORY_PATH): when and how it
+// was triggered, how long it took, and per account and month the comparison
+// stats, errors, durations and whether a notification went out. Oldest runs
+// are dropped beyond RUN_HISTORY_MAX_RUNS. Every call takes an optional
+// `file` to keep the history elsewhere, e.g. in tests.
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { JobCancelledError } from './jobs.js';
+
+const HISTORY_PATH = process.env.RUN_HISTORY_PATH || './tmp/runs/runs.jsonl';
+const MAX_RUNS = parseInt(process.env.RUN_HISTORY_MAX_RUNS || '5000', 10);
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 200;
+
+// Appends and trims are read-modify-write on one file - keep them in order
+let lock = Promise.resolve();
+function withLock(task) {
+  const run = lock.then(task, task);
+  lock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * A fresh run id, e.g. api-1793628000000-3f9a2c1d. Ids are always made here,
+ * never taken from a caller: they name the run's history record, diff
+ * overlays and diagnostic bundle, so they must be unique and file-name safe.
+ */
+export function newRunId(trigger, now = new Date()) {
+  return `${trigger}-${now.getTime()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+async function readRuns(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const runs = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch (error) {
+      // A crash mid-append leaves a partial last line - skip it rather than lose the history
+    }
+  }
+  return runs;
+}
+
+// Only what's worth querying later - screenshots, masks and per-date maps stay out
+function monthRecord(result, notified) {
+  return {
+    month: result.month,
+    name: result.name,
+    detectionMethod: result.detectionMethod || null,
+    hasBaseline: result.hasBaseline !== undefined ? result.hasBaseline : null,
+    changePercentage: result.changePercentage !== undefined ? parseFloat(result.changePercentage) : null,
+    availabilityIncrease: result.availabilityIncrease !== undefined ? result.availabilityIncrease : null,
+    newlyAvailableDates: result.newlyAvailableDates || [],
+    newlyUnavailableDates: result.newlyUnavailableDates || [],
+    shouldNotify: Boolean(result.shouldNotify),
+    notified: Boolean(result.shouldNotify && notified),
+    suppressedByWatchRules: Boolean(result.suppressedByWatchRules),
+    baselineStatus: result.baselineStatus || null,
+    diffArtifact: result.diffArtifact || null,
+    durations: result.durations || null,
+    error: result.error || null,
+    errorStage: result.errorStage || null
+  };
+}
+
+/**
+ * Turn a finished (or failed) run into its history record. `response` is
+ * executeMonitorRun's result, or null when the run threw `error`.
+ */
+export function buildRunRecord({ runId, requestId = null, trigger, startedAt, finishedAt = new Date(), response = null, error = null }) {
+  const accounts = response ? response.accounts.map(account => ({
+    account: account.account,
+    name: account.name,
+    success: account.success,
+    error: account.error || null,
+    errorCode: account.errorCode || null,
+    session: account.session || null,
+    durationMs: account.durationMs !== undefined ? account.durationMs : null,
+    notified: Boolean(account.webhookSent),
+    notificationChannels: (account.notifications && account.notifications.channels) || [],
+    notificationSkipped: (account.notifications && account.notifications.skipped) || null,
+    followUps: (account.followUps || []).map(followUp => ({
+      kind: followUp.kind,
+      dates: followUp.dates,
+      sent: followUp.sent,
+      skipped: followUp.skipped || null,
+      channels: followUp.channels
+    })),
+    months: (account.results || []).map(result => monthRecord(result, account.webhookSent))
+  })) : [];
+
+  const months = accounts.flatMap(a => a.months);
+  const failedAccounts = accounts.filter(a => !a.success).length;
+
+  return {
+    id: runId,
+    requestId,
+    trigger,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+    status: error ? (error instanceof JobCancelledError ? 'cancelled' : 'failed') : (failedAccounts > 0 || months.some(m => m.error) ? 'partial' : 'success'),
+    error: error ? error.message : null,
+    monthsChecked: months.length,
+    monthsWithErrors: months.filter(m => m.error).length,
+    changedMonths: months.filter(m => m.shouldNotify).length,
+    notified: accounts.some(a => a.notified),
+    accounts
+  };
+}
+
+export function recordRun(record, { file = HISTORY_PATH } = {}) {
+  return withLock(async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify(record) + '\n');
+
+    const runs = await readRuns(file);
+    if (runs.length > MAX_RUNS) {
+      const kept = runs.slice(-MAX_RUNS).map(run => JSON.stringify(run)).join('\n') + '\n';
+      await fs.writeFile(`${file}.tmp`, kept);
+      await fs.rename(`${file}.tmp`, file);
+    }
+  });
+}
+
+// The last `limit` runs with their full records, oldest first
+export async function recentRuns(limit, { file = HISTORY_PATH } = {}) {
+  return (await readRuns(file)).slice(-limit);
+}
+
+function inRange(timestamp, { from, to }) {
+  return (!from || timestamp >= from) && (!to || timestamp <= to);
+}
+
+function page(items, { limit = DEFAULT_PAGE_SIZE, offset = 0 }) {
+  return { total: items.length, limit, offset, items: items.slice(offset, offset + limit) };
+}
+
+/**
+ * Runs newest first, without their per-month details. `from`/`to` are ISO
+ * timestamps compared against startedAt.
+ */
+export async function listRuns({ from = null, to = null, status = null, account = null, limit, offset, file = HISTORY_PATH } = {}) {
+  const runs = (await readRuns(file))
+    .filter(run => inRange(run.startedAt, { from, to }))
+    .filter(run => !status || run.status === status)
+    .filter(run => !account || run.accounts.some(a => a.account === account))
+    .reverse();
+
+  const result = page(runs, { limit, offset });
+  result.items = result.items.map(({ accounts, ...run }) => ({
+    ...run,
+    accounts: accounts.map(a => ({ account: a.account, success: a.success, notified: a.notified, months: a.months.length }))
+  }));
+  return result;
+}
+
+// The latest run recorded under `id` - histories from before newRunId may hold a caller's id more than once
+export async function getRun(id, { file = HISTORY_PATH } = {}) {
+  const runs = await readRuns(file);
+  for (let i = runs.length - 1; i >= 0; i--) {
+    if (runs[i].id === id) return runs[i];
+  }
+  return null;
+}
+
+function channelRecord(c) {
+  return {
+    channel: c.channel,
+    type: c.type,
+    success: c.success,
+    queued: Boolean(c.queued),
+    error: c.error || null
+  };
+}
+
+/**
+ * Every alert the monitor sent or tried to send, newest first: which months
+ * and dates it was about and how each channel fared (or why it was skipped).
+ * `kind` tells new-availability alerts from still-open / gone follow-ups.
+ */
+export async function notificationLog({ account = null, limit, offset, file = HISTORY_PATH } = {}) {
+  const entries = [];
+
+  for (const run of (await readRuns(file)).reverse()) {
+    for (const a of run.accounts) {
+      if (account && a.account !== account) continue;
+
+      if (a.notificationChannels.length > 0 || a.notificationSkipped) {
+        const changed = a.months.filter(m => m.shouldNotify);
+        const dates = [...new Set(changed.flatMap(m => m.newlyAvailableDates))].sort();
+        entries.push({
+          runId: run.id,
+          at: run.finishedAt,
+          account: a.account,
+          kind: 'new_availability',
+          sent: a.notified,
+          skipped: a.notificationSkipped || null,
+          months: changed.map(m => m.month),
+          dates,
+          newlyAvailableDates: dates,
+          channels: a.notificationChannels.map(channelRecord)
+        });
+      }
+
+      // Still-open / gone follow-ups went out just before the run's new-availability alert
+      for (const followUp of (a.followUps || [])) {
+        entries.push({
+          runId: run.id,
+          at: run.finishedAt,
+          account: a.account,
+          kind: followUp.kind,
+          sent: followUp.sent,
+          skipped: followUp.skipped,
+          months: [...new Set(followUp.dates.map(date => date.slice(0, 7)))],
+          dates: followUp.dates,
+          newlyAvailableDates: [],
+          channels: followUp.channels.map(channelRecord)
+        });
+      }
+    }
+  }
+
+  return page(entries, { limit, offset });
+}
+
+/**
+ * The newest check of every month one account has history for, keyed by month.
+ */
+export async function latestMonthChecks(account, { file = HISTORY_PATH } = {}) {
+  const latest = new Map();
+
+  for (const run of await readRuns(file)) {
+    for (const a of run.accounts) {
+      if (a.account !== account) continue;
+      for (const month of a.months) {
+        latest.set(month.month, { runId: run.id, trigger: run.trigger, checkedAt: run.startedAt, ...month });
+      }
+    }
+  }
+  return latest;
+}
+
+/**
+ * Every check of one month (YYYY-MM), newest first, across runs and accounts.
+ */
+export async function monthHistory(monthKey, { from = null, to = null, account = null, limit, offset, file = HISTORY_PATH } = {}) {
+  const entries = [];
+
+  for (const run of (await readRuns(file)).reverse()) {
+    if (!inRange(run.startedAt, { from, to })) continue;
+
+    for (const a of run.accounts) {
+      if (account && a.account !== account) continue;
+      for (const month of a.months) {
+        if (month.month !== monthKey) continue;
+        entries.push({ runId: run.id, trigger: run.trigger, checkedAt: run.startedAt, account: a.account, ...month });
+      }
+    }
+  }
+
+  return page(entries, { limit, offset });
+}
@@ -0,0 +1,167 @@
+// lib/run-lock.js - Single-flight guard so only one monitor run drives the browser at a time
+//
+// Inside this process the in-flight run is tracked in memory so callers can
+// join it. Across processes sharing ./tmp a lock file created with O_EXCL
+// decides the winner; stale locks (expired, or whose owner is gone) are broken.
+// The holder renews the expiry while its run goes on, so a run that outlasts
+// MONITOR_LOCK_TTL_MS isn't taken for stale.
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const LOCK_PATH = './tmp/monitor.lock';
+const LOCK_TTL_MS = parseInt(process.env.MONITOR_LOCK_TTL_MS || String(30 * 60 * 1000), 10);
+const RENEW_INTERVAL_MS = Math.max(1000, Math.floor(LOCK_TTL_MS / 3));
+
+// Distinguishes this process from an earlier one that had the same PID (PID 1 in containers)
+const INSTANCE_ID = crypto.randomUUID();
+
+let inFlight = null;
+
+export class RunConflictError extends Error {
+  constructor(holder) {
+    super(`A monitor run is already in progress${holder && holder.runId ? ` (${holder.runId})` : ''}`);
+    this.name = 'RunConflictError';
+    this.holder = holder;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function isStale(holder) {
+  if (!holder || Date.parse(holder.expiresAt) < Date.now()) return true;
+  if (holder.hostname !== os.hostname()) return false;
+  if (holder.pid === process.pid) return holder.instanceId !== INSTANCE_ID;
+  return !isProcessAlive(holder.pid);
+}
+
+async function readLock() {
+  try {
+    return JSON.parse(await fs.readFile(LOCK_PATH, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function acquireLock(runId) {
+  await fs.mkdir(path.dirname(LOCK_PATH), { recursive: true });
+  const now = Date.now();
+  const holder = {
+    runId,
+    pid: process.pid,
+    hostname: os.hostname(),
+    instanceId: INSTANCE_ID,
+    acquiredAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + LOCK_TTL_MS).toISOString()
+  };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(LOCK_PATH, JSON.stringify(holder, null, 2), { flag: 'wx' });
+      return { acquired: true, holder };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const existing = await readLock();
+      if (!isStale(existing)) {
+        return { acquired: false, holder: existing };
+      }
+
+      logger.warn('Breaking stale monitor lock', { heldBy: existing ? existing.runId : null });
+      await fs.rm(LOCK_PATH, { force: true });
+    }
+  }
+
+  return { acquired: false, holder: await readLock() };
+}
+
+async function releaseLock(runId) {
+  const existing = await readLock();
+  if (existing && existing.runId === runId && existing.instanceId === INSTANCE_ID) {
+    await fs.rm(LOCK_PATH, { force: true });
+  }
+}
+
+// Push the expiry out again - written aside and renamed, a half-written lock would read as stale
+async function renewLock(runId) {
+  const existing = await readLock();
+  if (!existing || existing.runId !== runId || existing.instanceId !== INSTANCE_ID) {
+    logger.warn('Monitor lock lost during run', { runId, heldBy: existing ? existing.runId : null });
+    return;
+  }
+
+  const renewed = { ...existing, expiresAt: new Date(Date.now() + LOCK_TTL_MS).toISOString() };
+  await fs.writeFile(`${LOCK_PATH}.${INSTANCE_ID}.tmp`, JSON.stringify(renewed, null, 2));
+  await fs.rename(`${LOCK_PATH}.${INSTANCE_ID}.tmp`, LOCK_PATH);
+}
+
+/**
+ * Claim the run slot for `runId` before anything starts: throws
+ * RunConflictError if this process already has a run in flight or another
+ * process holds the lock, so callers can answer 409 straight away.
+ *
+ * Returns { runId, start(task) }. `start` runs `task` holding the lock -
+ * renewed while it runs, released when it settles - and returns its promise.
+ */
+export async function claimRun(runId) {
+  if (inFlight) {
+    throw new RunConflictError(describe(inFlight));
+  }
+
+  // Reserved before the first await so a second caller in the same tick sees this run
+  const run = { runId, startedAt: new Date().toISOString() };
+  inFlight = run;
+  const clear = () => {
+    if (inFlight === run) inFlight = null;
+  };
+
+  let lock;
+  try {
+    lock = await acquireLock(runId);
+  } catch (error) {
+    clear();
+    throw error;
+  }
+  if (!lock.acquired) {
+    clear();
+    throw new RunConflictError(lock.holder);
+  }
+
+  return {
+    runId,
+    start(task) {
+      const renewal = setInterval(() => {
+        renewLock(runId).catch(error => logger.error('Failed to renew monitor lock', { runId, error: error.message }));
+      }, RENEW_INTERVAL_MS);
+      renewal.unref();
+
+      const promise = (async () => {
+        try {
+          return await task();
+        } finally {
+          clearInterval(renewal);
+          await releaseLock(runId).catch(error => logger.error('Failed to release monitor lock', { runId, error: error.message }));
+        }
+      })();
+      promise.then(clear, clear);
+      return promise;
+    }
+  };
+}
+
+function describe(run) {
+  return { runId: run.runId, startedAt: run.startedAt, pid: process.pid, hostname: os.hostname() };
+}
+
+export function currentRun() {
+  return inFlight ? describe(inFlight) : null;
+}
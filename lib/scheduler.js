@@ -0,0 +1,142 @@
+// lib/scheduler.js - In-process cron scheduler with skipped/overdue run tracking
+import { parseCron, nextRun, assertTimezone } from './cron.js';
+import { logger } from './logger.js';
+import { newRunId } from './run-history.js';
+
+const MAX_TIMER_MS = 60 * 60 * 1000; // Re-evaluate at least hourly so clock jumps are picked up
+const MAX_RECORDED_EVENTS = 20;
+
+/**
+ * Start firing `task({ runId, scheduledFor })` on a cron schedule.
+ *
+ * `task` resolves to { skipped: reason } when it declined to run (e.g. another
+ * run held the lock), anything else counts as a completed run. Runs that fire
+ * more than `graceMs` late are recorded as overdue; fire times that passed
+ * entirely while the process was suspended are recorded as skipped ('missed')
+ * and only one catch-up run is made.
+ */
+export function startScheduler({ expression, timezone = 'UTC', graceMs = 60 * 1000, task }) {
+  assertTimezone(timezone);
+  const schedule = parseCron(expression);
+
+  const state = {
+    expression: schedule.expression,
+    timezone,
+    graceMs,
+    startedAt: new Date().toISOString(),
+    nextRunAt: null,
+    lastRun: null,
+    running: false,
+    runs: 0,
+    skippedCount: 0,
+    overdueCount: 0,
+    skipped: [],
+    overdue: []
+  };
+
+  let timer = null;
+  let stopped = false;
+
+  function record(list, entry) {
+    list.push(entry);
+    if (list.length > MAX_RECORDED_EVENTS) list.shift();
+  }
+
+  function skip(scheduledFor, reason, details = {}) {
+    state.skippedCount++;
+    record(state.skipped, { scheduledFor: scheduledFor.toISOString(), reason, at: new Date().toISOString(), ...details });
+    logger.warn('Scheduled run skipped', { scheduledFor: scheduledFor.toISOString(), reason });
+  }
+
+  function arm() {
+    if (stopped) return;
+    const due = new Date(state.nextRunAt);
+    const delay = Math.min(Math.max(due.getTime() - Date.now(), 0), MAX_TIMER_MS);
+    timer = setTimeout(() => tick(due), delay);
+    timer.unref();
+  }
+
+  async function tick(scheduledFor) {
+    const now = new Date();
+
+    // Woken early to re-check the clock - just re-arm
+    if (now < scheduledFor) {
+      arm();
+      return;
+    }
+
+    // Fire times that passed while we were asleep (CPU throttling, suspended VM)
+    let following = nextRun(schedule, timezone, scheduledFor);
+    while (following <= now) {
+      skip(following, 'missed');
+      following = nextRun(schedule, timezone, following);
+    }
+    state.nextRunAt = following.toISOString();
+    arm();
+
+    const lateByMs = now.getTime() - scheduledFor.getTime();
+    if (lateByMs > graceMs) {
+      state.overdueCount++;
+      record(state.overdue, { scheduledFor: scheduledFor.toISOString(), startedAt: now.toISOString(), lateByMs });
+      logger.warn('Scheduled run started late', { scheduledFor: scheduledFor.toISOString(), lateBySeconds: Math.round(lateByMs / 1000) });
+    }
+
+    if (state.running) {
+      skip(scheduledFor, 'previous_scheduled_run_still_running');
+      return;
+    }
+
+    const runId = newRunId('cron', now);
+    state.running = true;
+    state.lastRun = { runId, scheduledFor: scheduledFor.toISOString(), startedAt: now.toISOString(), status: 'running' };
+    logger.info('Scheduled monitor run', { runId, schedule: schedule.expression, timezone });
+
+    try {
+      const outcome = await task({ runId, scheduledFor });
+      if (outcome && outcome.skipped) {
+        skip(scheduledFor, outcome.skipped, outcome.holder ? { heldBy: outcome.holder.runId } : {});
+        state.lastRun.status = 'skipped';
+      } else {
+        state.runs++;
+        state.lastRun.status = 'completed';
+      }
+    } catch (error) {
+      logger.error('Scheduled run failed', { runId, error: error.message });
+      state.lastRun.status = 'failed';
+      state.lastRun.error = error.message;
+    } finally {
+      state.running = false;
+      state.lastRun.finishedAt = new Date().toISOString();
+    }
+  }
+
+  state.nextRunAt = nextRun(schedule, timezone).toISOString();
+  arm();
+  logger.info('Scheduler started', { schedule: schedule.expression, timezone, nextRunAt: state.nextRunAt });
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+
+    status() {
+      const overdueByMs = Date.now() - Date.parse(state.nextRunAt);
+      return {
+        enabled: true,
+        expression: state.expression,
+        timezone: state.timezone,
+        startedAt: state.startedAt,
+        nextRunAt: state.nextRunAt,
+        // The timer itself hasn't fired on time - the process is likely being throttled
+        overdue: overdueByMs > graceMs,
+        overdueByMs: overdueByMs > graceMs ? overdueByMs : 0,
+        running: state.running,
+        lastRun: state.lastRun,
+        completedRuns: state.runs,
+        skippedRuns: { count: state.skippedCount, recent: [...state.skipped].reverse() },
+        overdueRuns: { count: state.overdueCount, recent: [...state.overdue].reverse() }
+      };
+    }
+  };
+}
@@ -0,0 +1,91 @@
+// lib/session-store.js - Encrypted Playwright storage state (cookies/localStorage) between runs
+//
+// One file per account under tmp/sessions/, AES-256-GCM with a key derived
+// from SESSION_ENCRYPTION_KEY. The account is bound in as associated data so
+// a session file can't be swapped onto another account. Without the key,
+// nothing is persisted and every run logs in from scratch. Every call takes
+// an optional `dir` in place of tmp/sessions/ (tests use a temp directory).
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const SESSION_PATH = './tmp/sessions/';
+const FORMAT_VERSION = 1;
+
+function accountId(username) {
+  return crypto.createHash('sha256').update(username.trim().toLowerCase()).digest('hex').slice(0, 16);
+}
+
+function sessionFile(username, dir) {
+  return path.join(dir, `${accountId(username)}.json`);
+}
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+export function sessionPersistenceEnabled() {
+  return Boolean(process.env.SESSION_ENCRYPTION_KEY);
+}
+
+/**
+ * Saved storage state for `username`, or null when there is none, it can't
+ * be decrypted (key rotated, file tampered with) or persistence is disabled.
+ */
+export async function loadSessionState(username, { dir = SESSION_PATH } = {}) {
+  if (!sessionPersistenceEnabled()) return null;
+
+  let stored;
+  try {
+    stored = JSON.parse(await fs.readFile(sessionFile(username, dir), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const key = deriveKey(process.env.SESSION_ENCRYPTION_KEY, Buffer.from(stored.salt, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAAD(Buffer.from(accountId(username)));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+
+    return { state: JSON.parse(plaintext.toString('utf8')), savedAt: stored.savedAt };
+  } catch (error) {
+    logger.warn('Saved session could not be decrypted - discarding it', { error: error.message });
+    await clearSessionState(username, { dir });
+    return null;
+  }
+}
+
+export async function saveSessionState(username, state, { dir = SESSION_PATH } = {}) {
+  if (!sessionPersistenceEnabled()) return false;
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(process.env.SESSION_ENCRYPTION_KEY, salt);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(accountId(username)));
+  const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf8'), cipher.final()]);
+
+  const stored = {
+    version: FORMAT_VERSION,
+    algorithm: 'aes-256-gcm',
+    savedAt: new Date().toISOString(),
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  // Write-then-rename so a crash mid-write never leaves a truncated session
+  const target = sessionFile(username, dir);
+  await fs.writeFile(`${target}.tmp`, JSON.stringify(stored, null, 2), { mode: 0o600 });
+  await fs.rename(`${target}.tmp`, target);
+  return true;
+}
+
+export async function clearSessionState(username, { dir = SESSION_PATH } = {}) {
+  await fs.rm(sessionFile(username, dir), { force: true });
+}
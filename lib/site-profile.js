@@ -0,0 +1,199 @@
+// lib/site-profile.js - Site profile: URLs, selectors and calendar rules for the booking portal
+//
+// Everything the monitor needs to know about the site's markup lives in a
+// versioned JSON file (SITE_PROFILE, default site-profiles/osr-snowmass.json)
+// so a markup change is a profile edit, not a code deploy, and another resort
+// portal with the same kind of calendar is just another profile.
+//
+// Selector lists are fallback chains, tried in order. Colour rules are boxes
+// in RGB space: optional [min, max] ranges per channel, plus `maxChannelDiff`
+// (greyness: |r-g| and |g-b| at most this) and `minRedOverBlue` (warm tones).
+// An optional "palette" (path relative to the profile) swaps those rules for a
+// calibrated palette, see lib/palette.js. The optional "loginErrors" section
+// tells login failures apart; profiles without it get DEFAULT_LOGIN_ERRORS.
+import { readFileSync } from 'fs';
+import path from 'path';
+
+const DEFAULT_PROFILE_PATH = './site-profiles/osr-snowmass.json';
+const SUPPORTED_VERSION = 1;
+
+const SELECTOR_CHAINS = {
+  login: ['openForm', 'username', 'password', 'submit', 'loggedIn', 'loggedOut'],
+  calendar: ['textContainers', 'header', 'next', 'prev', 'dayCells']
+};
+const PATTERNS = ['unavailablePattern', 'availablePattern', 'otherMonthPattern'];
+const LOGIN_ERROR_PATTERNS = ['invalidCredentials', 'accountLocked', 'siteUnavailable'];
+
+// Page text (patterns) and markup (captcha selectors) that explain a failed login
+const DEFAULT_LOGIN_ERRORS = {
+  invalidCredentials: 'invalid (e-?mail|username|password|login|credentials)|incorrect (e-?mail|username|password)|wrong password|not recognized',
+  accountLocked: 'account (is )?(locked|disabled|suspended|expired)|too many (failed )?(login )?attempts|temporarily blocked',
+  siteUnavailable: 'service unavailable|temporarily unavailable|under maintenance|scheduled maintenance|bad gateway|gateway time-?out|internal server error',
+  captcha: ['iframe[src*="recaptcha"]', 'iframe[src*="hcaptcha"]', 'iframe[src*="turnstile"]', '.g-recaptcha', '.h-captcha', '[class*="captcha"]', '[id*="captcha"]']
+};
+const COLOR_GROUPS = ['available', 'highlight', 'background'];
+
+export class SiteProfileError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}: ${details.join('; ')}` : message);
+    this.name = 'SiteProfileError';
+    this.details = details;
+  }
+}
+
+function isSelectorChain(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(s => typeof s === 'string' && s.trim());
+}
+
+function validateColorRule(rule, label, errors) {
+  if (!rule || typeof rule !== 'object') {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+
+  for (const channel of ['r', 'g', 'b']) {
+    const range = rule[channel];
+    if (range === undefined) continue;
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(v => Number.isInteger(v) && v >= 0 && v <= 255) || range[0] > range[1]) {
+      errors.push(`${label}.${channel} must be [min, max] within 0-255`);
+    }
+  }
+  for (const key of ['maxChannelDiff', 'minRedOverBlue']) {
+    if (rule[key] !== undefined && !Number.isInteger(rule[key])) {
+      errors.push(`${label}.${key} must be a whole number`);
+    }
+  }
+}
+
+/**
+ * Every problem with `profile`, as a list of messages (empty when valid).
+ */
+export function validateSiteProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') return ['profile must be a JSON object'];
+
+  if (!profile.id || typeof profile.id !== 'string') errors.push('id is required');
+  if (profile.version !== SUPPORTED_VERSION) errors.push(`version must be ${SUPPORTED_VERSION}`);
+
+  try {
+    if (!/^https?:$/.test(new URL(profile.baseUrl).protocol)) errors.push('baseUrl must be http(s)');
+  } catch (error) {
+    errors.push('baseUrl must be a URL');
+  }
+
+  for (const key of ['home', 'availability']) {
+    const url = profile.urls && profile.urls[key];
+    if (typeof url !== 'string' || !url.startsWith('/')) errors.push(`urls.${key} must be a path starting with "/"`);
+  }
+
+  for (const [section, chains] of Object.entries(SELECTOR_CHAINS)) {
+    for (const chain of chains) {
+      if (!isSelectorChain(profile[section] && profile[section][chain])) {
+        errors.push(`${section}.${chain} must be a non-empty list of selectors`);
+      }
+    }
+  }
+
+  const calendar = profile.calendar || {};
+  if (typeof calendar.root !== 'string' || !calendar.root.trim()) errors.push('calendar.root must be a selector');
+  if (!Number.isInteger(calendar.minDayCells) || calendar.minDayCells < 1) errors.push('calendar.minDayCells must be a positive whole number');
+
+  const days = profile.days || {};
+  if (typeof days.cell !== 'string' || !days.cell.trim()) errors.push('days.cell must be a selector');
+  for (const key of PATTERNS) {
+    if (typeof days[key] !== 'string' || !days[key]) {
+      errors.push(`days.${key} must be a regular expression`);
+      continue;
+    }
+    try {
+      new RegExp(days[key], 'i');
+    } catch (error) {
+      errors.push(`days.${key}: ${error.message}`);
+    }
+  }
+
+  const colors = profile.colors || {};
+  for (const group of COLOR_GROUPS) {
+    if (!Array.isArray(colors[group])) {
+      errors.push(`colors.${group} must be a list of colour rules`);
+      continue;
+    }
+    colors[group].forEach((rule, i) => validateColorRule(rule, `colors.${group}[${i}]`, errors));
+  }
+  if (Array.isArray(colors.available) && colors.available.length === 0) {
+    errors.push('colors.available needs at least one rule');
+  }
+  if (profile.palette !== undefined && (typeof profile.palette !== 'string' || !profile.palette)) {
+    errors.push('palette must be a file path');
+  }
+
+  if (profile.loginErrors !== undefined) {
+    const loginErrors = profile.loginErrors || {};
+    for (const key of LOGIN_ERROR_PATTERNS) {
+      if (loginErrors[key] === undefined) continue;
+      try {
+        new RegExp(loginErrors[key], 'i');
+      } catch (error) {
+        errors.push(`loginErrors.${key}: ${error.message}`);
+      }
+    }
+    if (loginErrors.captcha !== undefined && !isSelectorChain(loginErrors.captcha)) {
+      errors.push('loginErrors.captcha must be a non-empty list of selectors');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read and validate a profile. Throws SiteProfileError listing every problem.
+ * `SNOWMASS_BASE_URL` overrides the profile's baseUrl (e.g. the test mock site).
+ */
+export function loadSiteProfile(filePath = process.env.SITE_PROFILE || DEFAULT_PROFILE_PATH) {
+  let profile;
+  try {
+    profile = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new SiteProfileError(`Could not read site profile ${filePath}`, [error.message]);
+  }
+
+  const errors = validateSiteProfile(profile);
+  if (errors.length > 0) {
+    throw new SiteProfileError(`Invalid site profile ${filePath}`, errors);
+  }
+
+  const loginErrors = { ...DEFAULT_LOGIN_ERRORS, ...(profile.loginErrors || {}) };
+
+  return {
+    ...profile,
+    loginErrors,
+    source: filePath,
+    palettePath: profile.palette ? path.join(path.dirname(filePath), profile.palette) : null,
+    // Compiled once here rather than on every cell
+    dayPatterns: Object.fromEntries(PATTERNS.map(key => [key, new RegExp(profile.days[key], 'i')])),
+    loginErrorPatterns: Object.fromEntries(LOGIN_ERROR_PATTERNS.map(key => [key, new RegExp(loginErrors[key], 'i')]))
+  };
+}
+
+let activeProfile = null;
+
+// The profile in use, loaded on first access (server.js loads it at startup to fail fast)
+export function getSiteProfile() {
+  if (!activeProfile) activeProfile = loadSiteProfile();
+  return activeProfile;
+}
+
+export function siteUrl(pathname = '') {
+  const base = process.env.SNOWMASS_BASE_URL || getSiteProfile().baseUrl;
+  return `${base.replace(/\/+$/, '')}${pathname}`;
+}
+
+export function matchesColor([r, g, b], rules) {
+  return rules.some(rule =>
+    (!rule.r || (r >= rule.r[0] && r <= rule.r[1])) &&
+    (!rule.g || (g >= rule.g[0] && g <= rule.g[1])) &&
+    (!rule.b || (b >= rule.b[0] && b <= rule.b[1])) &&
+    (rule.maxChannelDiff === undefined || (Math.abs(r - g) <= rule.maxChannelDiff && Math.abs(g - b) <= rule.maxChannelDiff)) &&
+    (rule.minRedOverBlue === undefined || r - b >= rule.minRedOverBlue)
+  );
+}
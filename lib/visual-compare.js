@@ -0,0 +1,173 @@
+// lib/visual-compare.js - Pixel-level comparison of calendar screenshots
+import { decodePng } from './png.js';
+import { DIFF_OTHER, DIFF_AVAILABILITY, DIFF_UNAVAILABILITY, DIFF_HIGHLIGHT } from './diff-artifacts.js';
+import { colorClassifier } from './palette.js';
+import { logger } from './logger.js';
+
+/**
+ * Compare two PNG screenshots pixel by pixel.
+ * `grid` (optional) holds day cells with rects relative to the screenshot,
+ * so changed pixels can be attributed to dates. `classifier` decides which
+ * colours mean available/highlight/background (calibrated palette or the
+ * site profile's rules, see lib/palette.js).
+ */
+export function performVisualComparison(baselineBuffer, currentBuffer, grid = null, classifier = colorClassifier()) {
+  // Compare decoded RGBA pixels, not the zlib-compressed file bytes
+  const baselineImage = decodePng(baselineBuffer);
+  const currentImage = decodePng(currentBuffer);
+  
+  if (baselineImage.width !== currentImage.width || baselineImage.height !== currentImage.height) {
+    return {
+      dimensionMismatch: true,
+      baselineDimensions: { width: baselineImage.width, height: baselineImage.height },
+      currentDimensions: { width: currentImage.width, height: currentImage.height },
+      changePercentage: '0.000',
+      availabilityScore: '0.000',
+      changedPixels: 0,
+      totalPixels: 0,
+      availabilityIncrease: 0,
+      availabilityDecrease: 0,
+      dateHighlightChanges: 0,
+      nonAvailabilityChanges: 0,
+      significantChange: false,
+      likelyNewAvailability: false,
+      newlyAvailableDates: [],
+      newlyUnavailableDates: [],
+      changedDates: [],
+      diffMask: null,
+      currentImage: null
+    };
+  }
+  
+  const baselinePixels = baselineImage.data;
+  const currentPixels = currentImage.data;
+  const totalPixels = currentImage.width * currentImage.height;
+  let changedPixels = 0;
+  let availabilityIncrease = 0;
+  let availabilityDecrease = 0;
+  let dateHighlightChanges = 0;
+  let nonAvailabilityChanges = 0;
+  
+  // One DIFF_* code per pixel, used to render the diff overlay artifact
+  const diffMask = new Uint8Array(totalPixels);
+  
+  // Map changed pixels back to the day cell they fall in (grid rects are relative to the table screenshot)
+  const imageWidth = currentImage.width;
+  const availabilityIncreaseByDate = {};
+  const availabilityDecreaseByDate = {};
+  const changedPixelsByDate = {};
+  const dateAt = (i) => {
+    if (!grid) return null;
+    const x = (i / 4) % imageWidth;
+    const y = Math.floor(i / 4 / imageWidth);
+    const cell = grid.find(c => 
+      x >= c.rect.x && x < c.rect.x + c.rect.width &&
+      y >= c.rect.y && y < c.rect.y + c.rect.height
+    );
+    return cell ? cell.date : null;
+  };
+  
+  // 1x sampling for 90-day accuracy: every pixel (4 bytes RGBA = 1 pixel)
+  for (let i = 0; i < currentPixels.length; i += 4) {
+    const currentR = currentPixels[i];
+    const currentG = currentPixels[i + 1];
+    const currentB = currentPixels[i + 2];
+    
+    const baselineR = baselinePixels[i];
+    const baselineG = baselinePixels[i + 1];
+    const baselineB = baselinePixels[i + 2];
+    
+    const colorDiff = Math.sqrt(
+      Math.pow(currentR - baselineR, 2) +
+      Math.pow(currentG - baselineG, 2) +
+      Math.pow(currentB - baselineB, 2)
+    );
+    
+    if (colorDiff > 30) {
+      const current = [currentR, currentG, currentB];
+      const baseline = [baselineR, baselineG, baselineB];
+      
+      // Check if this looks like date highlighting (blues, grays, whites)
+      const isCurrentDateHighlight = classifier.isHighlight(current);
+      const isBaselineDateHighlight = classifier.isHighlight(baseline);
+      
+      // If either is date highlighting, ignore this change
+      if (isCurrentDateHighlight || isBaselineDateHighlight) {
+        dateHighlightChanges++;
+        diffMask[i / 4] = DIFF_HIGHLIGHT;
+        continue;
+      }
+      
+      changedPixels++;
+      diffMask[i / 4] = DIFF_OTHER;
+      
+      const changedDate = dateAt(i);
+      if (changedDate) {
+        changedPixelsByDate[changedDate] = (changedPixelsByDate[changedDate] || 0) + 1;
+      }
+      
+      // Calibrated palette, or the site profile's availability colours
+      const currentIsAvailable = classifier.isAvailable(current);
+      const baselineIsAvailable = classifier.isAvailable(baseline);
+      
+      // Only count as availability increase if:
+      // 1. Current pixel is clearly available color
+      // 2. Baseline pixel was NOT available color
+      // 3. Baseline was not white/empty (background)
+      const baselineIsBackground = classifier.isBackground(baseline);
+      
+      if (currentIsAvailable && !baselineIsAvailable && !baselineIsBackground) {
+        availabilityIncrease++;
+        diffMask[i / 4] = DIFF_AVAILABILITY;
+        if (changedDate) {
+          availabilityIncreaseByDate[changedDate] = (availabilityIncreaseByDate[changedDate] || 0) + 1;
+        }
+      } else if (baselineIsAvailable && !currentIsAvailable && !classifier.isBackground(current)) {
+        // The reverse: an open date got booked (or otherwise closed)
+        availabilityDecrease++;
+        diffMask[i / 4] = DIFF_UNAVAILABILITY;
+        if (changedDate) {
+          availabilityDecreaseByDate[changedDate] = (availabilityDecreaseByDate[changedDate] || 0) + 1;
+        }
+      } else if (!currentIsAvailable && !baselineIsAvailable) {
+        // Non-availability related change (text, borders, etc.)
+        nonAvailabilityChanges++;
+      }
+    }
+  }
+  
+  const changePercentage = (changedPixels / totalPixels) * 100;
+  const availabilityScore = (availabilityIncrease / totalPixels) * 100;
+  
+  logger.debug('Pixel changes classified', {
+    operation: 'compare',
+    dateHighlightChanges,
+    nonAvailabilityChanges,
+    availabilityIncrease,
+    availabilityDecrease
+  });
+  
+  // ULTRA-SENSITIVE thresholds - prevents missed alerts like July 12th
+  const significantChange = changePercentage > 2.0; // More sensitive than 5.0
+  const likelyNewAvailability = availabilityIncrease > 0 && availabilityScore > 0.01; // ANY availability increase triggers alert
+  
+  return {
+    changePercentage: changePercentage.toFixed(3),
+    availabilityScore: availabilityScore.toFixed(3),
+    changedPixels,
+    totalPixels,
+    availabilityIncrease,
+    availabilityDecrease,
+    dateHighlightChanges,
+    nonAvailabilityChanges,
+    significantChange,
+    likelyNewAvailability,
+    newlyAvailableDates: Object.keys(availabilityIncreaseByDate).sort(),
+    newlyUnavailableDates: Object.keys(availabilityDecreaseByDate).sort(),
+    changedDates: Object.keys(changedPixelsByDate).sort(),
+    availabilityIncreaseByDate,
+    availabilityDecreaseByDate,
+    diffMask,
+    currentImage
+  };
+}
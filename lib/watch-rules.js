@@ -0,0 +1,247 @@
+// lib/watch-rules.js - Saved watch rules describing the stays an owner actually wants
+//
+// A rule is a booking window plus constraints, e.g. "any 3 consecutive nights
+// checking in Dec 20 or later and checking out by Jan 3":
+//
+//   { "id": "christmas", "name": "Christmas week", "start": "2026-12-20", "end": "2027-01-03",
+//     "minNights": 3, "checkInDays": ["fri", "sat"], "includeDays": ["sat"] }
+//
+// `start` is the earliest check-in, `end` the latest check-out. `checkInDays`
+// limits the arrival weekday, `includeDays` requires at least one night on one
+// of those weekdays. Both are optional.
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_MONTHS_AHEAD = 18;
+const MAX_STAYS_REPORTED = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class WatchRuleError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'WatchRuleError';
+    this.details = details;
+  }
+}
+
+// Today in the resort's timezone, as YYYY-MM-DD
+export function todayIso(timezone = process.env.MONITOR_TIMEZONE || 'America/Denver') {
+  return new Date().toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+function addDays(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekdayOf(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value;
+}
+
+function parseWeekdays(value, field, errors) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${field} must be a non-empty list of weekdays (sun-sat)`);
+    return null;
+  }
+
+  // "Saturday", "sat" and "SAT" all mean the same day
+  const days = value.map(day => {
+    const lower = String(day).toLowerCase();
+    return lower.length >= 3 ? WEEKDAYS.find((_, i) => WEEKDAY_NAMES[i].startsWith(lower)) : undefined;
+  });
+  const unknown = value.filter((_, i) => !days[i]);
+  if (unknown.length > 0) errors.push(`${field}: unknown weekday(s) ${unknown.join(', ')}`);
+  return [...new Set(days)];
+}
+
+/**
+ * Validate user input into a stored rule. Throws WatchRuleError listing
+ * every problem at once.
+ */
+export function normalizeRule(input, existing = null) {
+  const merged = { ...(existing || {}), ...input };
+  const errors = [];
+
+  if (!isIsoDate(merged.start)) errors.push('start must be a date (YYYY-MM-DD)');
+  if (!isIsoDate(merged.end)) errors.push('end must be a date (YYYY-MM-DD)');
+
+  const minNights = merged.minNights === undefined ? 1 : merged.minNights;
+  if (!Number.isInteger(minNights) || minNights < 1 || minNights > 60) {
+    errors.push('minNights must be a whole number from 1 to 60');
+  }
+
+  if (isIsoDate(merged.start) && isIsoDate(merged.end) && Number.isInteger(minNights)) {
+    if (addDays(merged.start, minNights) > merged.end) {
+      errors.push(`start..end is too short for ${minNights} night(s)`);
+    }
+  }
+
+  const checkInDays = parseWeekdays(merged.checkInDays, 'checkInDays', errors);
+  const includeDays = parseWeekdays(merged.includeDays, 'includeDays', errors);
+
+  if (merged.id !== undefined && !/^[\w-]{1,64}$/.test(String(merged.id))) {
+    errors.push('id must be letters, digits, "-" or "_"');
+  }
+
+  if (errors.length > 0) {
+    throw new WatchRuleError('Invalid watch rule', errors);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: merged.id ? String(merged.id) : crypto.randomUUID().slice(0, 8),
+    name: merged.name || `${merged.start} to ${merged.end}`,
+    start: merged.start,
+    end: merged.end,
+    minNights,
+    checkInDays,
+    includeDays,
+    enabled: merged.enabled !== false,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+// Rule writes are read-modify-write on one file - keep them in order
+let lock = Promise.resolve();
+function withLock(task) {
+  const run = lock.then(task, task);
+  lock = run.catch(() => {});
+  return run;
+}
+
+// A file that can't be parsed is moved aside rather than written over by the next edit
+export async function loadWatchRules(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  try {
+    const rules = JSON.parse(content);
+    if (!Array.isArray(rules)) throw new Error('expected a JSON array');
+    return rules;
+  } catch (error) {
+    const movedTo = `${filePath}.corrupt-${Date.now()}`;
+    await fs.rename(filePath, movedTo);
+    logger.error('Corrupt watch rules moved aside', { path: filePath, movedTo, error: error.message });
+    return [];
+  }
+}
+
+async function writeWatchRules(filePath, rules) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(rules, null, 2));
+}
+
+export function addWatchRule(filePath, input) {
+  return withLock(async () => {
+    const rules = await loadWatchRules(filePath);
+    const rule = normalizeRule(input);
+    if (rules.some(r => r.id === rule.id)) {
+      throw new WatchRuleError(`Watch rule ${rule.id} already exists`);
+    }
+    rules.push(rule);
+    await writeWatchRules(filePath, rules);
+    return rule;
+  });
+}
+
+// Resolves null when there is no rule `id`
+export function updateWatchRule(filePath, id, input) {
+  return withLock(async () => {
+    const rules = await loadWatchRules(filePath);
+    const position = rules.findIndex(r => r.id === id);
+    if (position === -1) return null;
+
+    rules[position] = normalizeRule({ ...input, id }, rules[position]);
+    await writeWatchRules(filePath, rules);
+    return rules[position];
+  });
+}
+
+export function deleteWatchRule(filePath, id) {
+  return withLock(async () => {
+    const rules = await loadWatchRules(filePath);
+    const kept = rules.filter(r => r.id !== id);
+    await writeWatchRules(filePath, kept);
+    return kept.length !== rules.length;
+  });
+}
+
+// Enabled rules that can still be booked (latest check-out not yet past)
+export function activeWatchRules(rules, today = todayIso()) {
+  return rules.filter(rule => rule.enabled !== false && rule.end > today);
+}
+
+/**
+ * Calendar months (YYYY-MM) containing a night any rule could use,
+ * from today onwards and at most MAX_MONTHS_AHEAD out.
+ */
+export function monthsForRules(rules, today = todayIso()) {
+  const limit = addDays(today, MAX_MONTHS_AHEAD * 31).slice(0, 7);
+  const months = new Set();
+
+  for (const rule of rules) {
+    const firstNight = rule.start > today ? rule.start : today;
+    const lastNight = addDays(rule.end, -1);
+
+    for (let month = firstNight.slice(0, 7); month <= lastNight.slice(0, 7) && month <= limit;) {
+      months.add(month);
+      const [year, m] = month.split('-').map(Number);
+      month = m === 12 ? `${year + 1}-01` : `${year}-${String(m + 1).padStart(2, '0')}`;
+    }
+  }
+
+  return [...months].sort();
+}
+
+/**
+ * Find the stays each rule is satisfied by.
+ *
+ * `availability` maps ISO date -> calendar state for every night we saw,
+ * `newlyAvailable` holds the dates that opened up this run. A stay is new
+ * when at least one of its nights is newly available - only new stays
+ * should alert, otherwise a rule that stays satisfied would alert every run.
+ */
+export function evaluateWatchRules(rules, availability, newlyAvailable, today = todayIso()) {
+  return rules.map(rule => {
+    const checkInDays = rule.checkInDays ? rule.checkInDays.map(d => WEEKDAYS.indexOf(d)) : null;
+    const includeDays = rule.includeDays ? rule.includeDays.map(d => WEEKDAYS.indexOf(d)) : null;
+    const stays = [];
+    const newStays = [];
+
+    const firstCheckIn = rule.start > today ? rule.start : today;
+    for (let checkIn = firstCheckIn; addDays(checkIn, rule.minNights) <= rule.end; checkIn = addDays(checkIn, 1)) {
+      if (checkInDays && !checkInDays.includes(weekdayOf(checkIn))) continue;
+
+      const dates = Array.from({ length: rule.minNights }, (_, i) => addDays(checkIn, i));
+      if (!dates.every(date => availability.get(date) === 'available')) continue;
+      if (includeDays && !dates.some(date => includeDays.includes(weekdayOf(date)))) continue;
+
+      const stay = { checkIn, checkOut: addDays(checkIn, rule.minNights), nights: rule.minNights, dates };
+      stays.push(stay);
+      if (dates.some(date => newlyAvailable.has(date))) newStays.push(stay);
+    }
+
+    return {
+      id: rule.id,
+      name: rule.name,
+      satisfied: stays.length > 0,
+      stayCount: stays.length,
+      stays: stays.slice(0, MAX_STAYS_REPORTED),
+      newStays: newStays.slice(0, MAX_STAYS_REPORTED)
+    };
+  });
+}
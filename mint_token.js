@@ -0,0 +1,46 @@
+// mint_token.js - Mint bearer tokens for Cloud Scheduler, n8n and admins
+//
+// Usage:
+//   node mint_token.js --sub cloud-scheduler --scopes monitor:run --expires 365d
+//   node mint_token.js --sub admin --scopes baselines:read,baselines:write --expires 12h
+import dotenv from 'dotenv';
+import { signToken, verifyToken, SCOPES } from './lib/auth.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      const [key, inline] = arg.slice(2).split('=');
+      args[key] = inline !== undefined ? inline : argv[++i];
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help || !args.sub || !args.scopes) {
+  console.log('Usage: node mint_token.js --sub <name> --scopes <scope,scope> [--expires 30d]');
+  console.log(`Scopes: ${SCOPES.join(', ')}, * (everything)`);
+  process.exit(args.help ? 0 : 1);
+}
+
+try {
+  const token = signToken({
+    subject: args.sub,
+    scopes: args.scopes.split(',').map(s => s.trim()).filter(Boolean),
+    expiresIn: args.expires || '30d'
+  });
+  const claims = verifyToken(token);
+
+  console.error(`🔑 Token for "${claims.sub}" [${claims.scopes.join(' ')}] expires ${new Date(claims.exp * 1000).toISOString()}`);
+  console.log(token);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -1,7 +1,7 @@
 // server.js - Local development server
 import express from 'express';
 import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import path, { dirname } from 'path';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -17,7 +17,118 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Import monitor handler
-import monitorHandler from './api/snowmass-monitor.js';
+import monitorHandler, { runScheduledMonitor, flushDueAlerts } from './api/snowmass-monitor.js';
+import diffsHandler from './api/diffs.js';
+import {
+  listVersionsHandler,
+  versionImageHandler,
+  diffVersionsHandler,
+  promoteVersionHandler,
+  rollbackHandler,
+  resetHandler
+} from './api/baselines.js';
+import {
+  outboxHandler,
+  flushOutboxHandler,
+  deadLettersHandler,
+  replayHandler,
+  discardHandler,
+  notificationLogHandler
+} from './api/notifications.js';
+import {
+  listWatchRulesHandler,
+  createWatchRuleHandler,
+  updateWatchRuleHandler,
+  deleteWatchRuleHandler
+} from './api/watch-rules.js';
+import { listRunsHandler, getRunHandler, runDiagnosticsHandler, monthHistoryHandler } from './api/runs.js';
+import { monthsOverviewHandler, latestCaptureHandler } from './api/months.js';
+import { listJobsHandler, getJobHandler, jobEventsHandler, cancelJobHandler } from './api/jobs.js';
+import { openAvailabilityHandler } from './api/availability.js';
+import { healthAlertsHandler, healthScreenshotHandler } from './api/health-alerts.js';
+import { processOutbox } from './lib/notifiers/index.js';
+import { loadAccounts } from './lib/accounts.js';
+import { alertPolicy } from './lib/alert-policy.js';
+import { healthSettings, readHealthState } from './lib/health-alerts.js';
+import { diagnosticsSettings } from './lib/diagnostics.js';
+import { requireScope, authDisabled } from './lib/auth.js';
+import { startScheduler } from './lib/scheduler.js';
+import { currentRun } from './lib/run-lock.js';
+import { getSiteProfile } from './lib/site-profile.js';
+import { colorClassifier } from './lib/palette.js';
+import { renderMetrics } from './lib/metrics.js';
+import { logger } from './lib/logger.js';
+
+// Selectors and URLs come from the site profile - refuse to start with a broken one (or a broken palette)
+let siteProfile;
+let palette;
+try {
+  siteProfile = getSiteProfile();
+  palette = colorClassifier().source;
+  logger.info('Site profile loaded', { profile: siteProfile.id, version: siteProfile.version, source: siteProfile.source, colours: palette || 'profile rules' });
+} catch (error) {
+  logger.error('Could not load the site profile', { error: error.message });
+  process.exit(1);
+}
+
+// Alert timing (quiet hours, timezone, digest) - a typo here would silently change when alerts go out
+try {
+  const policy = alertPolicy();
+  logger.info('Alert policy loaded', {
+    timezone: policy.timezone,
+    quietHours: policy.quietHoursText,
+    realertHours: policy.realertHours,
+    digestMinutes: policy.digestMinutes,
+    maxPerDay: policy.maxPerDay,
+    reminderHours: policy.reminderHours,
+    goneFollowUps: policy.goneFollowUps
+  });
+} catch (error) {
+  logger.error('Invalid alert policy', { error: error.message });
+  process.exit(1);
+}
+
+// Health alert thresholds are checked after every run - fail now rather than after the first one
+try {
+  logger.info('Health alert thresholds loaded', healthSettings());
+} catch (error) {
+  logger.error('Invalid health alert thresholds', { error: error.message });
+  process.exit(1);
+}
+
+// Diagnostic bundles (see lib/diagnostics.js) are written when a run fails - check the settings up front
+try {
+  const diagnostics = diagnosticsSettings();
+  logger.info('Diagnostics capture configured', { capture: diagnostics.capture, trace: diagnostics.trace, maxAgeDays: diagnostics.maxAgeDays, maxTotalBytes: diagnostics.maxTotalBytes });
+} catch (error) {
+  logger.error('Invalid diagnostics settings', { error: error.message });
+  process.exit(1);
+}
+
+// Say up front how protected routes will behave - an open API must never be a surprise
+if (authDisabled()) {
+  logger.warn('AUTHENTICATION DISABLED - every protected route is open to anyone who can reach this server (AUTH_DISABLED=true, JWT_SECRET unset)');
+} else if (!process.env.JWT_SECRET) {
+  logger.warn('JWT_SECRET not set - protected routes will answer 503 (AUTH_DISABLED=true opens them, outside production only)');
+} else if (process.env.AUTH_DISABLED === 'true') {
+  logger.warn('AUTH_DISABLED ignored - JWT_SECRET is set, tokens are required');
+}
+
+// Built-in cron - only active when MONITOR_SCHEDULE is set (e.g. "*/30 6-22 * * *")
+let scheduler = null;
+if (process.env.MONITOR_SCHEDULE) {
+  try {
+    scheduler = startScheduler({
+      expression: process.env.MONITOR_SCHEDULE,
+      timezone: process.env.MONITOR_TIMEZONE || 'America/Denver',
+      graceMs: parseInt(process.env.MONITOR_SCHEDULE_GRACE_SECONDS || '60', 10) * 1000,
+      task: runScheduledMonitor
+    });
+  } catch (error) {
+    logger.error('Invalid schedule configuration', { error: error.message });
+    process.exit(1);
+  }
+}
 
 // Routes
 app.get('/', (req, res) => {
@@ -27,29 +138,132 @@ app.get('/', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     endpoints: {
       health: 'GET /health',
-      monitor: 'POST /api/snowmass-monitor',
+      dashboard: 'GET /dashboard/',
+      metrics: 'GET /metrics (Prometheus text format)',
+      monitor: 'POST /api/snowmass-monitor (202 with a job id; {"wait": true} blocks for the result)',
+      jobs: 'GET /api/jobs',
+      job: 'GET /api/jobs/:id',
+      jobEvents: 'GET /api/jobs/:id/events (Server-Sent Events)',
+      jobCancel: 'POST /api/jobs/:id/cancel',
+      diffs: 'GET /api/diffs/:month/:runId',
+      baselineVersions: 'GET /api/baselines/:month/versions',
+      baselineImage: 'GET /api/baselines/:month/versions/:versionId',
+      baselineDiff: 'GET /api/baselines/:month/diff?from=&to=',
+      baselinePromote: 'POST /api/baselines/:month/versions/:versionId/promote',
+      baselineRollback: 'POST /api/baselines/:month/rollback',
+      baselineReset: 'POST /api/baselines/:month/reset',
+      outbox: 'GET /api/notifications/outbox',
+      outboxFlush: 'POST /api/notifications/outbox/flush',
+      deadLetters: 'GET /api/notifications/dead-letters',
+      deadLetterReplay: 'POST /api/notifications/dead-letters/replay',
+      deadLetterReplayOne: 'POST /api/notifications/dead-letters/:id/replay',
+      deadLetterDiscard: 'DELETE /api/notifications/dead-letters/:id',
+      notificationLog: 'GET /api/notifications/log?account=&limit=&offset=',
+      watchRules: 'GET /api/watch-rules',
+      watchRuleCreate: 'POST /api/watch-rules',
+      watchRuleUpdate: 'PUT /api/watch-rules/:id',
+      watchRuleDelete: 'DELETE /api/watch-rules/:id',
+      runs: 'GET /api/runs?from=&to=&status=&account=&limit=&offset=',
+      run: 'GET /api/runs/:id',
+      runDiagnostics: 'GET /api/runs/:id/diagnostics',
+      monthHistory: 'GET /api/months/:key/history?from=&to=&account=&limit=&offset=',
+      months: 'GET /api/months?account=',
+      latestCapture: 'GET /api/months/:key/latest?account=',
+      openAvailability: 'GET /api/availability/open?account=',
+      healthAlerts: 'GET /api/health/alerts',
+      healthScreenshot: 'GET /api/health/alerts/:id/screenshots/:name',
       test: 'POST /test'
     },
     timestamp: new Date().toISOString() 
   });
 });
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const schedule = scheduler ? scheduler.status() : { enabled: false };
+  const healthAlerts = Object.keys((await readHealthState()).open);
   res.json({ 
-    status: 'healthy',
+    status: schedule.overdue || healthAlerts.length > 0 ? 'degraded' : 'healthy',
     playwright: 'ready',
     jwt_secret: process.env.JWT_SECRET ? '✅ Set' : '❌ Missing',
+    activeRun: currentRun(),
+    scheduler: schedule,
+    healthAlerts,
+    siteProfile: { id: siteProfile.id, version: siteProfile.version, baseUrl: process.env.SNOWMASS_BASE_URL || siteProfile.baseUrl, palette },
     timestamp: new Date().toISOString() 
   });
 });
 
-// Main monitor endpoint
-app.all('/api/snowmass-monitor', monitorHandler);
+// Prometheus scrape target
+app.get('/metrics', requireScope('metrics:read'), async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await renderMetrics());
+  } catch (error) {
+    logger.error('Failed to render metrics', { error });
+    res.status(500).json({ error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// Main monitor endpoint - GET is the handler's own health probe, everything else needs a token
+app.get('/api/snowmass-monitor', monitorHandler);
+app.all('/api/snowmass-monitor', requireScope('monitor:run'), monitorHandler);
+
+// Visual diff overlays (changed pixels tinted on the current screenshot)
+app.get('/api/diffs/:month/:runId', requireScope('baselines:read'), diffsHandler);
+
+// Versioned baselines
+app.get('/api/baselines/:month/versions', requireScope('baselines:read'), listVersionsHandler);
+app.get('/api/baselines/:month/versions/:versionId', requireScope('baselines:read'), versionImageHandler);
+app.get('/api/baselines/:month/diff', requireScope('baselines:read'), diffVersionsHandler);
+app.post('/api/baselines/:month/versions/:versionId/promote', requireScope('baselines:write'), promoteVersionHandler);
+app.post('/api/baselines/:month/rollback', requireScope('baselines:write'), rollbackHandler);
+app.post('/api/baselines/:month/reset', requireScope('baselines:write'), resetHandler);
+
+// Notification retry outbox and dead letters
+app.get('/api/notifications/outbox', requireScope('notifications:read'), outboxHandler);
+app.post('/api/notifications/outbox/flush', requireScope('notifications:write'), flushOutboxHandler);
+app.get('/api/notifications/dead-letters', requireScope('notifications:read'), deadLettersHandler);
+app.post('/api/notifications/dead-letters/replay', requireScope('notifications:write'), replayHandler);
+app.post('/api/notifications/dead-letters/:id/replay', requireScope('notifications:write'), replayHandler);
+app.delete('/api/notifications/dead-letters/:id', requireScope('notifications:write'), discardHandler);
+app.get('/api/notifications/log', requireScope('notifications:read'), notificationLogHandler);
+
+// Watch rules (target stays) - decide which months are visited and what alerts
+app.get('/api/watch-rules', requireScope('watchlist:read'), listWatchRulesHandler);
+app.post('/api/watch-rules', requireScope('watchlist:write'), createWatchRuleHandler);
+app.put('/api/watch-rules/:id', requireScope('watchlist:write'), updateWatchRuleHandler);
+app.delete('/api/watch-rules/:id', requireScope('watchlist:write'), deleteWatchRuleHandler);
+
+// Run history (tmp/runs/runs.jsonl)
+app.get('/api/runs', requireScope('runs:read'), listRunsHandler);
+app.get('/api/runs/:id', requireScope('runs:read'), getRunHandler);
+app.get('/api/runs/:id/diagnostics', requireScope('runs:read'), runDiagnosticsHandler);
+app.get('/api/months/:key/history', requireScope('runs:read'), monthHistoryHandler);
+
+// Monitor jobs - progress of in-flight runs (this process only) and cancellation
+app.get('/api/jobs', requireScope('runs:read'), listJobsHandler);
+app.get('/api/jobs/:id', requireScope('runs:read'), getJobHandler);
+app.get('/api/jobs/:id/events', requireScope('runs:read'), jobEventsHandler);
+app.post('/api/jobs/:id/cancel', requireScope('monitor:run'), cancelJobHandler);
+
+// Month overview for the dashboard: current baseline, latest capture, last check
+app.get('/api/months', requireScope('baselines:read'), monthsOverviewHandler);
+app.get('/api/months/:key/latest', requireScope('baselines:read'), latestCaptureHandler);
+
+// Dates bookable now, with their alert lifecycle (announced / still open / gone)
+app.get('/api/availability/open', requireScope('runs:read'), openAvailabilityHandler);
+
+// Operational health alerts (site structure changed, runs keep failing) and their screenshots
+app.get('/api/health/alerts', requireScope('runs:read'), healthAlertsHandler);
+app.get('/api/health/alerts/:id/screenshots/:name', requireScope('runs:read'), healthScreenshotHandler);
+
+// Dashboard - static files only, it calls the APIs above with the token entered in the page
+app.use('/dashboard', express.static(path.join(__dirname, 'snowmass-dashboard')));
 
 // Test endpoint for local development
 app.post('/test', async (req, res) => {
   try {
-    console.log('🧪 Test endpoint called');
+    logger.info('Test endpoint called');
     
     // Simple test without authentication
     res.json({
@@ -59,14 +273,14 @@ app.post('/test', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Test error:', error);
+    logger.error('Test endpoint failed', { error });
     res.status(500).json({ error: error.message });
   }
 });
 
 // Error handling
 app.use((err, req, res, next) => {
-  console.error('🚨 Global error:', err);
+  logger.error('Unhandled request error', { method: req.method, path: req.path, error: err });
   res.status(500).json({ 
     error: 'Internal server error',
     message: err.message,
@@ -75,21 +289,33 @@ app.use((err, req, res, next) => {
 });
 
 app.listen(PORT, () => {
-  console.log(`🚀 Snowmass Monitor running locally`);
-  console.log(`📡 Server: http://localhost:${PORT}`);
-  console.log(`🔍 Health: http://localhost:${PORT}/health`);
-  console.log(`🏔️  Monitor: http://localhost:${PORT}/api/snowmass-monitor`);
-  console.log(`🧪 Test: http://localhost:${PORT}/test`);
-  console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info('Snowmass Monitor listening', {
+    url: `http://localhost:${PORT}`,
+    health: `http://localhost:${PORT}/health`,
+    monitor: `http://localhost:${PORT}/api/snowmass-monitor`,
+    environment: process.env.NODE_ENV || 'development',
+    logLevel: process.env.LOG_LEVEL || 'info'
+  });
 });
 
+// Retry failed notification deliveries and send held digests in the background
+const OUTBOX_INTERVAL_MS = 60 * 1000;
+setInterval(() => {
+  processOutbox().catch(error => logger.error('Outbox processing failed', { error }));
+  loadAccounts()
+    .then(flushDueAlerts)
+    .catch(error => logger.error('Held notification check failed', { error }));
+}, OUTBOX_INTERVAL_MS).unref();
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('👋 Received SIGTERM, shutting down gracefully');
+  logger.info('Received SIGTERM, shutting down gracefully');
+  if (scheduler) scheduler.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('👋 Received SIGINT, shutting down gracefully');
+  logger.info('Received SIGINT, shutting down gracefully');
+  if (scheduler) scheduler.stop();
   process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,347 @@
+// snowmass-dashboard/app.js - Dashboard over the monitor's JSON APIs (no build step, no dependencies)
+//
+// Every request carries the bearer token typed into the header; images are
+// fetched the same way and shown through object URLs, since <img src> can't
+// send an Authorization header.
+const TOKEN_KEY = 'snowmass-dashboard-token';
+const ACCOUNT_KEY = 'snowmass-dashboard-account';
+const RUNS_PAGE_SIZE = 20;
+
+const state = {
+  view: 'months',
+  runsOffset: 0,
+  selectedRun: null,
+  objectUrls: []
+};
+
+const $ = selector => document.querySelector(selector);
+
+// Small element builder - text always goes in as text nodes, never as HTML
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [key, value] of Object.entries(attrs)) {
+    if (value === null || value === undefined || value === false) continue;
+    if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+    else if (key === 'className') node.className = value;
+    else node.setAttribute(key, value === true ? '' : value);
+  }
+  for (const child of children.flat()) {
+    if (child === null || child === undefined || child === false) continue;
+    node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+  }
+  return node;
+}
+
+function setStatus(message, isError = false) {
+  const status = $('#status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+function account() {
+  return $('#account').value.trim() || 'default';
+}
+
+function withAccount(url) {
+  if (url.includes('account=')) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}account=${encodeURIComponent(account())}`;
+}
+
+async function api(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem(TOKEN_KEY) || ''}`,
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...options.headers
+    }
+  });
+
+  if (!response.ok) {
+    let message = `${response.status} ${response.statusText}`;
+    try {
+      const body = await response.json();
+      message = body.error || message;
+      if (body.requiredScope) message += ` (needs ${body.requiredScope})`;
+    } catch (error) {
+      // Not JSON - keep the status line
+    }
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+const getJson = async url => (await api(url)).json();
+
+// Object URL for an authenticated image, or null when there is none (404)
+async function imageUrl(url) {
+  try {
+    const blob = await (await api(url)).blob();
+    const objectUrl = URL.createObjectURL(blob);
+    state.objectUrls.push(objectUrl);
+    return objectUrl;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+function releaseImages() {
+  state.objectUrls.forEach(url => URL.revokeObjectURL(url));
+  state.objectUrls = [];
+}
+
+const formatTime = iso => (iso ? new Date(iso).toLocaleString() : '-');
+const formatDuration = ms => (ms === null || ms === undefined ? '-' : ms >= 60000 ? `${(ms / 60000).toFixed(1)} min` : `${(ms / 1000).toFixed(1)} s`);
+const badge = status => el('span', { className: `badge ${status}` }, status);
+
+function openImage(src, alt) {
+  const dialog = $('#image-dialog');
+  dialog.querySelector('img').src = src;
+  dialog.querySelector('img').alt = alt;
+  dialog.showModal();
+}
+
+function figure(caption, src, emptyText) {
+  return el('figure', {},
+    el('figcaption', {}, caption),
+    src
+      ? el('img', { src, alt: caption, onclick: () => openImage(src, caption) })
+      : el('div', { className: 'missing' }, emptyText)
+  );
+}
+
+// --- Months: latest capture next to the baseline and the last diff overlay ---
+
+function checkSummary(check) {
+  if (!check) return 'Not checked yet';
+  if (check.error) return `Last check ${formatTime(check.checkedAt)} failed: ${check.error}`;
+
+  const parts = [`Last check ${formatTime(check.checkedAt)} (${check.trigger})`];
+  if (check.hasBaseline === false) parts.push('new baseline');
+  else if (check.changePercentage !== null) parts.push(`${check.changePercentage}% changed`);
+  if (check.newlyAvailableDates.length > 0) parts.push(`newly open: ${check.newlyAvailableDates.join(', ')}`);
+  if (check.notified) parts.push('alert sent');
+  else if (check.suppressedByWatchRules) parts.push('no watch rule matched');
+  return parts.join(' · ');
+}
+
+async function resetBaseline(month) {
+  if (!confirm(`Reset the ${month} baseline? The next run captures a fresh one; the old version stays in history.`)) return;
+  try {
+    await api(withAccount(`/api/baselines/${month}/reset`), { method: 'POST', body: JSON.stringify({ reason: 'dashboard_reset' }) });
+    setStatus(`Baseline for ${month} reset - the next run will capture a new one`);
+    await render();
+  } catch (error) {
+    setStatus(`Reset failed: ${error.message}`, true);
+  }
+}
+
+async function renderMonths() {
+  const { months } = await getJson(withAccount('/api/months'));
+  const container = $('#months');
+
+  const cards = await Promise.all(months.map(async month => {
+    const [latest, baseline, diff] = await Promise.all([
+      month.latestCapture ? imageUrl(withAccount(`/api/months/${month.month}/latest`)) : null,
+      month.baseline ? imageUrl(withAccount(`/api/baselines/${month.month}/versions/${month.baseline.version}`)) : null,
+      month.lastCheck && month.lastCheck.diffArtifact ? imageUrl(month.lastCheck.diffArtifact) : null
+    ]);
+
+    return el('article', { className: 'month' },
+      el('h2', {},
+        month.lastCheck && month.lastCheck.name ? month.lastCheck.name : month.month,
+        month.pendingVersions > 0 ? el('span', { className: 'badge partial' }, `${month.pendingVersions} pending approval`) : null,
+        el('button', { className: 'danger', disabled: !month.baseline, onclick: () => resetBaseline(month.month) }, 'Reset baseline')
+      ),
+      el('p', { className: 'meta' },
+        checkSummary(month.lastCheck),
+        month.baseline ? ` · baseline since ${formatTime(month.baseline.since)}` : ' · no baseline'
+      ),
+      el('div', { className: 'images' },
+        figure(`Latest capture${month.latestCapture ? ` (${formatTime(month.latestCapture.capturedAt)})` : ''}`, latest, 'No capture yet'),
+        figure('Baseline', baseline, 'No baseline - the next run creates one'),
+        figure('Diff overlay (green = newly available, red = other changes)', diff, 'No overlay for the last check')
+      )
+    );
+  }));
+
+  container.replaceChildren(...(cards.length > 0 ? cards : [el('p', {}, `No months captured yet for account ${account()}.`)]));
+}
+
+// --- Runs ---
+
+async function showRun(id) {
+  state.selectedRun = id;
+  const run = await getJson(`/api/runs/${encodeURIComponent(id)}`);
+  document.querySelectorAll('#runs tbody tr').forEach(row => row.classList.toggle('selected', row.dataset.id === id));
+
+  const sections = run.accounts.map(a => el('div', {},
+    el('h3', {}, `${a.name || a.account}: `, a.success ? `${a.months.length} month(s)` : `failed - ${a.error}`,
+      a.session ? ` · session ${a.session}` : '', ` · ${formatDuration(a.durationMs)}`),
+    a.months.length === 0 ? null : el('table', {},
+      el('thead', {}, el('tr', {}, ['Month', 'Method', 'Change', 'Newly open', 'No longer open', 'Capture', 'Compare', 'Result', 'Overlay'].map(h => el('th', {}, h)))),
+      el('tbody', {}, a.months.map(m => el('tr', {},
+        el('td', {}, m.name || m.month),
+        el('td', {}, m.detectionMethod || '-'),
+        el('td', {}, m.changePercentage !== null ? `${m.changePercentage}%` : '-'),
+        el('td', {}, m.newlyAvailableDates.join(', ') || '-'),
+        el('td', {}, m.newlyUnavailableDates.join(', ') || '-'),
+        el('td', {}, formatDuration(m.durations && m.durations.captureMs)),
+        el('td', {}, formatDuration(m.durations && m.durations.compareMs)),
+        el('td', {}, m.error ? `error: ${m.error}` : m.notified ? 'alert sent' : m.shouldNotify ? 'change (not sent)' : m.hasBaseline === false ? 'new baseline' : 'no change'),
+        el('td', {}, m.diffArtifact
+          ? el('button', { onclick: async () => openImage(await imageUrl(m.diffArtifact), `${m.month} diff`) }, 'View')
+          : '-')
+      )))
+    )
+  ));
+
+  $('#run-detail').replaceChildren(
+    el('h3', {}, `Run ${run.id} `, badge(run.status), ` · ${formatTime(run.startedAt)} · ${formatDuration(run.durationMs)}`),
+    run.error ? el('p', {}, run.error) : null,
+    ...sections
+  );
+}
+
+async function renderRuns() {
+  const page = await getJson(`/api/runs?limit=${RUNS_PAGE_SIZE}&offset=${state.runsOffset}`);
+
+  $('#runs tbody').replaceChildren(...page.runs.map(run => el('tr', {
+    className: `clickable${run.id === state.selectedRun ? ' selected' : ''}`,
+    'data-id': run.id,
+    onclick: () => showRun(run.id).catch(error => setStatus(error.message, true))
+  },
+    el('td', {}, formatTime(run.startedAt)),
+    el('td', {}, run.trigger),
+    el('td', {}, badge(run.status)),
+    el('td', {}, formatDuration(run.durationMs)),
+    el('td', {}, run.monthsChecked),
+    el('td', {}, run.changedMonths),
+    el('td', {}, run.notified ? 'yes' : 'no'),
+    el('td', {}, run.error || '')
+  )));
+
+  const last = Math.min(page.offset + page.runs.length, page.total);
+  $('#runs .pager span').textContent = page.total > 0 ? `${page.offset + 1}-${last} of ${page.total}` : 'No runs recorded yet';
+  $('#runs-newer').disabled = page.offset === 0;
+  $('#runs-older').disabled = page.nextOffset === null;
+
+  // Offer the accounts seen in recent runs in the account picker
+  const accounts = new Set(page.runs.flatMap(run => run.accounts.map(a => a.account)));
+  $('#accounts').replaceChildren(...[...accounts].map(id => el('option', { value: id })));
+}
+
+// --- Notifications ---
+
+const ALERT_KINDS = { new_availability: 'new availability', still_open: 'still open', gone: 'gone' };
+
+async function renderNotifications() {
+  const [log, outbox, deadLetters] = await Promise.all([
+    getJson(withAccount('/api/notifications/log?limit=100')),
+    getJson('/api/notifications/outbox'),
+    getJson('/api/notifications/dead-letters')
+  ]);
+
+  $('#delivery-queue').textContent = `${outbox.count} deliveries waiting for retry · ${deadLetters.count} dead letters`;
+
+  $('#notifications tbody').replaceChildren(...log.entries.map(entry => el('tr', {},
+    el('td', {}, formatTime(entry.at)),
+    el('td', {}, entry.account),
+    el('td', {}, entry.sent ? badge('success') : entry.skipped ? el('span', {}, badge('skipped'), ` ${entry.skipped}`) : badge('failed')),
+    el('td', {}, ALERT_KINDS[entry.kind] || entry.kind),
+    el('td', {}, entry.months.join(', ')),
+    el('td', {}, entry.dates.join(', ') || '-'),
+    el('td', {}, entry.channels.map(c => `${c.channel} ${c.success ? '✓' : c.queued ? '↻ queued' : '✗'}${c.error ? ` (${c.error})` : ''}`).join(', ') || '-')
+  )));
+
+  if (log.entries.length === 0) {
+    $('#notifications tbody').replaceChildren(el('tr', {}, el('td', { colspan: 7 }, 'No alerts sent yet.')));
+  }
+}
+
+// --- Shell ---
+
+const VIEWS = { months: renderMonths, runs: renderRuns, notifications: renderNotifications };
+
+async function render() {
+  if (!localStorage.getItem(TOKEN_KEY)) {
+    setStatus('Enter a token (mint one with: node mint_token.js --sub dashboard --scopes baselines:read,baselines:write,runs:read,notifications:read,monitor:run)', true);
+    return;
+  }
+
+  releaseImages();
+  setStatus('Loading…');
+  try {
+    await VIEWS[state.view]();
+    setStatus(`Updated ${new Date().toLocaleTimeString()}`);
+  } catch (error) {
+    setStatus(error.message, true);
+  }
+}
+
+function showView(view) {
+  state.view = view;
+  document.querySelectorAll('nav button').forEach(button => button.classList.toggle('active', button.dataset.view === view));
+  document.querySelectorAll('.view').forEach(section => { section.hidden = section.id !== view; });
+  render();
+}
+
+const JOB_POLL_MS = 2000;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeEvent(event) {
+  if (!event) return 'starting';
+  const where = [event.account, event.month].filter(Boolean).join(' ');
+  return `${event.stage.replace(/_/g, ' ')}${where ? ` (${where})` : ''}`;
+}
+
+// Start a run (or follow the one in flight) and poll its job until it ends
+async function runNow() {
+  const button = $('#run-now');
+  button.disabled = true;
+
+  try {
+    const started = await (await api('/api/snowmass-monitor', {
+      method: 'POST',
+      body: JSON.stringify({ requestId: `dashboard-${Date.now()}`, join: true })
+    })).json();
+
+    let job = await getJson(started.links.job);
+    while (job.status === 'running') {
+      setStatus(`Run ${job.runId}: ${describeEvent(job.lastEvent)} · ${job.monthsCompleted} month(s) done`);
+      await sleep(JOB_POLL_MS);
+      job = await getJson(started.links.job);
+    }
+
+    await render();
+    if (job.status === 'succeeded') {
+      const result = job.result;
+      setStatus(`Run ${job.runId} finished: ${result.monthsChecked} month(s) checked, ${result.changedMonths} with new availability${result.webhookSent ? ', alert sent' : ''}`);
+    } else {
+      setStatus(`Run ${job.runId} ${job.status}${job.error ? `: ${job.error}` : ''}`, true);
+    }
+  } catch (error) {
+    setStatus(`Run failed: ${error.message}`, true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+$('#token').value = localStorage.getItem(TOKEN_KEY) || '';
+$('#account').value = localStorage.getItem(ACCOUNT_KEY) || 'default';
+
+$('#settings').addEventListener('submit', event => {
+  event.preventDefault();
+  localStorage.setItem(TOKEN_KEY, $('#token').value.trim());
+  localStorage.setItem(ACCOUNT_KEY, account());
+  render();
+});
+document.querySelectorAll('nav button').forEach(button => button.addEventListener('click', () => showView(button.dataset.view)));
+$('#run-now').addEventListener('click', runNow);
+$('#runs-newer').addEventListener('click', () => { state.runsOffset = Math.max(0, state.runsOffset - RUNS_PAGE_SIZE); render(); });
+$('#runs-older').addEventListener('click', () => { state.runsOffset += RUNS_PAGE_SIZE; render(); });
+
+render();
@@ -0,0 +1,1330 @@
+// test-monitor.js - Offline tests: the monitor against test/mock-site.js, no real site or credentials
+//
+// `npm test`. Pixel comparison runs everywhere; the browser tests need
+// Chromium (`npm run install-browsers`) and are skipped without it.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { chromium } from 'playwright';
+import { encodePng, decodePng } from './lib/png.js';
+import { todayIso, loadWatchRules, addWatchRule, normalizeRule, evaluateWatchRules, activeWatchRules, monthsForRules, WatchRuleError } from './lib/watch-rules.js';
+import { compareSnapshots } from './lib/calendar-snapshot.js';
+import { loadSiteProfile, validateSiteProfile, matchesColor, SiteProfileError } from './lib/site-profile.js';
+import { learnPalette, classifyColor, validatePalette, PaletteError } from './lib/palette.js';
+import { renderDiffOverlay, saveDiffArtifact, readDiffArtifact, sanitizeRunId, DIFF_NONE, DIFF_AVAILABILITY, DIFF_UNAVAILABILITY } from './lib/diff-artifacts.js';
+import { evaluateHealth, updateHealth, readHealthState } from './lib/health-alerts.js';
+import { createZip } from './lib/zip.js';
+import { parseCron, nextRun } from './lib/cron.js';
+import { signToken, verifyToken, requireScope, AuthError } from './lib/auth.js';
+import { alertPolicy, readAlertState, withAlertState, unannouncedChanges, recordAnnounced, holdReason, deferChanges, pendingDue, takePending } from './lib/alert-policy.js';
+import { trackAnnounced, updateLifecycle, dueFollowUps, markFollowUpSent } from './lib/availability-lifecycle.js';
+import { enqueueDelivery, drainOutbox, listOutbox, listDeadLetters, replayDeadLetters, discardDeadLetter, MAX_DELIVERY_ATTEMPTS } from './lib/notifiers/outbox.js';
+import { pruneDiagnostics } from './lib/diagnostics.js';
+import { startJob, jobSnapshot, cancelJob, reportProgress, reportPartialResult, checkCancelled, onCancel } from './lib/jobs.js';
+import { jobEventsHandler, getJobHandler, cancelJobHandler } from './api/jobs.js';
+import { newRunId, buildRunRecord, recordRun, listRuns, monthHistory } from './lib/run-history.js';
+import { parseBound } from './api/runs.js';
+import { metrics, renderMetrics } from './lib/metrics.js';
+import { redact, registerSecret, withLogContext, logContext } from './lib/logger.js';
+import { saveBaselineVersion, listBaselineVersions, rollbackBaseline, promoteBaselineVersion, BaselineIndexError } from './lib/baseline-store.js';
+import { LoginError, recordLoginFailure } from './lib/login-errors.js';
+import { loadSessionState, saveSessionState } from './lib/session-store.js';
+import { startMockSite } from './test/mock-site.js';
+
+// Tests must never pick up (or overwrite) a real saved session
+delete process.env.SESSION_ENCRYPTION_KEY;
+
+const { runMonitor, navigateToMonth, compareWithBaseline } = await import('./api/snowmass-monitor.js');
+
+const USERNAME = 'owner@example.com';
+const PASSWORD = 'correct-horse';
+
+const browserSkip = existsSync(chromium.executablePath())
+  ? false
+  : 'Chromium is not installed (npm run install-browsers)';
+
+async function tempStorage(prefix) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), `snowmass-${prefix}-`));
+  return {
+    root,
+    storagePath: path.join(root, 'baselines') + path.sep,
+    diffStoragePath: path.join(root, 'baselines', 'diffs') + path.sep,
+    notificationLogPath: path.join(root, 'notifications.json'),
+    watchRulesPath: path.join(root, 'watch-rules.json'),
+    loginStatePath: path.join(root, 'login-state.json')
+  };
+}
+
+function testAccount(storage, password = PASSWORD) {
+  return { id: 'mock', name: 'Mock owner', username: USERNAME, password, channels: [], ...storage };
+}
+
+// Solid-colour calendar image with optional rectangles painted over it
+function calendarPng(width, height, background, blocks = []) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const block = blocks.find(b => x >= b.x && x < b.x + b.width && y >= b.y && y < b.y + b.height);
+      const [r, g, b] = block ? block.color : background;
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return encodePng({ width, height, data });
+}
+
+function monthAfter(isoDate, offset) {
+  const [year, month] = isoDate.split('-').map(Number);
+  const first = new Date(year, month - 1 + offset, 1);
+  return {
+    key: `${first.getFullYear()}-${String(first.getMonth() + 1).padStart(2, '0')}`,
+    name: first.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+    month: first.getMonth() + 1,
+    year: first.getFullYear(),
+    startDate: first,
+    endDate: new Date(first.getFullYear(), first.getMonth() + 1, 0)
+  };
+}
+
+describe('compareWithBaseline', () => {
+  const BOOKED = [170, 60, 60];
+  const AVAILABLE = [230, 210, 190];
+  const month = monthAfter('2026-01-15', 0);
+  const grid = [
+    { date: '2026-01-05', rect: { x: 0, y: 0, width: 50, height: 50 } },
+    { date: '2026-01-06', rect: { x: 50, y: 0, width: 50, height: 50 } }
+  ];
+  let storage;
+
+  before(async () => {
+    storage = await tempStorage('pixels');
+  });
+
+  after(async () => {
+    await fs.rm(storage.root, { recursive: true, force: true });
+  });
+
+  test('creates the baseline on the first run without notifying', async () => {
+    const result = await compareWithBaseline(month, calendarPng(100, 100, BOOKED), grid, null, storage);
+
+    assert.equal(result.hasBaseline, false);
+    assert.equal(result.shouldNotify, false);
+    assert.ok(existsSync(path.join(storage.storagePath, `${month.key}.png`)));
+  });
+
+  test('no change does not notify', async () => {
+    const result = await compareWithBaseline(month, calendarPng(100, 100, BOOKED), grid, null, storage);
+
+    assert.equal(result.hasBaseline, true);
+    assert.equal(result.shouldNotify, false);
+    assert.equal(result.changedPixels, 0);
+  });
+
+  test('a day turning available notifies and is attributed to its date', async () => {
+    const opened = calendarPng(100, 100, BOOKED, [{ x: 0, y: 0, width: 50, height: 50, color: AVAILABLE }]);
+    const result = await compareWithBaseline(month, opened, grid, null, storage);
+
+    assert.equal(result.shouldNotify, true);
+    assert.equal(result.shouldUpdateBaseline, true);
+    assert.deepEqual(result.newlyAvailableDates, ['2026-01-05']);
+  });
+
+  test('a current-month opening in light gray/beige is counted, not ignored as highlighting', async () => {
+    const CURRENT_MONTH_AVAILABLE = [225, 225, 220];
+    const next = monthAfter('2026-01-15', 1);
+    const nextGrid = grid.map(cell => ({ ...cell, date: cell.date.replace('2026-01', next.key) }));
+
+    await compareWithBaseline(next, calendarPng(100, 100, BOOKED), nextGrid, null, storage);
+    const opened = calendarPng(100, 100, BOOKED, [{ x: 50, y: 0, width: 50, height: 50, color: CURRENT_MONTH_AVAILABLE }]);
+    const result = await compareWithBaseline(next, opened, nextGrid, null, storage);
+
+    assert.ok(result.availabilityIncrease > 0);
+    assert.equal(result.shouldNotify, true);
+    assert.deepEqual(result.newlyAvailableDates, [`${next.key}-06`]);
+  });
+
+  test('a different screenshot size is skipped rather than compared', async () => {
+    const result = await compareWithBaseline(month, calendarPng(120, 100, BOOKED), grid, null, storage);
+
+    assert.equal(result.dimensionMismatch, true);
+    assert.equal(result.shouldNotify, false);
+    assert.equal(result.shouldUpdateBaseline, false);
+  });
+});
+
+describe('compareSnapshots', () => {
+  const snapshot = days => ({ month: '2026-03', days: days.map(([date, state, inMonth = true]) => ({ date, state, inMonth })) });
+
+  test('reports in-month days whose state changed', () => {
+    const diff = compareSnapshots(
+      snapshot([['2026-03-05', 'booked'], ['2026-03-06', 'available'], ['2026-03-07', 'booked']]),
+      snapshot([['2026-03-05', 'available'], ['2026-03-06', 'booked'], ['2026-03-07', 'booked']])
+    );
+
+    assert.equal(diff.daysCompared, 3);
+    assert.deepEqual(diff.newlyAvailableDates, ['2026-03-05']);
+    assert.deepEqual(diff.newlyUnavailableDates, ['2026-03-06']);
+  });
+
+  test('adjacent-month padding cells are never compared', () => {
+    const diff = compareSnapshots(
+      snapshot([['2026-02-28', 'booked', false], ['2026-03-01', 'booked'], ['2026-04-01', 'available', false]]),
+      snapshot([['2026-02-28', 'available', false], ['2026-03-01', 'booked'], ['2026-04-01', 'booked', false]])
+    );
+
+    assert.equal(diff.daysCompared, 1);
+    assert.deepEqual(diff.changes, []);
+    assert.deepEqual(diff.newlyAvailableDates, []);
+    assert.deepEqual(diff.newlyUnavailableDates, []);
+  });
+
+  test('dates missing from the previous snapshot are skipped', () => {
+    const diff = compareSnapshots(snapshot([]), snapshot([['2026-03-05', 'available']]));
+
+    assert.equal(diff.daysCompared, 0);
+    assert.deepEqual(diff.newlyAvailableDates, []);
+  });
+});
+
+describe('diff overlays', () => {
+  test('changed pixels are tinted by category, the rest left as captured', () => {
+    const grey = [128, 128, 128, 255];
+    const image = { width: 3, height: 1, data: Buffer.from([...grey, ...grey, ...grey]) };
+    const { data } = decodePng(renderDiffOverlay(image, Uint8Array.from([DIFF_AVAILABILITY, DIFF_NONE, DIFF_UNAVAILABILITY])));
+    const pixel = p => [...data.subarray(p * 4, p * 4 + 4)];
+
+    const [r, g, b] = pixel(0);
+    assert.ok(g > r && g > b, `expected green, got ${pixel(0)}`);
+    assert.deepEqual(pixel(1), grey);
+    const [or, og, ob] = pixel(2);
+    assert.ok(or > og && og > ob, `expected orange, got ${pixel(2)}`);
+  });
+
+  test('overlays are stored per month and run, with the oldest pruned', async () => {
+    const { root } = await tempStorage('diffs');
+    const monthDir = path.join(root, '2026-03');
+    const png = calendarPng(2, 2, [0, 0, 0]);
+
+    try {
+      // 48 older runs, a minute apart
+      await fs.mkdir(monthDir, { recursive: true });
+      for (let n = 0; n < 48; n++) {
+        const file = path.join(monthDir, `old-${n}.png`);
+        await fs.writeFile(file, png);
+        const at = new Date(Date.now() - (60 - n) * 60 * 1000);
+        await fs.utimes(file, at, at);
+      }
+
+      await saveDiffArtifact('2026-03', 'api-1/../x', png, { changePercentage: 2 }, root);
+
+      assert.equal(sanitizeRunId('api-1/../x'), 'api-1_.._x');
+      assert.deepEqual(await readDiffArtifact('2026-03', 'api-1/../x', root), png);
+      const metadata = JSON.parse(await fs.readFile(path.join(monthDir, 'api-1_.._x.json'), 'utf8'));
+      assert.deepEqual([metadata.month, metadata.runId, metadata.changePercentage], ['2026-03', 'api-1/../x', 2]);
+
+      const kept = (await fs.readdir(monthDir)).filter(name => name.endsWith('.png'));
+      assert.equal(kept.length, 48);
+      assert.ok(!kept.includes('old-0.png'));
+      assert.equal(await readDiffArtifact('2026-03', 'never-ran', root), null);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('site profiles', () => {
+  const PROFILE = './site-profiles/osr-snowmass.json';
+
+  test('the shipped profile loads with its patterns compiled', () => {
+    const profile = loadSiteProfile(PROFILE);
+    assert.equal(profile.source, PROFILE);
+    assert.ok(profile.dayPatterns.availablePattern instanceof RegExp);
+    assert.ok(profile.loginErrorPatterns.invalidCredentials.test('Invalid password'));
+    assert.ok(matchesColor([225, 225, 220], profile.colors.available));
+    assert.ok(!matchesColor([170, 60, 60], profile.colors.available));
+  });
+
+  test('every problem with a broken profile is reported at once', async () => {
+    const broken = JSON.parse(await fs.readFile(PROFILE, 'utf8'));
+    broken.version = 2;
+    broken.baseUrl = 'ftp://example.com';
+    broken.login.submit = [];
+    broken.days.availablePattern = '(';
+    broken.colors.available = [{ r: [200, 100] }];
+    broken.loginErrors = { captcha: [] };
+
+    const errors = validateSiteProfile(broken);
+    assert.equal(errors.length, 6);
+    assert.ok(errors.includes('version must be 1'));
+    assert.ok(errors.includes('baseUrl must be http(s)'));
+    assert.ok(errors.includes('login.submit must be a non-empty list of selectors'));
+    assert.ok(errors.some(error => error.startsWith('days.availablePattern:')));
+    assert.ok(errors.includes('colors.available[0].r must be [min, max] within 0-255'));
+    assert.ok(errors.includes('loginErrors.captcha must be a non-empty list of selectors'));
+    assert.deepEqual(validateSiteProfile(null), ['profile must be a JSON object']);
+
+    const { root } = await tempStorage('profile');
+    try {
+      const file = path.join(root, 'broken.json');
+      await fs.writeFile(file, JSON.stringify(broken));
+      assert.throws(() => loadSiteProfile(file), error => error instanceof SiteProfileError && error.details.length === 6);
+      assert.throws(() => loadSiteProfile(path.join(root, 'missing.json')), /Could not read site profile/);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('palette calibration', () => {
+  const BEIGE = [228, 226, 220];
+  const BOOKED = [170, 60, 60];
+  const HIGHLIGHT = [120, 160, 230];
+  const dates = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04'];
+  const grid = dates.map((date, i) => ({ date, rect: { x: i * 20, y: 0, width: 20, height: 20 } }));
+  // Two available cells in slightly different shades (one with a dark digit), one booked, one highlighted
+  const image = decodePng(calendarPng(80, 20, BEIGE, [
+    { x: 20, y: 0, width: 20, height: 20, color: [231, 229, 222] },
+    { x: 40, y: 0, width: 20, height: 20, color: BOOKED },
+    { x: 60, y: 0, width: 20, height: 20, color: HIGHLIGHT },
+    { x: 8, y: 8, width: 3, height: 3, color: [40, 40, 40] }
+  ]));
+  const labels = { available: dates.slice(0, 2), booked: [dates[2]], highlight: [dates[3]] };
+
+  test('close shades merge into one cluster per state and digits are dropped', () => {
+    const palette = learnPalette({ image, grid, labels });
+
+    assert.deepEqual(palette.clusters.map(c => c.state), ['available', 'booked', 'highlight']);
+    assert.deepEqual(palette.clusters[0].center, [230, 228, 221]);
+    assert.equal(palette.report.separated, true);
+    assert.equal(palette.report.accuracy, 1);
+    assert.deepEqual(validatePalette(palette), []);
+
+    assert.equal(classifyColor(palette, [229, 227, 221]), 'available');
+    assert.equal(classifyColor(palette, BOOKED), 'booked');
+    // Outside every cluster's radius - neither the digit nor an unseen colour is guessed at
+    assert.equal(classifyColor(palette, [40, 40, 40]), null);
+    assert.equal(classifyColor(palette, [0, 255, 0]), null);
+  });
+
+  test('labels must name day cells and include an available date', () => {
+    assert.throws(() => learnPalette({ image, grid, labels: { available: ['2026-04-01'] } }), PaletteError);
+    assert.throws(() => learnPalette({ image, grid, labels: { booked: [dates[2]] } }), /At least one available date/);
+    assert.deepEqual(validatePalette({ version: 1, clusters: [{ state: 'open', center: [0, 0], radius: 0 }] }), [
+      'clusters[0].state must be one of available, booked, highlight',
+      'clusters[0].center must be [r, g, b]',
+      'clusters[0].radius must be positive'
+    ]);
+  });
+});
+
+describe('baseline history', () => {
+  const MONTH = '2026-03';
+  const png = shade => calendarPng(4, 4, [shade, shade, shade]);
+  const exists = file => fs.access(file).then(() => true, () => false);
+  const roots = [];
+  const storageFor = async () => {
+    const storage = await tempStorage('history');
+    roots.push(storage.root);
+    return storage.storagePath;
+  };
+
+  after(async () => {
+    for (const root of roots) await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('rollback walks back past pending versions and restores the older files', async () => {
+    const storagePath = await storageFor();
+    const first = await saveBaselineVersion(storagePath, MONTH, { png: png(10), snapshot: { available: [] } });
+    await saveBaselineVersion(storagePath, MONTH, { png: png(20), promote: false });
+    await saveBaselineVersion(storagePath, MONTH, { png: png(30), snapshot: { available: ['2026-03-05'] } });
+
+    const restored = await rollbackBaseline(storagePath, MONTH);
+    assert.equal(restored.id, first.id);
+    assert.deepEqual(await fs.readFile(path.join(storagePath, `${MONTH}.png`)), png(10));
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(storagePath, `${MONTH}.json`), 'utf8')), { available: [] });
+    assert.equal((await listBaselineVersions(storagePath, MONTH)).current, first.id);
+  });
+
+  test('going back to a version without a snapshot drops the newer one', async () => {
+    const storagePath = await storageFor();
+    const bare = await saveBaselineVersion(storagePath, MONTH, { png: png(10) });
+    await saveBaselineVersion(storagePath, MONTH, { png: png(30), snapshot: { available: ['2026-03-05'] } });
+    assert.equal(await exists(path.join(storagePath, `${MONTH}.json`)), true);
+
+    await rollbackBaseline(storagePath, MONTH);
+    assert.equal(await exists(path.join(storagePath, `${MONTH}.json`)), false);
+
+    // Promoting works the same way
+    const snapshotted = await saveBaselineVersion(storagePath, MONTH, { png: png(40), snapshot: { available: [] } });
+    await promoteBaselineVersion(storagePath, MONTH, bare.id);
+    assert.equal(await exists(path.join(storagePath, `${MONTH}.json`)), false);
+    assert.notEqual((await listBaselineVersions(storagePath, MONTH)).current, snapshotted.id);
+  });
+
+  test('a corrupt index is reported, never rebuilt over', async () => {
+    const storagePath = await storageFor();
+    await saveBaselineVersion(storagePath, MONTH, { png: png(10) });
+    const indexFile = path.join(storagePath, 'history', MONTH, 'index.json');
+    await fs.writeFile(indexFile, '{"month": "2026-03", "versions": [');
+
+    await assert.rejects(listBaselineVersions(storagePath, MONTH), BaselineIndexError);
+    await assert.rejects(saveBaselineVersion(storagePath, MONTH, { png: png(20) }), BaselineIndexError);
+    assert.equal(await fs.readFile(indexFile, 'utf8'), '{"month": "2026-03", "versions": [');
+  });
+});
+
+describe('watch rules', () => {
+  test('rules are normalised, and every problem with one is reported at once', () => {
+    const rule = normalizeRule({ id: 'xmas', start: '2026-12-18', end: '2026-12-24', minNights: 2, checkInDays: ['Friday', 'SAT'] });
+    assert.deepEqual(rule.checkInDays, ['fri', 'sat']);
+    assert.equal(rule.includeDays, null);
+    assert.equal(rule.enabled, true);
+    assert.equal(normalizeRule({ start: '2026-03-01', end: '2026-03-02' }).minNights, 1);
+
+    assert.throws(
+      () => normalizeRule({ id: 'bad id', start: '2026-02-30', end: '2026-03-01', minNights: 0, checkInDays: ['funday'] }),
+      error => error instanceof WatchRuleError && error.details.length === 4 && error.details.includes('checkInDays: unknown weekday(s) funday')
+    );
+    assert.throws(() => normalizeRule({ start: '2026-03-01', end: '2026-03-03', minNights: 3 }), error => /too short for 3 night/.test(error.details[0]));
+  });
+
+  test('only stays with a newly available night are new', () => {
+    const rule = normalizeRule({ id: 'xmas', start: '2026-12-18', end: '2026-12-24', minNights: 2, checkInDays: ['fri', 'sat'] });
+    const availability = new Map(['2026-12-18', '2026-12-19', '2026-12-20', '2026-12-21'].map(date => [date, 'available']));
+    availability.set('2026-12-22', 'booked');
+
+    const [result] = evaluateWatchRules([rule], availability, new Set(['2026-12-20']), '2026-11-01');
+    assert.equal(result.satisfied, true);
+    // Sunday the 20th is not a check-in day, and the 22nd is booked
+    assert.deepEqual(result.stays.map(stay => stay.checkIn), ['2026-12-18', '2026-12-19']);
+    assert.deepEqual(result.newStays.map(stay => `${stay.checkIn}..${stay.checkOut}`), ['2026-12-19..2026-12-21']);
+  });
+
+  test('the months to scan cover every usable night, from today and at most 18 months out', () => {
+    const rules = [
+      { start: '2026-01-01', end: '2026-02-10' },
+      { start: '2026-03-25', end: '2026-04-01' }, // Checks out on the 1st - no April night
+      { start: '2026-12-20', end: '2027-01-03' }
+    ];
+    assert.deepEqual(monthsForRules(rules, '2026-01-20'), ['2026-01', '2026-02', '2026-03', '2026-12', '2027-01']);
+    assert.deepEqual(monthsForRules(activeWatchRules(rules, '2026-02-15'), '2026-02-15'), ['2026-03', '2026-12', '2027-01']);
+    assert.equal(monthsForRules([{ start: '2026-01-01', end: '2030-01-01' }], '2026-01-20').at(-1), '2027-08');
+  });
+
+  test('a corrupt rules file is moved aside, not overwritten', async () => {
+    const storage = await tempStorage('rules');
+
+    try {
+      await fs.writeFile(storage.watchRulesPath, '[{"id": "christmas", ');
+      await addWatchRule(storage.watchRulesPath, { id: 'march', start: '2026-03-01', end: '2026-03-08' });
+
+      assert.deepEqual((await loadWatchRules(storage.watchRulesPath)).map(rule => rule.id), ['march']);
+      const [movedAside] = (await fs.readdir(storage.root)).filter(name => name.startsWith('watch-rules.json.corrupt-'));
+      assert.equal(await fs.readFile(path.join(storage.root, movedAside), 'utf8'), '[{"id": "christmas", ');
+    } finally {
+      await fs.rm(storage.root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('login backoff', () => {
+  const minutesAfter = (iso, now) => (Date.parse(iso) - now.getTime()) / 60000;
+
+  test('rejected credentials back off further each time, outages do not', async () => {
+    const { root, loginStatePath } = await tempStorage('backoff');
+    const now = new Date('2026-01-15T12:00:00Z');
+    const fail = code => recordLoginFailure(loginStatePath, USERNAME, PASSWORD, new LoginError(code, code), now);
+
+    try {
+      assert.equal(minutesAfter(await fail('INVALID_CREDENTIALS'), now), 15);
+      assert.equal(minutesAfter(await fail('INVALID_CREDENTIALS'), now), 30);
+      assert.equal(minutesAfter(await fail('SITE_UNAVAILABLE'), now), 15);
+      assert.equal(minutesAfter(await fail('UNKNOWN_PAGE'), now), 15);
+      assert.equal(minutesAfter(await fail('ACCOUNT_LOCKED'), now), 24 * 60);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('evaluateHealth', () => {
+  const SETTINGS = { failedRuns: 3, windowRuns: 5, navFailureRate: 0.5 };
+  const check = (month, errorStage = null) => ({ month, name: month, error: errorStage ? 'failed' : null, errorStage });
+  const run = (status, months = []) => ({ id: `run-${status}`, status, error: status === 'failed' ? 'Login failed' : null, accounts: [{ account: 'mock', months }] });
+  const conditions = runs => evaluateHealth(runs, SETTINGS).map(c => c.condition);
+
+  test('healthy runs raise nothing', () => {
+    assert.deepEqual(conditions([run('success', [check('2026-01'), check('2026-02')])]), []);
+  });
+
+  test('consecutive failures count only once the streak is long enough', () => {
+    assert.deepEqual(conditions([run('success'), run('failed'), run('failed')]), []);
+    assert.deepEqual(conditions([run('failed'), run('cancelled'), run('failed'), run('failed')]), ['consecutive_failures']);
+  });
+
+  test('navigation failures, all months failing and a missing calendar are told apart', () => {
+    const runs = [
+      run('partial', [check('2026-01', 'navigation'), check('2026-02', 'navigation')]),
+      run('partial', [check('2026-01', 'navigation'), check('2026-02', 'calendar_missing')])
+    ];
+    assert.deepEqual(conditions(runs), ['navigation_failure_rate', 'all_months_failed', 'calendar_missing']);
+
+    // One good run brings the rate down to the threshold and clears the latest-run conditions
+    runs.push(run('success', [check('2026-01'), check('2026-02')]));
+    assert.deepEqual(conditions(runs), []);
+  });
+
+  test('a condition alerts once with its screenshots and recovers once', async () => {
+    const { root } = await tempStorage('health');
+    const dir = path.join(root, 'health');
+    const since = new Date(Date.now() - 60 * 1000);
+    await fs.writeFile(path.join(root, 'calendar-missing.png'), calendarPng(2, 2, [0, 0, 0]));
+    // Left by an earlier run - must not be attached to this one's alert
+    const stale = path.join(root, 'navigation-error.png');
+    await fs.writeFile(stale, calendarPng(2, 2, [0, 0, 0]));
+    await fs.utimes(stale, new Date(since.getTime() - 60 * 60 * 1000), new Date(since.getTime() - 60 * 60 * 1000));
+    const missing = [run('partial', [check('2026-01'), check('2026-02', 'calendar_missing')])];
+    const options = { settings: SETTINGS, since, dir, screenshotDir: root };
+
+    try {
+      const raised = await updateHealth(missing, options);
+      assert.deepEqual(raised.alert.conditions.map(c => c.condition), ['calendar_missing']);
+      assert.deepEqual(raised.alert.screenshots.map(shot => shot.name), ['calendar-missing.png']);
+      await fs.access(path.join(dir, raised.alert.id, 'calendar-missing.png'));
+
+      assert.equal((await updateHealth(missing, options)).alert, null);
+
+      const recovered = await updateHealth([...missing, run('success', [check('2026-01')])], options);
+      assert.deepEqual(recovered.recovery.conditions.map(c => c.condition), ['calendar_missing']);
+      assert.deepEqual((await readHealthState(dir)).open, {});
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('diagnostic bundles', () => {
+  // Entries of a ZIP archive from its central directory, inflated
+  function readZip(zip) {
+    const end = zip.length - 22;
+    const entries = {};
+    let offset = zip.readUInt32LE(end + 16);
+    for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+      const method = zip.readUInt16LE(offset + 10);
+      const size = zip.readUInt32LE(offset + 20);
+      const nameLength = zip.readUInt16LE(offset + 28);
+      const local = zip.readUInt32LE(offset + 42);
+      const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+      const start = local + 30 + zip.readUInt16LE(local + 26);
+      const body = zip.subarray(start, start + size);
+      entries[name] = { method, data: method === 8 ? zlib.inflateRawSync(body) : body };
+      offset += 46 + nameLength;
+    }
+    return entries;
+  }
+
+  test('createZip deflates text, stores what does not shrink, and keeps UTF-8 names', () => {
+    const text = 'console line\n'.repeat(200);
+    const noise = Buffer.from(Array.from({ length: 256 }, (_, i) => (i * 167 + 13) % 256));
+    const entries = readZip(createZip([{ name: 'mock/console.jsonl', data: text }, { name: 'écran.png', data: noise }]));
+
+    assert.deepEqual(Object.keys(entries), ['mock/console.jsonl', 'écran.png']);
+    assert.equal(entries['mock/console.jsonl'].method, 8);
+    assert.equal(entries['mock/console.jsonl'].data.toString('utf8'), text);
+    assert.equal(entries['écran.png'].method, 0);
+    assert.deepEqual(entries['écran.png'].data, noise);
+  });
+
+  test('pruning drops expired bundles, then the oldest over the size cap, never the new one', async () => {
+    const { root } = await tempStorage('diagnostics');
+    const now = new Date('2026-01-15T12:00:00Z');
+    const day = 24 * 60 * 60 * 1000;
+    const bundles = { 'expired.zip': 10 * day, 'older.zip': 2 * day, 'newer.zip': day, 'current.zip': 0 };
+
+    try {
+      for (const [name, age] of Object.entries(bundles)) {
+        const file = path.join(root, name);
+        await fs.writeFile(file, Buffer.alloc(400));
+        const modified = new Date(now.getTime() - age);
+        await fs.utimes(file, modified, modified);
+      }
+
+      const settings = { maxAgeDays: 7, maxTotalBytes: 1000 };
+      const result = await pruneDiagnostics(settings, { keep: path.join(root, 'current.zip'), now, dir: root });
+
+      assert.deepEqual(result, { removed: 2, bytes: 800 });
+      assert.deepEqual((await fs.readdir(root)).sort(), ['current.zip', 'newer.zip']);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('alert policy', () => {
+  const emptyState = () => ({ sent: [], announced: { dates: {}, months: {} }, pending: null, availability: {} });
+  const policy = overrides => alertPolicy({ timezone: 'America/Denver', realertHours: 24, quietHours: null, digestMinutes: 0, maxPerDay: 0, ...overrides });
+  const results = (...dates) => ({
+    totalMonths: 1,
+    changedMonths: [{ month: '2026-03', name: 'March 2026', changePercentage: '2.0', newlyAvailableDates: dates }],
+    watchRules: null
+  });
+  const datesOf = changes => (changes ? changes.changedMonths.flatMap(m => m.newlyAvailableDates) : []);
+
+  test('a date is announced once per re-alert interval', () => {
+    const state = emptyState();
+    const rules = policy();
+    const sentAt = new Date('2026-01-15T17:00:00Z');
+    recordAnnounced(state, unannouncedChanges(state, results('2026-03-05'), rules, sentAt), rules, sentAt);
+
+    const later = new Date('2026-01-15T20:00:00Z');
+    assert.equal(unannouncedChanges(state, results('2026-03-05'), rules, later), null);
+    assert.deepEqual(datesOf(unannouncedChanges(state, results('2026-03-05', '2026-03-06'), rules, later)), ['2026-03-06']);
+
+    const nextDay = new Date('2026-01-16T17:00:00Z');
+    assert.deepEqual(datesOf(unannouncedChanges(state, results('2026-03-05'), rules, nextDay)), ['2026-03-05']);
+  });
+
+  test('quiet hours over midnight hold alerts until they end, in the policy timezone', () => {
+    const rules = policy({ quietHours: '22:00-07:00' });
+    // 23:30 in Denver (UTC-7 in January)
+    assert.deepEqual(holdReason(emptyState(), rules, new Date('2026-01-16T06:30:00Z')), { reason: 'quiet_hours', until: '2026-01-16T14:00:00.000Z' });
+    assert.equal(holdReason(emptyState(), rules, new Date('2026-01-16T19:00:00Z')), null);
+  });
+
+  test('a digest window collects alerts and sends them as one', () => {
+    const state = emptyState();
+    const rules = policy({ digestMinutes: 30 });
+    const start = new Date('2026-01-15T17:00:00Z');
+
+    const hold = holdReason(state, rules, start);
+    assert.deepEqual(hold, { reason: 'digest', until: '2026-01-15T17:30:00.000Z' });
+    deferChanges(state, unannouncedChanges(state, results('2026-03-05'), rules, start), hold, start);
+
+    const tenLater = new Date('2026-01-15T17:10:00Z');
+    deferChanges(state, unannouncedChanges(state, results('2026-03-06'), rules, tenLater), holdReason(state, rules, tenLater), tenLater);
+    assert.equal(pendingDue(state, rules, tenLater), false);
+    assert.equal(pendingDue(state, rules, new Date('2026-01-15T17:30:00Z')), true);
+
+    const { changes, digest } = takePending(state);
+    assert.deepEqual(datesOf(changes), ['2026-03-05', '2026-03-06']);
+    assert.deepEqual(digest, { since: start.toISOString(), alerts: 2, reasons: ['digest'] });
+    assert.equal(state.pending, null);
+  });
+
+  test('the daily cap holds alerts until local midnight', () => {
+    const state = emptyState();
+    const rules = policy({ maxPerDay: 1 });
+    const sentAt = new Date('2026-01-15T17:00:00Z');
+    recordAnnounced(state, results('2026-03-05'), rules, sentAt);
+
+    assert.deepEqual(holdReason(state, rules, new Date('2026-01-15T20:00:00Z')), { reason: 'daily_limit', until: '2026-01-16T07:00:00.000Z' });
+    assert.equal(holdReason(state, rules, new Date('2026-01-16T07:00:00Z')), null);
+  });
+
+  test('a corrupt alert state is moved aside, not overwritten', async () => {
+    const storage = await tempStorage('alert-state');
+
+    try {
+      await fs.writeFile(storage.notificationLogPath, '{"sent": [');
+      await withAlertState(storage.notificationLogPath, state => recordAnnounced(state, results('2026-03-05'), policy(), new Date('2026-01-15T17:00:00Z')));
+
+      assert.equal((await readAlertState(storage.notificationLogPath)).sent.length, 1);
+      const [movedAside] = (await fs.readdir(storage.root)).filter(name => name.startsWith('notifications.json.corrupt-'));
+      assert.equal(await fs.readFile(path.join(storage.root, movedAside), 'utf8'), '{"sent": [');
+    } finally {
+      await fs.rm(storage.root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('availability lifecycle', () => {
+  const TIMEZONE = 'America/Denver';
+  const rules = alertPolicy({ timezone: TIMEZONE, reminderHours: 24, goneFollowUps: true });
+  const announcedAt = new Date('2026-01-15T17:00:00Z');
+  const hoursLater = hours => new Date(announcedAt.getTime() + hours * 60 * 60 * 1000);
+
+  function announced() {
+    const state = { sent: [], announced: { dates: {}, months: {} }, pending: null, availability: {} };
+    const changes = { changedMonths: [{ month: '2026-03', name: 'March 2026', newlyAvailableDates: ['2026-03-05', '2026-03-06'] }] };
+    recordAnnounced(state, changes, rules, announcedAt);
+    trackAnnounced(state, changes, announcedAt);
+    return state;
+  }
+
+  const domRun = days => ({ results: [{ month: '2026-03', detectionMethod: 'dom' }], availability: new Map(Object.entries(days)), timezone: TIMEZONE });
+
+  test('a booked date goes gone once and may be announced again; an open one is reminded about', () => {
+    const state = announced();
+    const gone = updateLifecycle(state, { ...domRun({ '2026-03-05': 'available', '2026-03-06': 'booked' }), now: hoursLater(1) });
+
+    assert.deepEqual(gone.map(entry => entry.date), ['2026-03-06']);
+    assert.equal(state.availability['2026-03-05'].status, 'still_open');
+    assert.equal(state.announced.dates['2026-03-06'], undefined);
+    assert.ok(state.announced.dates['2026-03-05']);
+
+    // Gone is reported once; the reminder waits for reminderHours after the alert
+    const early = dueFollowUps(state, rules, hoursLater(2));
+    assert.deepEqual(early.gone.map(entry => entry.date), ['2026-03-06']);
+    assert.deepEqual(early.stillOpen, []);
+    markFollowUpSent(state, 'gone', early.gone, hoursLater(2));
+    assert.deepEqual(dueFollowUps(state, rules, hoursLater(2)).gone, []);
+
+    const due = dueFollowUps(state, rules, hoursLater(24));
+    assert.deepEqual(due.stillOpen.map(entry => entry.date), ['2026-03-05']);
+    markFollowUpSent(state, 'still_open', due.stillOpen, hoursLater(24));
+    assert.deepEqual(dueFollowUps(state, rules, hoursLater(30)).stillOpen, []);
+
+    // Seeing it booked again later doesn't report it twice
+    assert.deepEqual(updateLifecycle(state, { ...domRun({ '2026-03-06': 'booked' }), now: hoursLater(3) }), []);
+  });
+
+  test('runs that could not see a date leave it alone; past dates are dropped', () => {
+    const state = announced();
+    updateLifecycle(state, { results: [{ month: '2026-03', detectionMethod: 'pixel', hasBaseline: false }], availability: new Map(), timezone: TIMEZONE, now: hoursLater(1) });
+    updateLifecycle(state, { results: [{ month: '2026-03', error: 'Navigation failed' }], availability: new Map(), timezone: TIMEZONE, now: hoursLater(2) });
+    assert.deepEqual(Object.values(state.availability).map(entry => entry.status), ['announced', 'announced']);
+
+    updateLifecycle(state, { results: [], availability: new Map(), timezone: TIMEZONE, now: new Date('2026-03-06T12:00:00Z') });
+    assert.deepEqual(Object.keys(state.availability), ['2026-03-06']);
+  });
+});
+
+describe('notification outbox', () => {
+  const failed = () => ({ success: false, error: 'HTTP 502' });
+  const delivered = () => ({ success: true });
+  const queued = (id, channel) => ({ id, channel, event: { alert: 'NEW_AVAILABILITY' }, error: 'HTTP 502' });
+
+  test('failed deliveries back off, then move to the dead letters', async () => {
+    const { root: dir } = await tempStorage('outbox');
+    const start = new Date('2026-01-15T12:00:00Z');
+    const hoursLater = hours => ({ dir, now: new Date(start.getTime() + hours * 60 * 60 * 1000) });
+
+    try {
+      await enqueueDelivery(queued('flaky', 'slack'), { dir, now: start });
+      await enqueueDelivery(queued('recovers', 'ntfy'), { dir, now: start });
+
+      // Not due before its first retry delay (1 minute)
+      assert.equal((await drainOutbox(failed, { dir, now: start })).attempted, 0);
+
+      const first = await drainOutbox(delivery => (delivery.id === 'recovers' ? delivered() : failed()), hoursLater(1));
+      assert.deepEqual(first, { attempted: 2, delivered: 1, deadLettered: 0, pending: 1 });
+      const [waiting] = await listOutbox(dir);
+      assert.equal(waiting.attempts, 2);
+      assert.equal(waiting.nextAttemptAt, new Date(start.getTime() + 60 * 60 * 1000 + 2 * 60 * 1000).toISOString());
+
+      for (let attempt = 3; attempt < MAX_DELIVERY_ATTEMPTS; attempt++) {
+        assert.equal((await drainOutbox(failed, hoursLater(attempt))).deadLettered, 0);
+      }
+      assert.equal((await drainOutbox(failed, hoursLater(MAX_DELIVERY_ATTEMPTS))).deadLettered, 1);
+
+      assert.deepEqual(await listOutbox(dir), []);
+      const [dead] = await listDeadLetters(dir);
+      assert.equal(dead.id, 'flaky');
+      assert.equal(dead.attempts, MAX_DELIVERY_ATTEMPTS);
+      assert.equal(dead.lastError, 'HTTP 502');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('replaying dead letters retries them; failures go back to the outbox with a fresh budget', async () => {
+    const { root: dir } = await tempStorage('outbox');
+    const deadLetters = ['fixed', 'still-broken', 'unwanted'].map(id => ({ ...queued(id, 'webhook'), attempts: MAX_DELIVERY_ATTEMPTS, deadLetteredAt: '2026-01-15T12:00:00.000Z' }));
+
+    try {
+      await fs.writeFile(path.join(dir, 'dead-letters.json'), JSON.stringify(deadLetters));
+
+      const results = await replayDeadLetters(delivery => (delivery.id === 'fixed' ? delivered() : failed()), ['fixed', 'still-broken'], { dir });
+      assert.deepEqual(results.map(r => [r.id, r.success]), [['fixed', true], ['still-broken', false]]);
+
+      const [requeued] = await listOutbox(dir);
+      assert.equal(requeued.id, 'still-broken');
+      assert.equal(requeued.attempts, 1);
+      assert.equal(requeued.deadLetteredAt, undefined);
+
+      assert.deepEqual((await listDeadLetters(dir)).map(d => d.id), ['unwanted']);
+      assert.equal(await discardDeadLetter('unwanted', { dir }), true);
+      assert.equal(await discardDeadLetter('unwanted', { dir }), false);
+      assert.deepEqual(await listDeadLetters(dir), []);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('a corrupt outbox is moved aside, not overwritten', async () => {
+    const { root: dir } = await tempStorage('outbox');
+
+    try {
+      await fs.writeFile(path.join(dir, 'outbox.json'), '[{"id": "half-writ');
+      await enqueueDelivery(queued('after', 'slack'), { dir });
+
+      assert.deepEqual((await listOutbox(dir)).map(d => d.id), ['after']);
+      const [movedAside] = (await fs.readdir(dir)).filter(name => name.startsWith('outbox.json.corrupt-'));
+      assert.equal(await fs.readFile(path.join(dir, movedAside), 'utf8'), '[{"id": "half-writ');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('bearer tokens', () => {
+  const SECRET = 'test-secret';
+  const segment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  // A token with arbitrary header and claims, signed like lib/auth.js does
+  function forge(claims, header = { alg: 'HS256', typ: 'JWT' }) {
+    const unsigned = `${segment(header)}.${segment(claims)}`;
+    return `${unsigned}.${crypto.createHmac('sha256', SECRET).update(unsigned).digest('base64url')}`;
+  }
+  const now = () => Math.floor(Date.now() / 1000);
+
+  // Runs the middleware against a fake request and reports what it answered
+  function authorize(scope, authorization) {
+    const req = { method: 'GET', path: '/test', auth: null, get: name => (name === 'authorization' ? authorization : undefined) };
+    const outcome = { status: null, allowed: false, headers: {} };
+    const res = {
+      set(name, value) { outcome.headers[name] = value; return this; },
+      status(code) { outcome.status = code; return this; },
+      json(body) { outcome.body = body; return this; }
+    };
+    requireScope(scope)(req, res, () => { outcome.allowed = true; });
+    return { ...outcome, auth: req.auth };
+  }
+
+  before(() => {
+    process.env.JWT_SECRET = SECRET;
+  });
+
+  after(() => {
+    delete process.env.JWT_SECRET;
+  });
+
+  test('signed tokens verify with their scopes; tampering and other algorithms do not', () => {
+    const token = signToken({ subject: 'scheduler', scopes: ['monitor:run', 'runs:read'], expiresIn: '15m' });
+    const claims = verifyToken(token);
+    assert.equal(claims.sub, 'scheduler');
+    assert.deepEqual(claims.scopes, ['monitor:run', 'runs:read']);
+    assert.equal(claims.exp - claims.iat, 15 * 60);
+
+    const [header, payload, signature] = token.split('.');
+    const widened = segment({ ...JSON.parse(Buffer.from(payload, 'base64url')), scope: '*' });
+    assert.throws(() => verifyToken(`${header}.${widened}.${signature}`), /Invalid token signature/);
+    assert.throws(() => verifyToken(token, 'another-secret'), /Invalid token signature/);
+    assert.throws(() => verifyToken(forge({ iss: 'snowmass-monitor', exp: now() + 60 }, { alg: 'none' })), /Unsupported token algorithm none/);
+    assert.throws(() => signToken({ subject: 'x', scopes: ['baselines:delete'] }), /Unknown scope/);
+  });
+
+  test('expiry, not-before and issuer are enforced beyond the clock skew', () => {
+    const claims = { iss: 'snowmass-monitor', sub: 'ops', scope: 'runs:read' };
+    assert.throws(() => verifyToken(forge({ ...claims, exp: now() - 120 })), AuthError);
+    assert.throws(() => verifyToken(forge({ ...claims })), /no expiry/);
+    assert.throws(() => verifyToken(forge({ ...claims, exp: now() + 600, nbf: now() + 300 })), /not yet valid/);
+    assert.throws(() => verifyToken(forge({ ...claims, exp: now() + 600, iss: 'elsewhere' })), /issuer/);
+    // Within the 30 s skew a just-expired token still passes
+    assert.equal(verifyToken(forge({ ...claims, exp: now() - 10 })).sub, 'ops');
+  });
+
+  test('the middleware answers 401 without a valid token and 403 without the scope', () => {
+    const missing = authorize('runs:read', undefined);
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers['WWW-Authenticate'], /error="invalid_request"/);
+
+    const token = signToken({ subject: 'scheduler', scopes: ['monitor:run'] });
+    const forbidden = authorize('runs:read', `Bearer ${token}`);
+    assert.equal(forbidden.status, 403);
+    assert.match(forbidden.headers['WWW-Authenticate'], /error="insufficient_scope", scope="runs:read"/);
+
+    const allowed = authorize('monitor:run', `Bearer ${token}`);
+    assert.equal(allowed.allowed, true);
+    assert.equal(allowed.auth.sub, 'scheduler');
+    assert.equal(authorize('metrics:read', `Bearer ${signToken({ subject: 'admin', scopes: ['*'] })}`).allowed, true);
+  });
+
+  test('without JWT_SECRET routes stay closed unless AUTH_DISABLED opts out, outside production only', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    delete process.env.JWT_SECRET;
+    delete process.env.NODE_ENV;
+
+    try {
+      assert.equal(authorize('runs:read', undefined).status, 503);
+
+      process.env.AUTH_DISABLED = 'true';
+      const open = authorize('runs:read', undefined);
+      assert.equal(open.allowed, true);
+      assert.deepEqual(open.auth.scopes, ['*']);
+
+      process.env.NODE_ENV = 'production';
+      assert.equal(authorize('runs:read', undefined).status, 503);
+    } finally {
+      delete process.env.AUTH_DISABLED;
+      delete process.env.NODE_ENV;
+      if (nodeEnv !== undefined) process.env.NODE_ENV = nodeEnv;
+      process.env.JWT_SECRET = SECRET;
+    }
+  });
+});
+
+describe('cron schedules', () => {
+  const next = (expression, after) => nextRun(parseCron(expression), 'America/Denver', new Date(after)).toISOString();
+
+  test('fields accept names, ranges, steps and macros; bad input throws', () => {
+    const schedule = parseCron('*/20 9-17/4 * jan,JUL mon-fri');
+    assert.deepEqual([...schedule.minute], [0, 20, 40]);
+    assert.deepEqual([...schedule.hour], [9, 13, 17]);
+    assert.deepEqual([...schedule.month], [1, 7]);
+    assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+    assert.equal(parseCron('@daily').expression, '0 0 * * *');
+    assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+
+    assert.throws(() => parseCron('0 0 * *'), /5 fields/);
+    assert.throws(() => parseCron('60 0 * * *'), /out of range/);
+    assert.throws(() => parseCron('0 0 * * 5-1'), /Invalid range/);
+  });
+
+  test('wall-clock times stay put across DST changes', () => {
+    // 06:00 in Denver is 13:00Z in winter and 12:00Z in summer (DST 2026-03-08 to 2026-11-01)
+    assert.equal(next('0 6 * * *', '2026-03-07T14:00:00Z'), '2026-03-08T12:00:00.000Z');
+    assert.equal(next('0 6 * * *', '2026-10-31T13:00:00Z'), '2026-11-01T13:00:00.000Z');
+
+    // 02:30 doesn't exist on the spring-forward day - the next one is a day later
+    assert.equal(next('30 2 * * *', '2026-03-08T06:00:00Z'), '2026-03-09T08:30:00.000Z');
+  });
+
+  test('day of month and day of week match either when both are set', () => {
+    // Any Friday or the 1st: Friday 20 March, then Wednesday 1 April before Friday 3 April
+    assert.equal(next('0 12 1 * fri', '2026-03-13T20:00:00Z'), '2026-03-20T18:00:00.000Z');
+    assert.equal(next('0 12 1 * fri', '2026-03-27T20:00:00Z'), '2026-04-01T18:00:00.000Z');
+  });
+});
+
+describe('saved sessions', () => {
+  const STATE = { cookies: [{ name: 'ASP.NET_SessionId', value: 'cookie-secret-value', domain: 'example.com', path: '/' }], origins: [] };
+  let dir;
+
+  before(async () => {
+    dir = (await tempStorage('sessions')).root;
+    process.env.SESSION_ENCRYPTION_KEY = 'first-key';
+  });
+
+  after(async () => {
+    delete process.env.SESSION_ENCRYPTION_KEY;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('sessions round-trip encrypted and owner-only', async () => {
+    assert.equal(await saveSessionState(USERNAME, STATE, { dir }), true);
+    const [file] = await fs.readdir(dir);
+    const raw = await fs.readFile(path.join(dir, file), 'utf8');
+    assert.doesNotMatch(raw, /cookie-secret-value/);
+    assert.equal((await fs.stat(path.join(dir, file))).mode & 0o777, 0o600);
+
+    // The username is normalised, so a differently typed address finds the same session
+    const loaded = await loadSessionState(` ${USERNAME.toUpperCase()} `, { dir });
+    assert.deepEqual(loaded.state, STATE);
+  });
+
+  test('a session swapped onto another account or under another key is discarded', async () => {
+    await saveSessionState(USERNAME, STATE, { dir });
+    const [owner] = await fs.readdir(dir);
+    await saveSessionState('someone@example.com', { cookies: [], origins: [] }, { dir });
+    const other = (await fs.readdir(dir)).find(name => name !== owner);
+
+    await fs.copyFile(path.join(dir, owner), path.join(dir, other));
+    assert.equal(await loadSessionState('someone@example.com', { dir }), null);
+    assert.deepEqual(await fs.readdir(dir), [owner]);
+
+    process.env.SESSION_ENCRYPTION_KEY = 'rotated-key';
+    try {
+      assert.equal(await loadSessionState(USERNAME, { dir }), null);
+      assert.deepEqual(await fs.readdir(dir), []);
+    } finally {
+      process.env.SESSION_ENCRYPTION_KEY = 'first-key';
+    }
+  });
+
+  test('without a key nothing is saved or loaded', async () => {
+    delete process.env.SESSION_ENCRYPTION_KEY;
+    try {
+      assert.equal(await saveSessionState(USERNAME, STATE, { dir }), false);
+      assert.equal(await loadSessionState(USERNAME, { dir }), null);
+    } finally {
+      process.env.SESSION_ENCRYPTION_KEY = 'first-key';
+    }
+  });
+});
+
+describe('run history', () => {
+  const month = (key, fields = {}) => ({ month: key, name: key, shouldNotify: false, newlyAvailableDates: [], ...fields });
+  const run = (id, startedAt, accounts) => buildRunRecord({
+    runId: id,
+    trigger: 'api',
+    startedAt: new Date(startedAt),
+    finishedAt: new Date(Date.parse(startedAt) + 60 * 1000),
+    response: { accounts: accounts.map(([account, results]) => ({ account, name: account, success: true, results, webhookSent: false })) }
+  });
+  let root;
+  let file;
+
+  before(async () => {
+    ({ root } = await tempStorage('runs'));
+    file = path.join(root, 'runs.jsonl');
+    await recordRun(run('first', '2026-01-14T10:00:00Z', [['a', [month('2026-03')]]]), { file });
+    await recordRun(run('second', '2026-01-15T10:00:00Z', [['a', [month('2026-03', { error: 'Calendar not found' })]]]), { file });
+    await recordRun(run('third', '2026-01-15T22:00:00Z', [['b', [month('2026-03'), month('2026-04', { shouldNotify: true, newlyAvailableDates: ['2026-04-02'] })]]]), { file });
+    // A crash mid-append leaves half a line behind
+    await fs.appendFile(file, '{"id": "fourth", "trig');
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('bare dates cover the whole day; anything unparseable is refused', () => {
+    assert.equal(parseBound('2026-01-15', false), '2026-01-15T00:00:00.000Z');
+    assert.equal(parseBound('2026-01-15', true), '2026-01-15T23:59:59.999Z');
+    assert.equal(parseBound('2026-01-15T10:00:00+02:00', true), '2026-01-15T08:00:00.000Z');
+    assert.equal(parseBound('yesterday', false), null);
+  });
+
+  test('runs are listed newest first, filtered and paged', async () => {
+    const ids = result => result.items.map(r => r.id);
+
+    const firstPage = await listRuns({ limit: 2, file });
+    assert.deepEqual([firstPage.total, ids(firstPage)], [3, ['third', 'second']]);
+    assert.deepEqual(firstPage.items[0].accounts, [{ account: 'b', success: true, notified: false, months: 2 }]);
+    assert.deepEqual(ids(await listRuns({ limit: 2, offset: 2, file })), ['first']);
+
+    const day = { from: parseBound('2026-01-15', false), to: parseBound('2026-01-15', true) };
+    assert.deepEqual(ids(await listRuns({ ...day, file })), ['third', 'second']);
+    assert.deepEqual(ids(await listRuns({ status: 'partial', file })), ['second']);
+    assert.deepEqual(ids(await listRuns({ account: 'b', file })), ['third']);
+  });
+
+  test('a month\'s history lists every check of it, newest first', async () => {
+    const checks = await monthHistory('2026-03', { account: 'a', file });
+    assert.deepEqual(checks.items.map(c => [c.runId, c.error || null]), [['second', 'Calendar not found'], ['first', null]]);
+
+    const [april] = (await monthHistory('2026-04', { file })).items;
+    assert.deepEqual([april.runId, april.account, april.newlyAvailableDates], ['third', 'b', ['2026-04-02']]);
+    assert.equal((await monthHistory('2026-04', { to: parseBound('2026-01-15', false), file })).total, 0);
+  });
+});
+
+describe('metrics', () => {
+  const seriesOf = (text, name) => text.split('\n').filter(line => line.startsWith(name));
+
+  test('label values are escaped and empty labels left out', async () => {
+    metrics.notifications.inc({ type: 'webhook', channel: 'ops "east"\\\nfloor', outcome: 'success' }, 2);
+    metrics.loginFailures.inc({ account: 'metrics-test', code: null });
+
+    const text = await renderMetrics();
+    assert.ok(text.includes('# TYPE snowmass_notifications_total counter'));
+    assert.ok(seriesOf(text, 'snowmass_notifications_total{').includes('snowmass_notifications_total{type="webhook",channel="ops \\"east\\"\\\\\\nfloor",outcome="success"} 2'));
+    assert.ok(seriesOf(text, 'snowmass_login_failures_total{').includes('snowmass_login_failures_total{account="metrics-test"} 1'));
+  });
+
+  test('histograms render cumulative buckets, sum and count', async () => {
+    const labels = { month: '2099-01', outcome: 'ok' };
+    metrics.compareDuration.observe(labels, 3);
+    metrics.compareDuration.observe(labels, 0.25);
+
+    const lines = seriesOf(await renderMetrics(), 'snowmass_month_compare_duration_seconds').filter(line => line.includes('month="2099-01"'));
+    const bucket = le => lines.find(line => line.includes(`le="${le}"`)).split(' ')[1];
+    assert.deepEqual(['0.5', '2.5', '5', '+Inf'].map(bucket), ['1', '1', '2', '2']);
+    assert.ok(lines.includes('snowmass_month_compare_duration_seconds_sum{month="2099-01",outcome="ok"} 3.25'));
+    assert.ok(lines.includes('snowmass_month_compare_duration_seconds_count{month="2099-01",outcome="ok"} 2'));
+  });
+
+  test('each metric keeps a bounded number of label sets, dropping the least recently updated', async () => {
+    for (let n = 0; n <= 500; n++) metrics.navigationRetries.inc({ month: `evict-${n}` });
+
+    const lines = seriesOf(await renderMetrics(), 'snowmass_navigation_retries_total{');
+    assert.equal(lines.length, 500);
+    assert.ok(!lines.some(line => line.includes('"evict-0"')));
+    assert.ok(lines.some(line => line.includes('"evict-500"')));
+  });
+});
+
+describe('log redaction', () => {
+  test('credential-like keys, registered secrets, bearer tokens and email addresses are masked', () => {
+    registerSecret('hunter2-registered');
+    registerSecret('abc'); // Too short to mask safely
+
+    const entry = redact({
+      message: 'Login as owner@example.com with hunter2-registered failed (abc)',
+      password: 'anything',
+      headers: { Authorization: 'Bearer eyJhbGciOi.abc.def', accept: 'text/html' },
+      sessionCookie: null,
+      detail: 'sent Bearer eyJhbGciOi.abc.def to the API',
+      screenshot: Buffer.alloc(10)
+    });
+
+    assert.equal(entry.message, 'Login as o***@example.com with [REDACTED] failed (abc)');
+    assert.equal(entry.password, '[REDACTED]');
+    assert.deepEqual(entry.headers, { Authorization: '[REDACTED]', accept: 'text/html' });
+    // Nothing to hide - an empty credential stays visible as such
+    assert.equal(entry.sessionCookie, null);
+    assert.equal(entry.detail, 'sent Bearer [REDACTED] to the API');
+    assert.equal(entry.screenshot, '[Buffer 10 bytes]');
+  });
+
+  test('errors keep their message and stack, redacted, and deep values are cut off', () => {
+    const error = Object.assign(new Error('Timeout for owner@example.com'), { code: 'E_NAV' });
+    const logged = redact({ error });
+    assert.deepEqual([logged.error.name, logged.error.message, logged.error.code], ['Error', 'Timeout for o***@example.com', 'E_NAV']);
+    assert.ok(!logged.error.stack.includes('owner@example.com'));
+
+    assert.deepEqual(redact({ a: { b: { c: { d: { e: { f: { g: 1 } } } } } } }).a.b.c.d.e, { f: '[Truncated]' });
+  });
+
+  test('context bound around a callback reaches everything inside it', async () => {
+    await withLogContext({ runId: 'api-1', account: 'default' }, async () => {
+      await withLogContext({ month: '2026-03' }, async () => {
+        assert.deepEqual(logContext(), { runId: 'api-1', account: 'default', month: '2026-03' });
+      });
+      assert.deepEqual(logContext(), { runId: 'api-1', account: 'default' });
+    });
+    assert.deepEqual(logContext(), {});
+  });
+});
+
+describe('jobs', () => {
+  test('runs get unique, file-name safe ids; the caller\'s requestId is only carried along', async () => {
+    const now = new Date('2026-01-15T12:00:00Z');
+    const ids = Array.from({ length: 50 }, () => newRunId('api', now));
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.every(id => id.startsWith('api-') && sanitizeRunId(id) === id));
+
+    const job = startJob({ runId: ids[0], requestId: 'a/b', trigger: 'api' }, async () => ({ success: true }));
+    await job.promise;
+    assert.deepEqual([jobSnapshot(job).runId, jobSnapshot(job).requestId], [ids[0], 'a/b']);
+
+    const record = buildRunRecord({ runId: ids[0], requestId: 'a/b', trigger: 'api', startedAt: now, finishedAt: now });
+    assert.deepEqual([record.id, record.requestId], [ids[0], 'a/b']);
+  });
+
+  // Express-like request and response, recording what the handler sent
+  function exchange(id, headers = {}) {
+    const req = { params: { id }, auth: null, get: name => headers[name], on: (event, listener) => { req.closeListener = listener; } };
+    const res = {
+      statusCode: null,
+      body: null,
+      chunks: [],
+      ended: false,
+      status(code) { res.statusCode = code; return res; },
+      set() { return res; },
+      json(body) { res.body = body; return res; },
+      flushHeaders() {},
+      write(chunk) { res.chunks.push(chunk); },
+      end() { res.ended = true; }
+    };
+    return { req, res };
+  }
+  const streamed = res => res.chunks.join('').split('\n\n').filter(Boolean).map(frame => ({
+    id: (frame.match(/^id: (\d+)$/m) || [])[1] || null,
+    event: frame.match(/^event: (.+)$/m)[1],
+    data: JSON.parse(frame.match(/^data: (.+)$/m)[1])
+  }));
+
+  test('progress and partial results are recorded; cancelling stops the job at its next check', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    let browserClosed = false;
+
+    const job = startJob({ runId: 'api-cancel', trigger: 'api', accounts: ['a'] }, () => withLogContext({ account: 'a', month: '2026-03' }, async () => {
+      onCancel(() => { browserClosed = true; });
+      reportProgress('login');
+      reportPartialResult({ month: '2026-03', shouldNotify: false });
+      await gate;
+      checkCancelled();
+      return { success: true };
+    }));
+
+    try {
+      assert.equal(cancelJob(job.id), true);
+      assert.equal(cancelJob(job.id), true);
+    } finally {
+      release();
+    }
+    await assert.rejects(job.promise, { name: 'JobCancelledError' });
+
+    assert.equal(browserClosed, true);
+    const snapshot = jobSnapshot(job, { includeResult: true });
+    assert.equal(snapshot.status, 'cancelled');
+    assert.deepEqual(snapshot.results, [{ month: '2026-03', shouldNotify: false }]);
+    assert.deepEqual(job.events.map(e => e.stage), ['started', 'login', 'cancelling', 'cancelled']);
+    assert.deepEqual([job.events[1].account, job.events[1].month], ['a', '2026-03']);
+    assert.equal(cancelJob(job.id), false);
+
+    const { req, res } = exchange(job.id);
+    cancelJobHandler(req, res);
+    assert.deepEqual([res.statusCode, res.body.status], [409, 'cancelled']);
+  });
+
+  test('the event stream replays after Last-Event-ID, follows the job and ends with done', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const job = startJob({ runId: 'api-stream', trigger: 'api' }, async () => {
+      reportProgress('login');
+      await gate;
+      reportProgress('notified');
+      return { success: true };
+    });
+
+    const { req, res } = exchange(job.id, { 'Last-Event-ID': '1' });
+    jobEventsHandler(req, res);
+    assert.deepEqual(streamed(res).map(frame => [frame.id, frame.event, frame.data.stage]), [['2', 'progress', 'login']]);
+
+    release();
+    await job.promise;
+    assert.equal(res.ended, true);
+    const frames = streamed(res);
+    assert.deepEqual(frames.map(frame => frame.event), ['progress', 'progress', 'progress', 'done']);
+    assert.deepEqual(frames.slice(1, 3).map(frame => frame.data.stage), ['notified', 'succeeded']);
+    assert.deepEqual([frames[3].data.status, frames[3].data.runId], ['succeeded', 'api-stream']);
+
+    // A finished job replays everything and ends at once
+    const replay = exchange(job.id);
+    jobEventsHandler(replay.req, replay.res);
+    assert.equal(replay.res.ended, true);
+    assert.deepEqual(streamed(replay.res).map(frame => frame.event), ['progress', 'progress', 'progress', 'progress', 'done']);
+
+    const missing = exchange('no-such-job');
+    getJobHandler(missing.req, missing.res);
+    assert.equal(missing.res.statusCode, 404);
+  });
+});
+
+describe('against the mock site', { skip: browserSkip }, () => {
+  const today = todayIso();
+  // Next month always needs one press of Next, and is never partly in the past
+  const target = monthAfter(today, 1);
+  const openDate = `${target.key}-03`;
+  let site;
+  let storage;
+  let screenshotDir;
+
+  // Bundles and navigation screenshots stay in the temp directory, not tmp/
+  const monitor = (account, runId) => runMonitor({
+    accounts: [account],
+    runId,
+    diagnostics: { dir: path.join(storage.root, 'diagnostics'), screenshotDir }
+  });
+
+  before(async () => {
+    const [year, month] = today.split('-').map(Number);
+    site = await startMockSite({ username: USERNAME, password: PASSWORD, startMonth: { year, month: month - 1 } });
+    process.env.SNOWMASS_BASE_URL = site.url;
+
+    storage = await tempStorage('mock');
+    screenshotDir = path.join(storage.root, 'screenshots');
+    // A watch rule keeps each run to the one target month
+    await fs.writeFile(storage.watchRulesPath, JSON.stringify([{
+      id: 'target',
+      name: 'Early next month',
+      start: `${target.key}-01`,
+      end: `${target.key}-08`,
+      minNights: 1,
+      checkInDays: null,
+      includeDays: null,
+      enabled: true
+    }]));
+  });
+
+  after(async () => {
+    delete process.env.SNOWMASS_BASE_URL;
+    if (site) await site.close();
+    if (storage) await fs.rm(storage.root, { recursive: true, force: true });
+  });
+
+  test('first run logs in and records the baseline', async () => {
+    const { accounts: [result] } = await monitor(testAccount(storage), 'mock-1');
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.session, 'fresh_login');
+    assert.equal(site.stats.logins, 1);
+    assert.deepEqual(result.allResults.map(r => r.month), [target.key]);
+    assert.equal(result.allResults[0].hasBaseline, false);
+    assert.equal(result.changedMonths.length, 0);
+  });
+
+  test('no change does not notify', async () => {
+    const { accounts: [result] } = await monitor(testAccount(storage), 'mock-2');
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.allResults[0].hasBaseline, true);
+    assert.equal(result.allResults[0].shouldNotify, false);
+    assert.equal(result.changedMonths.length, 0);
+  });
+
+  test('new availability notifies with the opened date and matching rule', async () => {
+    site.setAvailability({ [openDate]: 'available' });
+
+    const { accounts: [result] } = await monitor(testAccount(storage), 'mock-3');
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.changedMonths.length, 1);
+    assert.deepEqual(result.changedMonths[0].newlyAvailableDates, [openDate]);
+    assert.deepEqual(result.changedMonths[0].matchedRules, ['target']);
+    assert.equal(result.watchRules[0].satisfied, true);
+  });
+
+  test('navigation drift is detected and walked back to the target month', async () => {
+    site.setDrift(1);
+    const browser = await chromium.launch({ headless: true, args: ['--no-sandbox'] });
+
+    try {
+      const page = await browser.newPage({ viewport: { width: 1200, height: 800 } });
+      await page.goto(`${site.url}/generalavailability`, { waitUntil: 'networkidle' });
+
+      await navigateToMonth(page, target, { screenshotDir });
+
+      const title = await page.locator('.ui-datepicker-title').textContent();
+      assert.equal(title.replace(/\s+/g, ' '), target.name);
+    } finally {
+      site.setDrift(0);
+      await browser.close();
+    }
+  });
+
+  test('a rejected login fails the account without touching its baselines', async () => {
+    const failedBefore = site.stats.failedLogins;
+    const baselineFiles = await fs.readdir(storage.storagePath);
+
+    const { accounts: [result] } = await monitor(testAccount(storage, 'wrong-password'), 'mock-4');
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, 'INVALID_CREDENTIALS');
+    assert.match(result.error, /Invalid email or password/);
+    assert.ok(Date.parse(result.retryAfter) > Date.now());
+    assert.equal(site.stats.failedLogins, failedBefore + 1);
+    assert.deepEqual(await fs.readdir(storage.storagePath), baselineFiles);
+
+    // The next run backs off instead of submitting the same password again
+    const { accounts: [retry] } = await monitor(testAccount(storage, 'wrong-password'), 'mock-5');
+    assert.equal(retry.errorCode, 'INVALID_CREDENTIALS');
+    assert.match(retry.error, /paused/);
+    assert.equal(site.stats.failedLogins, failedBefore + 1);
+  });
+
+  test('locked accounts, captchas and outages are told apart', async () => {
+    const expected = { locked: 'ACCOUNT_LOCKED', captcha: 'CAPTCHA_REQUIRED', down: 'SITE_UNAVAILABLE' };
+
+    try {
+      for (const [outcome, code] of Object.entries(expected)) {
+        site.setLoginOutcome(outcome);
+        // Fresh login state each time so no backoff carries over
+        const scratch = await tempStorage(`login-${outcome}`);
+        const { accounts: [result] } = await monitor(testAccount(scratch), `mock-${outcome}`);
+        await fs.rm(scratch.root, { recursive: true, force: true });
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorCode, code, result.error);
+      }
+    } finally {
+      site.setLoginOutcome(null);
+    }
+  });
+});
@@ -0,0 +1,269 @@
+// test/mock-site.js - Local stand-in for osrcreservations.com used by test-monitor.js
+//
+// Serves just enough of the real site for the monitor to drive it: a home
+// page with a Login link, the email/password login form, and
+// /generalavailability with a jQuery UI style datepicker (prev/next buttons,
+// .ui-datepicker-title, table.ui-datepicker-calendar). Day availability,
+// navigation drift and login trouble are scripted through the returned
+// handle, or over HTTP at /__mock/state when run standalone:
+//
+//   npm run mock-site
+//   SNOWMASS_BASE_URL=http://localhost:4010 SNOWMASS_USERNAME=owner@example.com SNOWMASS_PASSWORD=correct-horse npm start
+import express from 'express';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PORT = 4010;
+
+// Tan "available" - pale greys are discarded by the pixel comparison as date highlighting
+export const AVAILABLE_COLOR = 'rgb(230, 210, 190)';
+export const BOOKED_COLOR = 'rgb(170, 60, 60)';
+
+const STYLES = `
+  body { font-family: sans-serif; margin: 20px; background: #fff; }
+  .ui-datepicker { width: 420px; padding: 8px; border: 1px solid #999; }
+  .ui-datepicker-header { position: relative; height: 32px; background: #335; color: #fff; }
+  .ui-datepicker-prev, .ui-datepicker-next { position: absolute; top: 6px; cursor: pointer; }
+  .ui-datepicker-prev { left: 8px; }
+  .ui-datepicker-next { right: 8px; }
+  .ui-datepicker-title { text-align: center; line-height: 32px; }
+  table.ui-datepicker-calendar { width: 100%; border-collapse: collapse; }
+  .ui-datepicker-calendar td { height: 40px; text-align: center; border: 1px solid #fff; }
+  .ui-datepicker-calendar td.available { background: ${AVAILABLE_COLOR}; }
+  .ui-datepicker-calendar td.booked { background: ${BOOKED_COLOR}; color: #fff; }
+  .ui-datepicker-calendar td.ui-datepicker-other-month { background: #fff; color: #bbb; }
+  .error { color: #a00; }
+  .g-recaptcha { width: 300px; height: 74px; border: 1px solid #ccc; }
+`;
+
+function page(title, body, loggedIn) {
+  const nav = loggedIn
+    ? '<a href="/logout">Logout</a>'
+    : '<a href="/login">Login</a>';
+  return `<!DOCTYPE html>
+<html>
+<head><title>${title}</title><style>${STYLES}</style></head>
+<body>
+<nav>${nav}</nav>
+${body}
+</body>
+</html>`;
+}
+
+// Rendered client-side like the real datepicker. Kept out of the HTML because
+// the monitor reads the page text and would trip over the month names in it.
+function calendarScript({ availability, drift, startMonth }) {
+  return `
+const AVAILABILITY = ${JSON.stringify(availability)};
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+let driftRemaining = ${Number(drift) || 0};
+let year = ${startMonth.year};
+let month = ${startMonth.month};
+
+function iso(y, m, d) {
+  return y + '-' + String(m + 1).padStart(2, '0') + '-' + String(d).padStart(2, '0');
+}
+
+function render() {
+  const first = new Date(Date.UTC(year, month, 1));
+  const start = new Date(first.getTime() - first.getUTCDay() * 86400000);
+  let rows = '';
+  for (let week = 0; week < 6; week++) {
+    rows += '<tr>';
+    for (let day = 0; day < 7; day++) {
+      const date = new Date(start.getTime() + (week * 7 + day) * 86400000);
+      const key = iso(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+      const classes = ['ui-datepicker-day'];
+      if (date.getUTCMonth() !== month) {
+        classes.push('ui-datepicker-other-month');
+      } else if (AVAILABILITY[key] === 'available') {
+        classes.push('available');
+      } else {
+        classes.push('booked', 'ui-datepicker-unselectable', 'ui-state-disabled');
+      }
+      rows += '<td class="' + classes.join(' ') + '" data-date="' + key + '"><a class="ui-state-default">' +
+        date.getUTCDate() + '</a></td>';
+    }
+    rows += '</tr>';
+  }
+
+  document.getElementById('calendar').innerHTML =
+    '<div class="ui-datepicker ui-widget">' +
+      '<div class="ui-datepicker-header">' +
+        '<a class="ui-datepicker-prev" title="Prev">Prev</a>' +
+        '<a class="ui-datepicker-next" title="Next">Next</a>' +
+        '<div class="ui-datepicker-title"><span class="ui-datepicker-month">' + MONTHS[month] +
+          '</span>&nbsp;<span class="ui-datepicker-year">' + year + '</span></div>' +
+      '</div>' +
+      '<table class="ui-datepicker-calendar">' +
+        '<thead><tr><th>Su</th><th>Mo</th><th>Tu</th><th>We</th><th>Th</th><th>Fr</th><th>Sa</th></tr></thead>' +
+        '<tbody>' + rows + '</tbody>' +
+      '</table>' +
+    '</div>';
+
+  document.querySelector('.ui-datepicker-prev').addEventListener('click', () => step(-1));
+  document.querySelector('.ui-datepicker-next').addEventListener('click', () => {
+    // Drift: Next skips a month, which navigateToMonth has to notice and walk back from
+    const by = driftRemaining > 0 ? 2 : 1;
+    if (driftRemaining > 0) driftRemaining--;
+    step(by);
+  });
+}
+
+function step(by) {
+  month += by;
+  year += Math.floor(month / 12);
+  month = ((month % 12) + 12) % 12;
+  render();
+}
+
+render();
+`;
+}
+
+function currentMonth() {
+  const now = new Date();
+  return { year: now.getFullYear(), month: now.getMonth() };
+}
+
+/**
+ * Start the mock site. Resolves to a handle:
+ *   url                      base URL to put in SNOWMASS_BASE_URL
+ *   setAvailability(map)     merge { 'YYYY-MM-DD': 'available' | 'booked' } into the calendar
+ *   setDrift(clicks)         the next `clicks` presses of Next on each page load jump two months
+ *   setLoginOutcome(outcome) null, or what every login gets: 'locked' | 'captcha' | 'down'
+ *   reset()                  everything booked, no drift, normal logins, sessions dropped
+ *   stats                    { logins, failedLogins, calendarViews }
+ *   close()
+ */
+export async function startMockSite({
+  port = 0,
+  username = 'owner@example.com',
+  password = 'correct-horse',
+  startMonth = currentMonth()
+} = {}) {
+  const state = { availability: {}, drift: 0, loginOutcome: null };
+  const sessions = new Set();
+  const stats = { logins: 0, failedLogins: 0, calendarViews: 0 };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  const sessionOf = (req) => {
+    const match = (req.headers.cookie || '').match(/(?:^|;\s*)mock_session=([^;]+)/);
+    return match && sessions.has(match[1]) ? match[1] : null;
+  };
+
+  app.get('/', (req, res) => {
+    res.send(page('Snowmass Club Owners', '<h1>Owner Reservations</h1>', Boolean(sessionOf(req))));
+  });
+
+  const loginForm = (error = '', captcha = false) => page('Log in', `
+<h1>Owner Log in</h1>
+${error ? `<p class="error">${error}</p>` : ''}
+<form method="post" action="/login">
+  ${captcha ? '<div class="g-recaptcha"></div>' : ''}
+  <input type="email" name="email" placeholder="Email">
+  <input type="password" name="password" placeholder="Password">
+  <button type="submit">Log in</button>
+</form>`, false);
+
+  app.get('/login', (req, res) => res.send(loginForm()));
+
+  app.post('/login', (req, res) => {
+    if (state.loginOutcome === 'down') {
+      return res.status(503).send(page('Service Unavailable', '<h1>Service Unavailable</h1><p>We are under maintenance.</p>', false));
+    }
+    if (state.loginOutcome === 'locked') {
+      stats.failedLogins++;
+      return res.send(loginForm('Your account is locked after too many failed attempts'));
+    }
+    if (state.loginOutcome === 'captcha') {
+      stats.failedLogins++;
+      return res.send(loginForm('Please confirm you are not a robot', true));
+    }
+    if (req.body.email !== username || req.body.password !== password) {
+      stats.failedLogins++;
+      // Re-render the form with an error rather than redirecting, so only the page content says it failed
+      return res.send(loginForm('Invalid email or password'));
+    }
+
+    stats.logins++;
+    const token = crypto.randomBytes(16).toString('hex');
+    sessions.add(token);
+    res.setHeader('Set-Cookie', `mock_session=${token}; Path=/; HttpOnly`);
+    res.redirect('/');
+  });
+
+  app.get('/logout', (req, res) => {
+    sessions.delete(sessionOf(req));
+    res.redirect('/');
+  });
+
+  app.get('/generalavailability', (req, res) => {
+    stats.calendarViews++;
+    res.send(page('General Availability', `
+<h1>General Availability</h1>
+<div id="calendar"></div>
+<script src="/calendar.js"></script>`, Boolean(sessionOf(req))));
+  });
+
+  app.get('/calendar.js', (req, res) => {
+    res.type('application/javascript').send(calendarScript({ ...state, startMonth }));
+  });
+
+  // Scripting hooks for running the site standalone
+  app.get('/__mock/state', (req, res) => res.json({ ...state, stats }));
+  app.post('/__mock/state', (req, res) => {
+    if (req.body.availability) Object.assign(state.availability, req.body.availability);
+    if (req.body.drift !== undefined) state.drift = Number(req.body.drift) || 0;
+    if (req.body.loginOutcome !== undefined) state.loginOutcome = req.body.loginOutcome;
+    res.json({ ...state, stats });
+  });
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, '127.0.0.1', () => resolve(listening));
+    listening.on('error', reject);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    stats,
+
+    setAvailability(map) {
+      Object.assign(state.availability, map);
+    },
+
+    setDrift(clicks) {
+      state.drift = clicks;
+    },
+
+    setLoginOutcome(outcome) {
+      state.loginOutcome = outcome;
+    },
+
+    reset() {
+      state.availability = {};
+      state.drift = 0;
+      state.loginOutcome = null;
+      sessions.clear();
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const site = await startMockSite({
+    port: parseInt(process.env.MOCK_SITE_PORT || String(DEFAULT_PORT), 10),
+    username: process.env.SNOWMASS_USERNAME || undefined,
+    password: process.env.SNOWMASS_PASSWORD || undefined
+  });
+  console.log(`🧪 Mock reservation site on ${site.url}`);
+  console.log('   POST /__mock/state {"availability": {"YYYY-MM-DD": "available"}, "drift": 1} to script it');
+}